@@ -14,6 +14,8 @@ import dotenv from "dotenv"
 import fs from "fs"
 import path from "path"
 import { fileURLToPath } from "url"
+import { ensureCommitment } from "./utils/provablyFair.js"
+import { createWinnersEmbed, selectDrawWinners } from "./utils/drawUtils.js"
 
 // Load environment variables
 dotenv.config()
@@ -1247,6 +1249,7 @@ async function handleCreateDrawCommand(interaction) {
     vipOnly: false,
     minDonorTier: null,
   }
+  ensureCommitment(db.donationDraws[id])
 
   saveDatabase(serverId, db)
 
@@ -1261,6 +1264,7 @@ async function handleCreateDrawCommand(interaction) {
       { name: "Reward", value: reward, inline: true },
       { name: "Max Entries", value: maxEntries.toString(), inline: true },
       { name: "Category", value: DRAW_CATEGORIES[category], inline: true },
+      { name: "Fairness Commitment", value: `\`${db.donationDraws[id].fairness.serverSeedHash}\`` },
     )
     .setFooter({ text: "Powered By Aegisum Eco System" })
 
@@ -1299,6 +1303,7 @@ async function handleEditDrawCommand(interaction) {
 
   if (active !== null) {
     draw.active = active
+    if (active) ensureCommitment(draw)
     changes.push(`Status: ${active ? "Active" : "Inactive"}`)
   }
 
@@ -1374,73 +1379,20 @@ async function handleSelectWinnerCommand(interaction) {
     })
   }
 
-  // Create weighted entries array
-  const weightedEntries = []
-  for (const [userId, count] of Object.entries(entries)) {
-    for (let i = 0; i < count; i++) {
-      weightedEntries.push(userId)
-    }
-  }
+  const totalEntries = Object.values(entries).reduce((sum, count) => sum + count, 0)
 
-  if (weightedEntries.length === 0) {
+  if (totalEntries === 0) {
     return interaction.reply({
       content: `❌ No valid entries found for draw "${draw.name}".`,
       flags: MessageFlags.Ephemeral,
     })
   }
 
-  // Select random winner
-  const winnerIndex = Math.floor(Math.random() * weightedEntries.length)
-  const winnerId = weightedEntries[winnerIndex]
-  const winnerEntries = entries[winnerId]
-  const odds = ((winnerEntries / weightedEntries.length) * 100).toFixed(2)
-
-  // Get winner info
-  const winnerUser = db.users[winnerId]
-  const winnerUsername = winnerUser ? winnerUser.username : "Unknown"
-  const displayName = getDisplayName(winnerId, winnerUsername, db)
-
-  // Update user's win count
-  if (winnerUser) {
-    if (!winnerUser.wins) winnerUser.wins = 0
-    winnerUser.wins += 1
-  }
-
-  // Add to draw history
-  if (!db.drawHistory) db.drawHistory = []
-  db.drawHistory.push({
-    drawId,
-    drawName: draw.name,
-    drawTime: Date.now(),
-    winnerId,
-    winnerUsername: displayName,
-    winnerRealUsername: winnerUsername,
-    reward: draw.reward,
-    totalEntries: weightedEntries.length,
-    winnerEntries,
-    winnerPosition: 1,
-    totalWinners: 1,
-  })
-
-  // Keep history limited to last 50 draws
-  if (db.drawHistory.length > 50) {
-    db.drawHistory = db.drawHistory.slice(-50)
-  }
+  const result = selectDrawWinners(db, drawId, { publicSalt: interaction.id, selectedBy: interaction.user.id })
 
   saveDatabase(serverId, db)
 
-  const embed = new EmbedBuilder()
-    .setTitle(`🎉 ${draw.name} Winner!`)
-    .setDescription(`Congratulations to <@${winnerId}>!`)
-    .setColor(db.config.theme.success)
-    .addFields(
-      { name: "🏆 Reward", value: draw.reward },
-      { name: "🎯 Winning Odds", value: `${winnerEntries} out of ${weightedEntries.length} entries (${odds}%)` },
-    )
-    .setTimestamp()
-    .setFooter({ text: "Powered By Aegisum Eco System" })
-
-  await interaction.reply({ embeds: [embed] })
+  await interaction.reply({ embeds: [createWinnersEmbed(db, drawId, result)] })
 }
 
 async function handleResetDrawCommand(interaction) {
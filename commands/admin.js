@@ -1,6 +1,72 @@
-import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
-import { getDatabase, saveDatabase } from "../utils/database.js"
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js"
+import { createBackup, getDatabase, saveDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
+import { ensureCommitment } from "../utils/provablyFair.js"
+import {
+  buildDraw,
+  countEntries,
+  createWinnersEmbed,
+  describeRecurrence,
+  formatDrawTime,
+  formatPrizeLines,
+  generateDrawId,
+  getNextDrawTime,
+  ordinal,
+  parseDrawTime,
+  parsePrizes,
+  parseRecurrence,
+  reopenRecurringDraw,
+  selectDrawWinners,
+  splitIntoFields,
+} from "../utils/drawUtils.js"
+import {
+  cancelDraw,
+  DEFAULT_REMINDER_HOURS,
+  getReminderHours,
+  restoreDrawSchedules,
+  scheduleReminders,
+  syncDrawSchedule,
+} from "../utils/drawScheduler.js"
+import { instantiateTemplate, snapshotDraw, templateKey } from "../utils/drawTemplates.js"
+import {
+  describeMultiplier,
+  formatMultiplier,
+  getMultipliers,
+  isMultiplierActive,
+  pruneExpiredMultipliers,
+} from "../utils/multipliers.js"
+import { endSeason, expireSeason, findSeason, getCurrentSeason, startSeason } from "../utils/seasons.js"
+import { CHALLENGE_TYPES, describeGoal, describeReward, getChallenges, rotateChallenges } from "../utils/challenges.js"
+import { describeCause, findCause } from "../utils/causes.js"
+import {
+  describeRecipient,
+  getRecipients,
+  normalizeRecipient,
+  normalizeRecipients,
+  recipientKey,
+  resolveRecipient,
+} from "../utils/recipients.js"
+import { describePriceOverride, getPriceCacheStats, getPriceOverrides, normalizeSymbol } from "../utils/priceOracle.js"
+import {
+  buildReviewMessage,
+  describeReview,
+  findPendingReview,
+  getPendingReviews,
+  REVIEW_REASONS,
+} from "../utils/reviewQueue.js"
+import { approveHeldTip } from "../events/messageCreate.js"
+import {
+  AUTOMATIC_BACKUP_KINDS,
+  diffDatabases,
+  findBackup,
+  formatBackupSize,
+  getBackupRetention,
+  listBackups,
+  pruneBackups,
+  readBackup,
+} from "../utils/backups.js"
+import { checkIntegrity, repairIntegrity } from "../utils/integrity.js"
+import { sendAdminLog } from "../utils/adminLog.js"
 
 export const data = new SlashCommandBuilder()
   .setName("admin")
@@ -55,6 +121,38 @@ export const data = new SlashCommandBuilder()
       .addBooleanOption((option) => option.setName("vip_only").setDescription("VIP members only").setRequired(false))
       .addBooleanOption((option) =>
         option.setName("manual_entries").setDescription("Manual entry assignment only").setRequired(false),
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("winner_count")
+          .setDescription("Number of unique winners (default 1)")
+          .setMinValue(1)
+          .setMaxValue(25)
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("prizes")
+          .setDescription("Reward per place, comma-separated (e.g. 100 USDT, 50 USDT, 25 USDT)")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("draw_time")
+          .setDescription("When to draw automatically, in UTC (e.g. 2025-06-01 20:00)")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("recurrence")
+          .setDescription("Reopen after each round: daily, weekly, monthly or a cron expression (UTC)")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("cause")
+          .setDescription("Cause ID whose donations enter this draw (default: general donations)")
+          .setRequired(false),
       ),
   )
   .addSubcommand((subcommand) =>
@@ -84,7 +182,10 @@ export const data = new SlashCommandBuilder()
       .setName("add_recipient")
       .setDescription("Add a donation recipient")
       .addStringOption((option) =>
-        option.setName("recipient").setDescription("Username or identifier of the recipient").setRequired(true),
+        option
+          .setName("recipient")
+          .setDescription("User or role mention, user/role ID, or username of the recipient")
+          .setRequired(true),
       ),
   )
   .addSubcommand((subcommand) =>
@@ -92,7 +193,10 @@ export const data = new SlashCommandBuilder()
       .setName("remove_recipient")
       .setDescription("Remove a donation recipient")
       .addStringOption((option) =>
-        option.setName("recipient").setDescription("Username or identifier of the recipient").setRequired(true),
+        option
+          .setName("recipient")
+          .setDescription("User or role mention, user/role ID, or username of the recipient")
+          .setRequired(true),
       ),
   )
   .addSubcommand((subcommand) =>
@@ -100,6 +204,68 @@ export const data = new SlashCommandBuilder()
       .setName("clean_recipients")
       .setDescription("Clean up corrupted recipient data"),
   )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("recipients")
+      .setDescription("Inspect allowed donation recipients")
+      .addSubcommand((subcommand) =>
+        subcommand.setName("list").setDescription("Show every allowed recipient and how it resolves in this server"),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("prices")
+      .setDescription("Manual prices for coins without a reliable market price")
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("set")
+          .setDescription("Pin a coin to a USD price or peg it to another coin")
+          .addStringOption((option) => option.setName("symbol").setDescription("Coin symbol, e.g. SHIC").setRequired(true))
+          .addNumberOption((option) =>
+            option.setName("price").setDescription("USD price of one coin, e.g. 1.00").setMinValue(0).setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("peg").setDescription("Symbol of the coin it is worth one of, e.g. USDT").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("clear")
+          .setDescription("Remove a manual price, the coin is priced by the APIs again")
+          .addStringOption((option) => option.setName("symbol").setDescription("Coin symbol").setRequired(true)),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand.setName("list").setDescription("Show manual prices, cached API prices and tips held for a price"),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("approve")
+          .setDescription("Count tips held without a price, at the manual price or one given here")
+          .addStringOption((option) => option.setName("symbol").setDescription("Coin of the held tips").setRequired(true))
+          .addNumberOption((option) =>
+            option
+              .setName("price")
+              .setDescription("USD price of one coin for these tips only")
+              .setMinValue(0)
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("message_id").setDescription("Only approve the tip of this tip.cc message").setRequired(false),
+          ),
+      ),
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("review")
+      .setDescription("Approve, edit or reject donations held for review")
+      .addStringOption((option) =>
+        option
+          .setName("reason")
+          .setDescription("Only show donations held for this reason")
+          .setRequired(false)
+          .addChoices(...Object.entries(REVIEW_REASONS).map(([value, name]) => ({ name, value }))),
+      ),
+  )
   .addSubcommand((subcommand) =>
     subcommand
       .setName("edit_draw")
@@ -116,7 +282,286 @@ export const data = new SlashCommandBuilder()
       .addBooleanOption((option) =>
         option.setName("manual_entries").setDescription("Manual entry assignment only").setRequired(false),
       )
-      .addBooleanOption((option) => option.setName("vip_only").setDescription("VIP members only").setRequired(false)),
+      .addBooleanOption((option) => option.setName("vip_only").setDescription("VIP members only").setRequired(false))
+      .addIntegerOption((option) =>
+        option
+          .setName("winner_count")
+          .setDescription("Number of unique winners")
+          .setMinValue(1)
+          .setMaxValue(25)
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("prizes")
+          .setDescription("Reward per place, comma-separated (use 'none' to clear)")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("draw_time")
+          .setDescription("When to draw automatically, in UTC (use 'none' to clear)")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("recurrence")
+          .setDescription("daily, weekly, monthly, a cron expression (UTC) or 'none'")
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option.setName("cause").setDescription("Cause ID, or 'none' for general donations").setRequired(false),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("template")
+      .setDescription("Save and reuse draw presets")
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("save")
+          .setDescription("Save one or more draws as a template")
+          .addStringOption((option) => option.setName("name").setDescription("Template name").setRequired(true))
+          .addStringOption((option) =>
+            option
+              .setName("draw_ids")
+              .setDescription("Comma-separated IDs of the draws to snapshot")
+              .setRequired(true),
+          )
+          .addStringOption((option) =>
+            option.setName("description").setDescription("What this template is for").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List saved templates"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("create_from")
+          .setDescription("Create draws from a template")
+          .addStringOption((option) => option.setName("template").setDescription("Template name").setRequired(true))
+          .addStringOption((option) =>
+            option
+              .setName("name_suffix")
+              .setDescription("Appended to every draw name, e.g. 'June 2025'")
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("draw_time")
+              .setDescription("Draw time for every new draw in UTC (overrides the template schedule)")
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("delete")
+          .setDescription("Delete a template")
+          .addStringOption((option) => option.setName("template").setDescription("Template name").setRequired(true)),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("multiplier")
+      .setDescription("Time-boxed bonus entry events")
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("add")
+          .setDescription("Add an entry multiplier")
+          .addStringOption((option) =>
+            option.setName("name").setDescription("Event name, e.g. Weekend Boost").setRequired(true),
+          )
+          .addNumberOption((option) =>
+            option
+              .setName("multiplier")
+              .setDescription("Entry multiplier, e.g. 2 or 1.5")
+              .setMinValue(1)
+              .setMaxValue(10)
+              .setRequired(true),
+          )
+          .addStringOption((option) =>
+            option.setName("end_time").setDescription("When the boost ends in UTC, e.g. 2025-06-01 23:59").setRequired(false),
+          )
+          .addNumberOption((option) =>
+            option
+              .setName("duration_hours")
+              .setDescription("How long the boost lasts (instead of end_time)")
+              .setMinValue(0.1)
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("start_time").setDescription("When the boost starts in UTC (default: now)").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("currency").setDescription("Only boost tips in this currency, e.g. AEGS").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("draw_id").setDescription("Only boost entries for this draw").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List entry multipliers"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("remove")
+          .setDescription("Remove an entry multiplier")
+          .addStringOption((option) => option.setName("id").setDescription("Multiplier ID").setRequired(true)),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("challenge")
+      .setDescription("Define and rotate daily and weekly challenges")
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("define")
+          .setDescription("Define a new challenge")
+          .addStringOption((option) => option.setName("name").setDescription("Challenge name").setRequired(true))
+          .addStringOption((option) =>
+            option
+              .setName("period")
+              .setDescription("How often the challenge resets")
+              .setRequired(true)
+              .addChoices({ name: "Daily", value: "daily" }, { name: "Weekly", value: "weekly" }),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("type")
+              .setDescription("What users have to do")
+              .setRequired(true)
+              .addChoices(
+                ...Object.entries(CHALLENGE_TYPES).map(([value, type]) => ({ name: type.label, value })),
+              ),
+          )
+          .addNumberOption((option) =>
+            option.setName("target").setDescription("Amount to reach, e.g. 3 coins or 5 days").setMinValue(1).setRequired(true),
+          )
+          .addIntegerOption((option) =>
+            option.setName("reward_entries").setDescription("Entries awarded on completion").setMinValue(1).setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("reward_draw_id").setDescription("Draw that receives the reward entries").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("reward_badge").setDescription("Badge awarded on completion").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("description").setDescription("Custom description shown to users").setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("active").setDescription("Activate immediately (default: true)").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List all defined challenges"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("remove")
+          .setDescription("Delete a challenge")
+          .addStringOption((option) => option.setName("id").setDescription("Challenge ID").setRequired(true)),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("rotate")
+          .setDescription("Activate a random set of challenges for a period")
+          .addStringOption((option) =>
+            option
+              .setName("period")
+              .setDescription("Which challenges to rotate")
+              .setRequired(true)
+              .addChoices({ name: "Daily", value: "daily" }, { name: "Weekly", value: "weekly" }),
+          )
+          .addIntegerOption((option) =>
+            option.setName("count").setDescription("How many challenges to activate").setMinValue(1).setRequired(true),
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName("auto")
+              .setDescription("Rotate automatically at the start of every period")
+              .setRequired(false),
+          ),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("season")
+      .setDescription("Manage leaderboard seasons")
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("start")
+          .setDescription("Start a new leaderboard season")
+          .addStringOption((option) => option.setName("name").setDescription("Season name, e.g. Season 2").setRequired(true))
+          .addStringOption((option) =>
+            option.setName("end_date").setDescription("When the season ends in UTC, e.g. 2025-09-01 00:00").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand.setName("end").setDescription("End the current season and archive its standings"),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("backup")
+      .setDescription("Back up and restore this server's data")
+      .addSubcommand((subcommand) => subcommand.setName("create").setDescription("Back up the server's data now"))
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List backups and the retention policy"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("restore")
+          .setDescription("Replace the server's data with a backup (asks for confirmation)")
+          .addStringOption((option) =>
+            option.setName("backup").setDescription("Backup ID from /admin backup list").setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("diff")
+          .setDescription("Compare a backup with the current data or another backup")
+          .addStringOption((option) =>
+            option.setName("backup").setDescription("Backup ID from /admin backup list").setRequired(true),
+          )
+          .addStringOption((option) =>
+            option.setName("against").setDescription("Backup ID to compare with (default: current data)").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("retention")
+          .setDescription("Set how many automatic backups of each kind are kept")
+          .addIntegerOption((option) =>
+            option.setName("hourly").setDescription("Hourly backups to keep (0 to stop taking them)").setMinValue(0).setRequired(false),
+          )
+          .addIntegerOption((option) =>
+            option.setName("daily").setDescription("Daily backups to keep (0 to stop taking them)").setMinValue(0).setRequired(false),
+          )
+          .addIntegerOption((option) =>
+            option.setName("weekly").setDescription("Weekly backups to keep (0 to stop taking them)").setMinValue(0).setRequired(false),
+          ),
+      ),
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("integrity")
+      .setDescription("Find and fix inconsistent server data")
+      .addSubcommand((subcommand) => subcommand.setName("check").setDescription("Report problems without changing anything"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("repair")
+          .setDescription("Back up the server's data, then fix the problems found")
+          .addBooleanOption((option) =>
+            option
+              .setName("prune_orphans")
+              .setDescription("Also delete orphaned users (no donations, entries or settings)")
+              .setRequired(false),
+          ),
+      ),
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("draw_reminders")
+      .setDescription("Configure when reminders are posted before scheduled draws")
+      .addStringOption((option) =>
+        option
+          .setName("hours")
+          .setDescription("Comma-separated hours before the draw, e.g. 24,1 ('default' to reset)")
+          .setRequired(false),
+      ),
   )
   .addSubcommand((subcommand) =>
     subcommand
@@ -154,6 +599,8 @@ export const data = new SlashCommandBuilder()
             { name: "Draw Notifications", value: "drawNotifications" },
             { name: "Privacy Controls", value: "anonymousMode" },
             { name: "Automated Draws", value: "automatedDraws" },
+            { name: "Anti Fraud", value: "antifraudDetection" },
+            { name: "Backup Automation", value: "backupAutomation" },
             { name: "View All", value: "view_all" },
           ),
       )
@@ -234,6 +681,25 @@ export async function execute(interaction) {
 
     logger.info(`Admin command executed: ${subcommand} by ${interaction.user.tag}`)
 
+    switch (interaction.options.getSubcommandGroup(false)) {
+      case "template":
+        return await handleTemplate(interaction, db)
+      case "multiplier":
+        return await handleMultiplier(interaction, db)
+      case "challenge":
+        return await handleChallenge(interaction, db)
+      case "season":
+        return await handleSeason(interaction, db)
+      case "recipients":
+        return await handleRecipientsList(interaction, db)
+      case "prices":
+        return await handlePrices(interaction, db)
+      case "backup":
+        return await handleBackup(interaction, db)
+      case "integrity":
+        return await handleIntegrity(interaction, db)
+    }
+
     switch (subcommand) {
       case "setup":
         await handleSetup(interaction, db)
@@ -265,6 +731,9 @@ export async function execute(interaction) {
       case "edit_draw":
         await handleEditDraw(interaction, db)
         break
+      case "draw_reminders":
+        await handleDrawReminders(interaction, db)
+        break
       case "blacklist":
         await handleBlacklist(interaction, db)
         break
@@ -280,6 +749,9 @@ export async function execute(interaction) {
       case "configure_donor_roles":
         await handleConfigureDonorRoles(interaction, db)
         break
+      case "review":
+        await handleReview(interaction, db)
+        break
       default:
         await handleDashboard(interaction, db)
         break
@@ -465,27 +937,64 @@ async function handleCreateDraw(interaction, db) {
   const maxEntries = interaction.options.getInteger("max_entries")
   const vipOnly = interaction.options.getBoolean("vip_only") || false
   const manualEntries = interaction.options.getBoolean("manual_entries") || false
+  const prizes = parsePrizes(interaction.options.getString("prizes"))
+  const winnerCount = interaction.options.getInteger("winner_count") || Math.max(1, prizes.length)
+  const drawTimeInput = interaction.options.getString("draw_time")
+  const recurrenceInput = interaction.options.getString("recurrence")
+  const recurrence = parseRecurrence(recurrenceInput)
+  const causeInput = interaction.options.getString("cause")
+  const cause = findCause(db, causeInput)
+  let drawTime = parseDrawTime(drawTimeInput)
+
+  if (causeInput && !cause) {
+    return interaction.reply({ content: "❌ Cause not found. See `/causes list`.", flags: MessageFlags.Ephemeral })
+  }
 
-  const drawId = `draw_${Date.now()}`
+  if (drawTimeInput && !drawTime) {
+    return interaction.reply({
+      content: "❌ Invalid draw time. Use a UTC date like `2025-06-01 20:00`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
 
-  const newDraw = {
-    id: drawId,
-    name,
-    reward,
-    minAmount,
-    maxAmount,
-    maxEntries,
-    vipOnly,
-    manualEntriesOnly: manualEntries,
-    active: true,
-    entries: {},
-    createdBy: interaction.user.id,
-    createdAt: Date.now(),
+  if (recurrenceInput && !recurrence) {
+    return interaction.reply({
+      content: "❌ Invalid recurrence. Use `daily`, `weekly`, `monthly` or a cron expression like `0 20 1 * *`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  // Recurring draws always run on a schedule
+  if (recurrence && !drawTime) drawTime = getNextDrawTime(recurrence, null)
+
+  if (drawTime && drawTime <= Date.now()) {
+    return interaction.reply({ content: "❌ The draw time must be in the future.", flags: MessageFlags.Ephemeral })
   }
 
+  const drawId = generateDrawId(db)
+  const newDraw = buildDraw(
+    drawId,
+    {
+      name,
+      reward,
+      minAmount,
+      maxAmount,
+      maxEntries,
+      vipOnly,
+      manualEntriesOnly: manualEntries,
+      winnerCount,
+      prizes,
+      drawTime,
+      recurrence,
+      causeId: cause?.id,
+    },
+    interaction.user.id,
+  )
+
   if (!db.donationDraws) db.donationDraws = {}
   db.donationDraws[drawId] = newDraw
   saveDatabase(interaction.guildId, db)
+  syncDrawSchedule(interaction.client, interaction.guildId, drawId, newDraw)
 
   const embed = new EmbedBuilder()
     .setTitle("✅ Draw Created Successfully")
@@ -498,7 +1007,27 @@ async function handleCreateDraw(interaction, db) {
       { name: "🎟️ Max Entries", value: maxEntries.toString(), inline: true },
       { name: "⭐ VIP Only", value: vipOnly ? "Yes" : "No", inline: true },
       { name: "🔒 Manual Entries", value: manualEntries ? "Yes" : "No", inline: true },
+      { name: "👥 Winners", value: winnerCount.toString(), inline: true },
     )
+
+  if (prizes.length > 0) {
+    embed.addFields(splitIntoFields("🏅 Prizes", formatPrizeLines(newDraw)))
+  }
+
+  if (drawTime) {
+    embed.addFields({ name: "⏰ Draw Time", value: `<t:${Math.floor(drawTime / 1000)}:F>`, inline: false })
+  }
+
+  if (recurrence) {
+    embed.addFields({ name: "🔁 Recurrence", value: describeRecurrence(recurrence), inline: true })
+  }
+
+  if (cause) {
+    embed.addFields({ name: "💠 Cause", value: cause.name, inline: true })
+  }
+
+  embed
+    .addFields({ name: "🔐 Fairness Commitment", value: `\`${newDraw.fairness.serverSeedHash}\``, inline: false })
     .setFooter({ text: "Powered By Aegisum Eco System" })
 
   await interaction.reply({ embeds: [embed] })
@@ -517,66 +1046,32 @@ async function handleSelectWinner(interaction, db) {
     return interaction.reply({ content: "❌ This draw is not active.", flags: MessageFlags.Ephemeral })
   }
 
-  const entries = draw.entries || {}
-  const totalEntries = Object.values(entries).reduce((sum, count) => sum + count, 0)
-
-  if (totalEntries === 0) {
+  if (countEntries(draw) === 0) {
     return interaction.reply({ content: "❌ No entries found for this draw.", flags: MessageFlags.Ephemeral })
   }
 
-  // Create weighted array for selection
-  const weightedEntries = []
-  for (const [userId, entryCount] of Object.entries(entries)) {
-    for (let i = 0; i < entryCount; i++) {
-      weightedEntries.push(userId)
-    }
+  if (!draw.fairness) {
+    logger.warn(`Draw ${drawId} had no fairness commitment, generating one at selection time`)
   }
 
-  // Select random winner
-  const randomIndex = Math.floor(Math.random() * weightedEntries.length)
-  const winnerId = weightedEntries[randomIndex]
-
-  // Update database
-  draw.active = false
-  draw.winner = winnerId
-  draw.winnerSelectedAt = Date.now()
-  draw.selectedBy = interaction.user.id
+  // The salt must be unknown until now: an admin who could pick it could also
+  // read the server seed and try salts until the winner they want comes out
+  const result = selectDrawWinners(db, drawId, { publicSalt: interaction.id, selectedBy: interaction.user.id })
+  const embed = createWinnersEmbed(db, drawId, result)
 
-  // Update user wins
-  if (!db.users) db.users = {}
-  if (!db.users[winnerId]) {
-    db.users[winnerId] = {
-      totalDonated: 0,
-      entries: {},
-      donations: [],
-      achievements: [],
-      privacyEnabled: false,
-      wins: 0,
-    }
+  if (reopenRecurringDraw(db, drawId)) {
+    embed.addFields({
+      name: "🔁 Next Round",
+      value: `Round ${draw.round} is open and will be drawn <t:${Math.floor(draw.drawTime / 1000)}:R>`,
+      inline: false,
+    })
   }
-  db.users[winnerId].wins = (db.users[winnerId].wins || 0) + 1
 
   saveDatabase(interaction.guildId, db)
-
-  const embed = new EmbedBuilder()
-    .setTitle("🎉 Winner Selected!")
-    .setDescription(`**${draw.name}** has a winner!`)
-    .setColor(db.config?.theme?.success || "#4CAF50")
-    .addFields(
-      { name: "🏆 Winner", value: `<@${winnerId}>`, inline: true },
-      { name: "🎁 Reward", value: draw.reward, inline: true },
-      { name: "🎟️ Total Entries", value: totalEntries.toString(), inline: true },
-      {
-        name: "📊 Winner's Entries",
-        value: `${entries[winnerId]} (${((entries[winnerId] / totalEntries) * 100).toFixed(2)}% chance)`,
-        inline: true,
-      },
-    )
-    .setFooter({ text: "Powered By Aegisum Eco System" })
-    .setTimestamp()
+  syncDrawSchedule(interaction.client, interaction.guildId, drawId, draw)
 
   await interaction.reply({ embeds: [embed] })
-  logger.info(`Winner selected for draw ${drawId}: ${winnerId}`)
+  logger.info(`Winners selected for draw ${drawId}: ${result.winners.map((winner) => winner.winnerId).join(", ")}`)
 }
 
 async function handleAssignEntries(interaction, db) {
@@ -694,15 +1189,41 @@ async function handleAssignEntries(interaction, db) {
   )
 }
 
+// Parse recipient input. A bare ID is a role if the server has a role with it.
+function parseRecipientInput(interaction, input) {
+  const recipient = normalizeRecipient(input)
+  if (recipient?.type === "user" && !input.includes("<") && interaction.guild?.roles.cache.has(recipient.id)) {
+    return { type: "role", id: recipient.id, name: interaction.guild.roles.cache.get(recipient.id).name }
+  }
+  return recipient
+}
+
+function formatRecipientList(db) {
+  return getRecipients(db).map((r) => `• ${describeRecipient(r)}`).join("\n") || "None"
+}
+
 async function handleAddRecipient(interaction, db) {
-  const recipient = interaction.options.getString("recipient")
+  const input = interaction.options.getString("recipient")
+  const recipient = parseRecipientInput(interaction, input)
+
+  if (!recipient) {
+    return interaction.reply({ content: `❌ **${input}** is not a valid recipient.`, flags: MessageFlags.Ephemeral })
+  }
+
+  // Store the current name for display, the ID is what is matched
+  if (recipient.type === "user" && !recipient.name) {
+    const member = await interaction.guild.members.fetch(recipient.id).catch(() => null)
+    recipient.name = member?.user.username || null
+  } else if (recipient.type === "role" && !recipient.name) {
+    recipient.name = interaction.guild.roles.cache.get(recipient.id)?.name || null
+  }
 
   if (!db.config) db.config = {}
-  if (!db.config.allowedRecipients) db.config.allowedRecipients = []
+  db.config.allowedRecipients = getRecipients(db)
 
-  if (db.config.allowedRecipients.includes(recipient)) {
+  if (db.config.allowedRecipients.some((r) => recipientKey(r) === recipientKey(recipient))) {
     return interaction.reply({
-      content: `❌ **${recipient}** is already in the allowed recipients list.`,
+      content: `❌ ${describeRecipient(recipient)} is already in the allowed recipients list.`,
       flags: MessageFlags.Ephemeral,
     })
   }
@@ -712,50 +1233,64 @@ async function handleAddRecipient(interaction, db) {
 
   const embed = new EmbedBuilder()
     .setTitle("✅ Recipient Added")
-    .setDescription(`**${recipient}** has been added to the allowed recipients list.`)
+    .setDescription(
+      `${describeRecipient(recipient)} has been added to the allowed recipients list.` +
+        (recipient.type === "role" ? "\nTips to any member of this role now count as donations." : ""),
+    )
     .setColor(db.config?.theme?.success || "#4CAF50")
     .addFields({
       name: "📋 Current Recipients",
-      value: db.config.allowedRecipients.map((r) => `• ${r}`).join("\n") || "None",
+      value: formatRecipientList(db),
       inline: false,
     })
     .setFooter({ text: "Powered By Aegisum Eco System" })
 
   await interaction.reply({ embeds: [embed] })
-  logger.info(`Recipient added: ${recipient} by ${interaction.user.tag}`)
+  logger.info(`Recipient added: ${recipientKey(recipient)} by ${interaction.user.tag}`)
 }
 
 async function handleRemoveRecipient(interaction, db) {
-  const recipient = interaction.options.getString("recipient")
+  const input = interaction.options.getString("recipient")
 
   if (!db.config?.allowedRecipients) {
     return interaction.reply({ content: "❌ No recipients configured.", flags: MessageFlags.Ephemeral })
   }
 
-  const index = db.config.allowedRecipients.indexOf(recipient)
+  // Match by key, and for names also against the stored name of users/roles
+  const recipient = parseRecipientInput(interaction, input)
+  const recipients = getRecipients(db)
+  const index = recipient
+    ? recipients.findIndex(
+        (r) =>
+          recipientKey(r) === recipientKey(recipient) ||
+          (recipient.type === "name" && r.name?.toLowerCase() === recipient.name.toLowerCase()),
+      )
+    : -1
+
   if (index === -1) {
     return interaction.reply({
-      content: `❌ **${recipient}** is not in the allowed recipients list.`,
+      content: `❌ **${input}** is not in the allowed recipients list.`,
       flags: MessageFlags.Ephemeral,
     })
   }
 
-  db.config.allowedRecipients.splice(index, 1)
+  const [removed] = recipients.splice(index, 1)
+  db.config.allowedRecipients = recipients
   saveDatabase(interaction.guildId, db)
 
   const embed = new EmbedBuilder()
     .setTitle("✅ Recipient Removed")
-    .setDescription(`**${recipient}** has been removed from the allowed recipients list.`)
+    .setDescription(`${describeRecipient(removed)} has been removed from the allowed recipients list.`)
     .setColor(db.config?.theme?.success || "#4CAF50")
     .addFields({
       name: "📋 Current Recipients",
-      value: db.config.allowedRecipients.map((r) => `• ${r}`).join("\n") || "None",
+      value: formatRecipientList(db),
       inline: false,
     })
     .setFooter({ text: "Powered By Aegisum Eco System" })
 
   await interaction.reply({ embeds: [embed] })
-  logger.info(`Recipient removed: ${recipient} by ${interaction.user.tag}`)
+  logger.info(`Recipient removed: ${recipientKey(removed)} by ${interaction.user.tag}`)
 }
 
 async function handleCleanRecipients(interaction, db) {
@@ -763,11 +1298,9 @@ async function handleCleanRecipients(interaction, db) {
   if (!db.config.allowedRecipients) db.config.allowedRecipients = []
 
   const originalCount = db.config.allowedRecipients.length
-  
-  // Clean up corrupted recipients (remove objects, keep only strings)
-  db.config.allowedRecipients = db.config.allowedRecipients.filter(recipient => {
-    return typeof recipient === 'string' && recipient.trim().length > 0
-  })
+
+  // Normalize every entry, dropping ones that identify nobody and duplicates
+  db.config.allowedRecipients = normalizeRecipients(db.config.allowedRecipients)
 
   const cleanedCount = db.config.allowedRecipients.length
   const removedCount = originalCount - cleanedCount
@@ -784,7 +1317,7 @@ async function handleCleanRecipients(interaction, db) {
       { name: "🗑️ Removed", value: removedCount.toString(), inline: true },
       {
         name: "📋 Current Recipients",
-        value: db.config.allowedRecipients.map((r) => `• ${r}`).join("\n") || "None",
+        value: formatRecipientList(db),
         inline: false,
       }
     )
@@ -794,87 +1327,1194 @@ async function handleCleanRecipients(interaction, db) {
   logger.info(`Recipients cleaned: removed ${removedCount} invalid entries by ${interaction.user.tag}`)
 }
 
-async function handleEditDraw(interaction, db) {
-  const drawId = interaction.options.getString("draw_id")
-  const draw = db.donationDraws?.[drawId]
+async function handleRecipientsList(interaction, db) {
+  const recipients = getRecipients(db)
+  const embed = new EmbedBuilder()
+    .setTitle("📨 Allowed Recipients")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
 
-  if (!draw) {
-    return interaction.reply({ content: "❌ Draw not found.", flags: MessageFlags.Ephemeral })
+  if (recipients.length === 0) {
+    embed.setDescription("No recipients configured. Add one with `/admin add_recipient`.")
+    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
   }
 
-  const newName = interaction.options.getString("name")
-  const newReward = interaction.options.getString("reward")
-  const newMinAmount = interaction.options.getNumber("min_amount")
-  const newMaxAmount = interaction.options.getNumber("max_amount")
-  const newMaxEntries = interaction.options.getInteger("max_entries")
-  const newActive = interaction.options.getBoolean("active")
-  const newManualEntries = interaction.options.getBoolean("manual_entries")
-  const newVipOnly = interaction.options.getBoolean("vip_only")
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral })
 
-  if (newName) draw.name = newName
-  if (newReward) draw.reward = newReward
-  if (newMinAmount !== null) draw.minAmount = newMinAmount
-  if (newMaxAmount !== null) draw.maxAmount = newMaxAmount
-  if (newMaxEntries !== null) draw.maxEntries = newMaxEntries
-  if (newActive !== null) draw.active = newActive
-  if (newManualEntries !== null) draw.manualEntriesOnly = newManualEntries
-  if (newVipOnly !== null) draw.vipOnly = newVipOnly
+  let unresolved = 0
+  for (const recipient of recipients.slice(0, 25)) {
+    const resolved = await resolveRecipient(interaction.guild, recipient)
+    if (!resolved.ok) unresolved++
 
-  draw.lastModified = Date.now()
-  draw.modifiedBy = interaction.user.id
+    const label = { user: "👤 User", role: "👥 Role", name: "🏷️ Username" }[recipient.type]
+    embed.addFields({
+      name: `${label}: ${recipient.name || recipient.id}`,
+      value: `${describeRecipient(recipient)}\n${resolved.text}`,
+      inline: false,
+    })
+  }
+
+  embed.setDescription(
+    `**${recipients.length}** recipient${recipients.length === 1 ? "" : "s"} configured` +
+      (unresolved > 0 ? ` • ⚠️ ${unresolved} do not resolve to anyone in this server` : " • all resolve"),
+  )
+
+  await interaction.editReply({ embeds: [embed] })
+}
+
+async function handlePrices(interaction, db) {
+  switch (interaction.options.getSubcommand()) {
+    case "set":
+      return handlePricesSet(interaction, db)
+    case "clear":
+      return handlePricesClear(interaction, db)
+    case "list":
+      return handlePricesList(interaction, db)
+    case "approve":
+      return handlePricesApprove(interaction, db)
+  }
+}
+
+function getHeldTips(db, symbol) {
+  return getPendingReviews(db).filter(
+    (entry) => entry.reason === "unpriced" && normalizeSymbol(entry.currency) === symbol,
+  )
+}
+
+async function handlePricesSet(interaction, db) {
+  const symbol = normalizeSymbol(interaction.options.getString("symbol"))
+  const price = interaction.options.getNumber("price")
+  const pegInput = interaction.options.getString("peg")
+  const peg = pegInput ? normalizeSymbol(pegInput) : null
+
+  if ((price === null) === !peg) {
+    return interaction.reply({
+      content: "❌ Provide either a `price` or a `peg`, not both.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (price !== null && price <= 0) {
+    return interaction.reply({ content: "❌ The price must be greater than 0.", flags: MessageFlags.Ephemeral })
+  }
+
+  const overrides = getPriceOverrides(db)
+  if (peg === symbol || overrides[peg]?.peg) {
+    return interaction.reply({
+      content: `❌ ${symbol} cannot be pegged to ${peg}. Peg to a coin with a market or manual price.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const pegged = Object.entries(overrides).filter(([, override]) => override.peg === symbol)
+  if (peg && pegged.length > 0) {
+    return interaction.reply({
+      content: `❌ ${pegged.map(([pegSymbol]) => pegSymbol).join(", ")} ${pegged.length === 1 ? "is" : "are"} pegged to ${symbol}, so it cannot be pegged itself.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
 
+  overrides[symbol] = {
+    ...(peg ? { peg } : { price }),
+    setBy: interaction.user.id,
+    setAt: Date.now(),
+  }
   saveDatabase(interaction.guildId, db)
 
+  const held = getHeldTips(db, symbol)
   const embed = new EmbedBuilder()
-    .setTitle("✅ Draw Updated")
-    .setDescription(`**${draw.name}** has been updated successfully!`)
+    .setTitle("💱 Manual Price Set")
+    .setDescription(`**${describePriceOverride(symbol, overrides[symbol])}**\nNew ${symbol} donations are valued at this price.`)
     .setColor(db.config?.theme?.success || "#4CAF50")
-    .addFields(
-      { name: "🆔 Draw ID", value: `\`${drawId}\``, inline: true },
-      { name: "📊 Current Status", value: draw.active ? "🟢 Active" : "🔴 Inactive", inline: true },
-      { name: "🔒 Manual Entries", value: draw.manualEntriesOnly ? "Yes" : "No", inline: true },
-      { name: "⭐ VIP Only", value: draw.vipOnly ? "Yes" : "No", inline: true },
-    )
     .setFooter({ text: "Powered By Aegisum Eco System" })
 
-  await interaction.reply({ embeds: [embed] })
-  logger.info(`Draw edited: ${drawId} by ${interaction.user.tag}`)
+  if (held.length > 0) {
+    embed.addFields({
+      name: "⏸️ Held Tips",
+      value: `${held.length} ${symbol} tip(s) are waiting for a price. Count them with \`/admin prices approve symbol:${symbol}\`.`,
+      inline: false,
+    })
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+  logger.info(`Price override ${describePriceOverride(symbol, overrides[symbol])} set by ${interaction.user.tag}`)
 }
 
-async function handleBlacklist(interaction, db) {
-  const action = interaction.options.getString("action")
-  const user = interaction.options.getUser("user")
-  const reason = interaction.options.getString("reason") || "No reason provided"
+async function handlePricesClear(interaction, db) {
+  const symbol = normalizeSymbol(interaction.options.getString("symbol"))
+  const overrides = getPriceOverrides(db)
 
-  if (!db.config) db.config = {}
-  if (!db.config.globalBlacklist) {
-    db.config.globalBlacklist = { users: [], roles: [] }
+  if (!overrides[symbol]) {
+    return interaction.reply({ content: `❌ ${symbol} has no manual price.`, flags: MessageFlags.Ephemeral })
   }
 
-  const embed = new EmbedBuilder()
-    .setColor(db.config?.theme?.warning || "#FFC107")
-    .setFooter({ text: "Powered By Aegisum Eco System" })
-
-  switch (action) {
-    case "add_user":
-      if (!user) {
-        return interaction.reply({ content: "❌ Please specify a user to blacklist.", flags: MessageFlags.Ephemeral })
-      }
+  const pegged = Object.keys(overrides).filter((pegSymbol) => overrides[pegSymbol].peg === symbol)
+  const removed = overrides[symbol]
+  delete overrides[symbol]
+  saveDatabase(interaction.guildId, db)
 
-      if (db.config.globalBlacklist.users.some((entry) => entry.id === user.id)) {
-        return interaction.reply({
-          content: `❌ **${user.username}** is already blacklisted.`,
-          flags: MessageFlags.Ephemeral,
-        })
-      }
+  await interaction.reply({
+    content:
+      `✅ Removed **${describePriceOverride(symbol, removed)}**, ${symbol} is priced by the APIs again.` +
+      (pegged.length > 0 ? `\n⚠️ ${pegged.join(", ")} ${pegged.length === 1 ? "is" : "are"} still pegged to ${symbol}.` : ""),
+    flags: MessageFlags.Ephemeral,
+  })
+  logger.info(`Price override for ${symbol} cleared by ${interaction.user.tag}`)
+}
 
-      db.config.globalBlacklist.users.push({
-        id: user.id,
-        username: user.username,
-        reason,
-        addedBy: interaction.user.id,
-        addedAt: Date.now(),
-      })
+async function handlePricesList(interaction, db) {
+  const overrides = Object.entries(getPriceOverrides(db)).sort(([a], [b]) => a.localeCompare(b))
+  const cached = getPriceCacheStats().filter((quote) => !quote.expired)
+  const held = getPendingReviews(db).filter((entry) => entry.reason === "unpriced")
+
+  const embed = new EmbedBuilder()
+    .setTitle("💱 Prices")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .addFields(
+      {
+        name: "📌 Manual Prices",
+        value:
+          overrides
+            .map(([symbol, override]) => `• **${describePriceOverride(symbol, override)}** by <@${override.setBy}> <t:${Math.floor(override.setAt / 1000)}:R>`)
+            .join("\n")
+            .slice(0, 1024) || "None, every coin is priced by the APIs",
+        inline: false,
+      },
+      {
+        name: "🌐 Cached API Prices",
+        value:
+          cached
+            .map((quote) => `• ${quote.symbol}: $${quote.price} (${quote.source}, <t:${Math.floor(quote.fetchedAt / 1000)}:R>)`)
+            .join("\n")
+            .slice(0, 1024) || "None",
+        inline: false,
+      },
+      {
+        name: `⏸️ Held Tips (${held.length})`,
+        value:
+          held
+            .slice(0, 10)
+            .map((entry) => `• ${describeReview(entry)} • \`${entry.messageId}\` <t:${Math.floor(entry.heldAt / 1000)}:R>`)
+            .join("\n") || "No tips are waiting for a price",
+        inline: false,
+      },
+    )
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+// Re-process held tips now that a price is known. Each approval goes through
+// the normal donation flow, which reads and saves the database itself.
+async function handlePricesApprove(interaction, db) {
+  const symbol = normalizeSymbol(interaction.options.getString("symbol"))
+  const price = interaction.options.getNumber("price")
+  const messageId = interaction.options.getString("message_id")?.trim()
+
+  const held = getHeldTips(db, symbol).filter((entry) => !messageId || entry.messageId === messageId)
+  if (held.length === 0) {
+    return interaction.reply({
+      content: `❌ No ${symbol} tips are held for a price${messageId ? ` with message ID \`${messageId}\`` : ""}.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (price !== null && price <= 0) {
+    return interaction.reply({ content: "❌ The price must be greater than 0.", flags: MessageFlags.Ephemeral })
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+
+  let approved = 0
+  let total = 0
+  const failed = []
+  for (const entry of held) {
+    const result = await approveHeldTip(interaction.guild, entry, { by: interaction.user.id, price })
+    if (result?.donation) {
+      approved++
+      total += result.donation.amount
+    } else if (result?.missing) {
+      failed.push(`${describeReview(entry)}: the tip.cc message no longer exists`)
+    } else {
+      const stillHeld = findPendingReview(getDatabase(interaction.guildId), entry.messageId)
+      failed.push(`${describeReview(entry)}: ${stillHeld ? stillHeld.detail : "not counted, see the bot logs"}`)
+    }
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Held Tips Approved")
+    .setDescription(`Counted **${approved}** of ${held.length} held ${symbol} tip(s), worth **$${total.toFixed(2)}**.`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  if (failed.length > 0) {
+    embed.addFields({ name: "⚠️ Not Counted", value: failed.slice(0, 10).join("\n"), inline: false })
+  }
+
+  await interaction.editReply({ embeds: [embed] })
+  logger.info(`${approved}/${held.length} held ${symbol} tips approved by ${interaction.user.tag}${price ? ` at $${price}` : ""}`)
+}
+
+async function handleBackup(interaction, db) {
+  switch (interaction.options.getSubcommand()) {
+    case "create":
+      return handleBackupCreate(interaction, db)
+    case "list":
+      return handleBackupList(interaction, db)
+    case "restore":
+      return handleBackupRestore(interaction, db)
+    case "diff":
+      return handleBackupDiff(interaction, db)
+    case "retention":
+      return handleBackupRetention(interaction, db)
+  }
+}
+
+function describeBackup(backup) {
+  return `\`${backup.id}\` <t:${Math.floor(backup.createdAt / 1000)}:R> • ${formatBackupSize(backup.size)}`
+}
+
+async function handleBackupCreate(interaction, db) {
+  const backup = createBackup(interaction.guildId)
+  if (!backup) {
+    return interaction.reply({ content: "❌ The backup could not be written, see the bot logs.", flags: MessageFlags.Ephemeral })
+  }
+
+  await interaction.reply({
+    content: `✅ Created backup ${describeBackup(backup)}${backup.exported ? `, exported to \`${process.env.BACKUP_EXPORT_DIR}\`` : ""}.`,
+    flags: MessageFlags.Ephemeral,
+  })
+  logger.info(`Backup ${backup.id} created by ${interaction.user.tag}`)
+}
+
+async function handleBackupList(interaction, db) {
+  const backups = listBackups(interaction.guildId)
+  const retention = getBackupRetention(db)
+  const automation = db.config?.featureToggles?.backupAutomation
+
+  const embed = new EmbedBuilder()
+    .setTitle("💾 Backups")
+    .setDescription(
+      backups
+        .slice(0, 15)
+        .map((backup) => `• ${describeBackup(backup)}`)
+        .join("\n") || "No backups yet. Create one with `/admin backup create`.",
+    )
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .addFields(
+      {
+        name: "🕒 Automatic Backups",
+        value: automation
+          ? `Keeping ${retention.hourly} hourly, ${retention.daily} daily and ${retention.weekly} weekly`
+          : "Off, turn on **Backup Automation** with `/admin features`",
+        inline: false,
+      },
+      { name: "📤 Export Directory", value: process.env.BACKUP_EXPORT_DIR ? `\`${process.env.BACKUP_EXPORT_DIR}\`` : "Not set", inline: true },
+      { name: "📦 Total", value: `${backups.length} backup(s)`, inline: true },
+    )
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+// Read a backup named by an option, replying with an error if it is missing
+// or unreadable
+async function loadBackupOption(interaction, name) {
+  const id = interaction.options.getString(name)
+  const backup = findBackup(interaction.guildId, id)
+  if (!backup) {
+    await interaction.reply({ content: `❌ Backup \`${id}\` not found. See \`/admin backup list\`.`, flags: MessageFlags.Ephemeral })
+    return null
+  }
+
+  try {
+    return { backup, data: readBackup(backup) }
+  } catch (error) {
+    logger.error(`Error reading backup ${backup.file}:`, error)
+    await interaction.reply({ content: `❌ Backup \`${id}\` could not be read.`, flags: MessageFlags.Ephemeral })
+    return null
+  }
+}
+
+// Show what a restore would change, the restore itself happens on the
+// confirmation button (handlers/buttonHandler.js)
+async function handleBackupRestore(interaction, db) {
+  const loaded = await loadBackupOption(interaction, "backup")
+  if (!loaded) return
+
+  const changes = diffDatabases(db, loaded.data)
+  const embed = new EmbedBuilder()
+    .setTitle("⚠️ Restore Backup?")
+    .setDescription(
+      `This replaces all of the server's data with backup ${describeBackup(loaded.backup)}. ` +
+        "The current data is backed up first, so the restore can be undone.",
+    )
+    .setColor(db.config?.theme?.warning || "#FFC107")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .addFields({
+      name: "📝 Changes",
+      value: changes.join("\n").slice(0, 1024) || "None, the backup matches the current data",
+      inline: false,
+    })
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`backup_restore_${loaded.backup.id}`)
+      .setLabel("Restore")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`backup_cancel_${loaded.backup.id}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary),
+  )
+
+  await interaction.reply({ embeds: [embed], components: [buttons], flags: MessageFlags.Ephemeral })
+}
+
+async function handleBackupDiff(interaction, db) {
+  const loaded = await loadBackupOption(interaction, "backup")
+  if (!loaded) return
+
+  let against = { label: "the current data", data: db }
+  if (interaction.options.getString("against")) {
+    const other = await loadBackupOption(interaction, "against")
+    if (!other) return
+    against = { label: `\`${other.backup.id}\``, data: other.data }
+  }
+
+  const changes = diffDatabases(loaded.data, against.data)
+  const embed = new EmbedBuilder()
+    .setTitle("🔍 Backup Diff")
+    .setDescription(`Changes from \`${loaded.backup.id}\` to ${against.label}:`)
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .addFields({ name: "📝 Changes", value: changes.join("\n").slice(0, 1024) || "None", inline: false })
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleBackupRetention(interaction, db) {
+  const retention = getBackupRetention(db)
+  for (const kind of AUTOMATIC_BACKUP_KINDS) {
+    const keep = interaction.options.getInteger(kind)
+    if (keep !== null) retention[kind] = keep
+  }
+
+  db.config.backupRetention = retention
+  saveDatabase(interaction.guildId, db)
+  const removed = pruneBackups(interaction.guildId, retention)
+
+  await interaction.reply({
+    content:
+      `✅ Keeping ${retention.hourly} hourly, ${retention.daily} daily and ${retention.weekly} weekly backups.` +
+      (removed.length > 0 ? ` Removed ${removed.length} older backup(s).` : ""),
+    flags: MessageFlags.Ephemeral,
+  })
+  logger.info(`Backup retention set to ${JSON.stringify(retention)} by ${interaction.user.tag}`)
+}
+
+// Findings of each integrity check as embed fields
+function buildIntegrityFields(report) {
+  return report.checks
+    .filter((check) => check.findings.length > 0)
+    .map((check) => {
+      const shown = check.findings.slice(0, 10).map((finding) => `• ${finding}`)
+      if (check.findings.length > shown.length) shown.push(`…and ${check.findings.length - shown.length} more`)
+      return {
+        name: `${check.description} (${check.findings.length}${check.reportOnly ? ", not repaired" : ""})`,
+        value: shown.join("\n").slice(0, 1024),
+        inline: false,
+      }
+    })
+}
+
+async function handleIntegrity(interaction, db) {
+  const repair = interaction.options.getSubcommand() === "repair"
+  const options = { pruneOrphans: repair && !!interaction.options.getBoolean("prune_orphans") }
+  const report = repair ? repairIntegrity(interaction.guildId, db, options) : checkIntegrity(structuredClone(db))
+
+  const embed = new EmbedBuilder()
+    .setTitle(repair ? "🛠️ Integrity Repair" : "🩺 Integrity Check")
+    .setColor(report.total === 0 ? db.config?.theme?.success || "#4CAF50" : db.config?.theme?.warning || "#FFC107")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .addFields(buildIntegrityFields(report))
+
+  // Findings of reportOnly checks are never repaired, an admin has to look at them
+  const unrepaired = report.total - report.repairable
+  const orphans = report.checks.find((check) => check.name === "orphaned_users" && check.reportOnly)?.findings.length
+  const unrepairedNote =
+    unrepaired > 0
+      ? ` **${unrepaired}** finding(s) are only reported, check them by hand.${orphans ? " `/admin integrity repair prune_orphans:true` deletes the orphaned users." : ""}`
+      : ""
+
+  if (report.total === 0) {
+    embed.setDescription("✅ No problems found.")
+  } else if (repair && report.repairable > 0) {
+    embed.setDescription(
+      `Fixed **${report.repairable}** problem(s). The data as it was is in backup \`${report.backup.id}\`, ` +
+        `restore it with \`/admin backup restore\` if needed.${unrepairedNote}`,
+    )
+  } else if (repair) {
+    embed.setDescription(`Nothing to fix.${unrepairedNote}`)
+  } else {
+    embed.setDescription(
+      `Found **${report.total}** problem(s).${report.repairable > 0 ? ` Fix ${report.repairable} of them with \`/admin integrity repair\`.` : ""}${unrepairedNote}`,
+    )
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+
+  if (repair && report.repairable > 0) {
+    await sendAdminLog(interaction.client, db, {
+      title: "🛠️ Data Repaired",
+      description: `<@${interaction.user.id}> fixed ${report.repairable} integrity problem(s). Backup: \`${report.backup.id}\``,
+      color: "warning",
+    })
+    logger.info(`Integrity repair of ${report.repairable} problem(s) by ${interaction.user.tag}`)
+  }
+}
+
+// Cards for held donations, their buttons are handled in handlers/buttonHandler.js
+async function handleReview(interaction, db) {
+  const reason = interaction.options.getString("reason")
+  await interaction.reply({ ...buildReviewMessage(db, interaction.guildId, { reason }), flags: MessageFlags.Ephemeral })
+}
+
+async function handleEditDraw(interaction, db) {
+  const drawId = interaction.options.getString("draw_id")
+  const draw = db.donationDraws?.[drawId]
+
+  if (!draw) {
+    return interaction.reply({ content: "❌ Draw not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  const newName = interaction.options.getString("name")
+  const newReward = interaction.options.getString("reward")
+  const newMinAmount = interaction.options.getNumber("min_amount")
+  const newMaxAmount = interaction.options.getNumber("max_amount")
+  const newMaxEntries = interaction.options.getInteger("max_entries")
+  const newActive = interaction.options.getBoolean("active")
+  const newManualEntries = interaction.options.getBoolean("manual_entries")
+  const newVipOnly = interaction.options.getBoolean("vip_only")
+  const newWinnerCount = interaction.options.getInteger("winner_count")
+  const newPrizes = interaction.options.getString("prizes")
+  const newDrawTime = interaction.options.getString("draw_time")
+  const newRecurrence = interaction.options.getString("recurrence")
+  const newCause = interaction.options.getString("cause")
+
+  if (newRecurrence !== null && newRecurrence.toLowerCase() !== "none" && !parseRecurrence(newRecurrence)) {
+    return interaction.reply({
+      content: "❌ Invalid recurrence. Use `daily`, `weekly`, `monthly` or a cron expression like `0 20 1 * *`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (newCause !== null && newCause.toLowerCase() !== "none" && !findCause(db, newCause)) {
+    return interaction.reply({ content: "❌ Cause not found. See `/causes list`.", flags: MessageFlags.Ephemeral })
+  }
+
+  if (newDrawTime !== null && newDrawTime.toLowerCase() !== "none") {
+    const drawTime = parseDrawTime(newDrawTime)
+    if (!drawTime || drawTime <= Date.now()) {
+      return interaction.reply({
+        content: "❌ Invalid draw time. Use a future UTC date like `2025-06-01 20:00`.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+  }
+
+  if (newName) draw.name = newName
+  if (newReward) draw.reward = newReward
+  if (newMinAmount !== null) draw.minAmount = newMinAmount
+  if (newMaxAmount !== null) draw.maxAmount = newMaxAmount
+  if (newMaxEntries !== null) draw.maxEntries = newMaxEntries
+  if (newActive !== null) draw.active = newActive
+  if (draw.active) ensureCommitment(draw)
+  if (newManualEntries !== null) draw.manualEntriesOnly = newManualEntries
+  if (newVipOnly !== null) draw.vipOnly = newVipOnly
+  if (newPrizes !== null) draw.prizes = newPrizes.toLowerCase() === "none" ? [] : parsePrizes(newPrizes)
+  if (newCause !== null) {
+    if (newCause.toLowerCase() === "none") {
+      delete draw.causeId
+    } else {
+      draw.causeId = findCause(db, newCause).id
+    }
+  }
+  if (newWinnerCount !== null) {
+    draw.winnerCount = newWinnerCount
+    draw.multiWinner = newWinnerCount > 1
+  }
+  if (newDrawTime !== null) {
+    draw.drawTime = newDrawTime.toLowerCase() === "none" ? null : parseDrawTime(newDrawTime)
+    draw.drawTimeFormatted = draw.drawTime ? formatDrawTime(draw.drawTime) : null
+    draw.notificationSent = false
+    draw.remindersSent = []
+  }
+  if (newRecurrence !== null) {
+    draw.recurrence = newRecurrence.toLowerCase() === "none" ? null : parseRecurrence(newRecurrence)
+    if (draw.recurrence && !draw.drawTime) {
+      draw.drawTime = getNextDrawTime(draw.recurrence, null)
+      draw.drawTimeFormatted = formatDrawTime(draw.drawTime)
+    }
+    if (!draw.round) draw.round = 1
+  }
+
+  draw.lastModified = Date.now()
+  draw.modifiedBy = interaction.user.id
+
+  saveDatabase(interaction.guildId, db)
+  syncDrawSchedule(interaction.client, interaction.guildId, drawId, draw)
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Draw Updated")
+    .setDescription(`**${draw.name}** has been updated successfully!`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      { name: "🆔 Draw ID", value: `\`${drawId}\``, inline: true },
+      { name: "📊 Current Status", value: draw.active ? "🟢 Active" : "🔴 Inactive", inline: true },
+      { name: "🔒 Manual Entries", value: draw.manualEntriesOnly ? "Yes" : "No", inline: true },
+      { name: "⭐ VIP Only", value: draw.vipOnly ? "Yes" : "No", inline: true },
+      { name: "👥 Winners", value: (draw.winnerCount || 1).toString(), inline: true },
+      { name: "⏰ Draw Time", value: draw.drawTime ? `<t:${Math.floor(draw.drawTime / 1000)}:F>` : "Manual", inline: true },
+      { name: "🔁 Recurrence", value: describeRecurrence(draw.recurrence), inline: true },
+      { name: "💠 Cause", value: describeCause(db, draw.causeId), inline: true },
+    )
+
+  if (draw.prizes?.length > 0) {
+    embed.addFields(splitIntoFields("🏅 Prizes", formatPrizeLines(draw)))
+  }
+
+  embed.setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Draw edited: ${drawId} by ${interaction.user.tag}`)
+}
+
+async function handleTemplate(interaction, db) {
+  if (db.config?.featureToggles?.drawTemplates === false) {
+    return interaction.reply({
+      content: "❌ Draw templates are disabled. Enable them with `/admin features feature:drawTemplates`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (!db.templates) db.templates = {}
+
+  switch (interaction.options.getSubcommand()) {
+    case "save":
+      return handleTemplateSave(interaction, db)
+    case "list":
+      return handleTemplateList(interaction, db)
+    case "create_from":
+      return handleTemplateCreateFrom(interaction, db)
+    case "delete":
+      return handleTemplateDelete(interaction, db)
+  }
+}
+
+async function handleTemplateSave(interaction, db) {
+  const name = interaction.options.getString("name").trim()
+  const description = interaction.options.getString("description")
+  const drawIds = [
+    ...new Set(
+      interaction.options
+        .getString("draw_ids")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+    ),
+  ]
+  const key = templateKey(name)
+
+  if (!key) {
+    return interaction.reply({ content: "❌ Template names need at least one letter or digit.", flags: MessageFlags.Ephemeral })
+  }
+
+  const missing = drawIds.filter((drawId) => !db.donationDraws?.[drawId])
+  if (drawIds.length === 0 || missing.length > 0) {
+    return interaction.reply({
+      content: `❌ Draw not found: ${missing.map((id) => `\`${id}\``).join(", ") || "no draw IDs given"}.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const existing = db.templates[key]
+  db.templates[key] = {
+    name,
+    description: description || existing?.description || null,
+    draws: drawIds.map((drawId) => snapshotDraw(db.donationDraws[drawId])),
+    sourceDrawIds: drawIds,
+    createdBy: interaction.user.id,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+    timesUsed: existing?.timesUsed || 0,
+  }
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle(existing ? "✅ Template Updated" : "✅ Template Saved")
+    .setDescription(`**${name}** can now be used with \`/admin template create_from template:${key}\``)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields({ name: "📋 Draws", value: formatTemplateDraws(db.templates[key]), inline: false })
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Template ${key} saved from ${drawIds.join(", ")} by ${interaction.user.tag}`)
+}
+
+async function handleTemplateList(interaction, db) {
+  const templates = Object.entries(db.templates)
+
+  const embed = new EmbedBuilder()
+    .setTitle("📋 Draw Templates")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  if (templates.length === 0) {
+    embed.setDescription("No templates saved yet. Use `/admin template save` to snapshot existing draws.")
+  } else {
+    for (const [key, template] of templates.slice(0, 25)) {
+      const usage = template.timesUsed ? `Used ${template.timesUsed} time${template.timesUsed === 1 ? "" : "s"}` : "Never used"
+      embed.addFields({
+        name: `${template.name} (\`${key}\`)`,
+        value: [template.description, formatTemplateDraws(template), usage].filter(Boolean).join("\n"),
+        inline: false,
+      })
+    }
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleTemplateCreateFrom(interaction, db) {
+  const key = templateKey(interaction.options.getString("template"))
+  const template = db.templates[key]
+  const nameSuffix = interaction.options.getString("name_suffix")
+  const drawTimeInput = interaction.options.getString("draw_time")
+  const drawTime = parseDrawTime(drawTimeInput)
+
+  if (!template) {
+    return interaction.reply({
+      content: "❌ Template not found. Use `/admin template list` to see saved templates.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (drawTimeInput && !drawTime) {
+    return interaction.reply({
+      content: "❌ Invalid draw time. Use a UTC date like `2025-06-01 20:00`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (drawTime && drawTime <= Date.now()) {
+    return interaction.reply({ content: "❌ The draw time must be in the future.", flags: MessageFlags.Ephemeral })
+  }
+
+  const created = instantiateTemplate(db, template, { drawTime, nameSuffix, createdBy: interaction.user.id })
+  saveDatabase(interaction.guildId, db)
+
+  for (const [drawId, draw] of created) {
+    syncDrawSchedule(interaction.client, interaction.guildId, drawId, draw)
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Draws Created From Template")
+    .setDescription(`Created ${created.length} draw${created.length === 1 ? "" : "s"} from **${template.name}**.`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  for (const [drawId, draw] of created.slice(0, 25)) {
+    const details = [
+      `🆔 \`${drawId}\``,
+      `🏆 ${draw.reward} • 💰 $${draw.minAmount} - $${draw.maxAmount} • 🎟️ ${draw.maxEntries}`,
+    ]
+    if (draw.drawTime) details.push(`⏰ <t:${Math.floor(draw.drawTime / 1000)}:F>`)
+    if (draw.recurrence) details.push(`🔁 ${describeRecurrence(draw.recurrence)}`)
+
+    embed.addFields({ name: draw.name, value: details.join("\n"), inline: false })
+  }
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Template ${key} used to create ${created.map(([drawId]) => drawId).join(", ")} by ${interaction.user.tag}`)
+}
+
+async function handleTemplateDelete(interaction, db) {
+  const key = templateKey(interaction.options.getString("template"))
+  const template = db.templates[key]
+
+  if (!template) {
+    return interaction.reply({ content: "❌ Template not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  delete db.templates[key]
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({ content: `✅ Template **${template.name}** deleted.`, flags: MessageFlags.Ephemeral })
+  logger.info(`Template ${key} deleted by ${interaction.user.tag}`)
+}
+
+function formatTemplateDraws(template) {
+  return template.draws
+    .map((settings) => {
+      const flags = [settings.vipOnly && "VIP", settings.recurrence && describeRecurrence(settings.recurrence)]
+      const suffix = flags.filter(Boolean).join(", ")
+      return `• **${settings.name}** - ${settings.reward} ($${settings.minAmount} - $${settings.maxAmount})${suffix ? ` • ${suffix}` : ""}`
+    })
+    .join("\n")
+    .slice(0, 1024)
+}
+
+async function handleMultiplier(interaction, db) {
+  switch (interaction.options.getSubcommand()) {
+    case "add":
+      return handleMultiplierAdd(interaction, db)
+    case "list":
+      return handleMultiplierList(interaction, db)
+    case "remove":
+      return handleMultiplierRemove(interaction, db)
+  }
+}
+
+async function handleMultiplierAdd(interaction, db) {
+  const name = interaction.options.getString("name")
+  const value = interaction.options.getNumber("multiplier")
+  const startInput = interaction.options.getString("start_time")
+  const endInput = interaction.options.getString("end_time")
+  const durationHours = interaction.options.getNumber("duration_hours")
+  const currency = interaction.options.getString("currency")?.trim().toUpperCase() || null
+  const drawId = interaction.options.getString("draw_id")?.trim() || null
+
+  const startsAt = startInput ? parseDrawTime(startInput) : Date.now()
+  let endsAt = endInput ? parseDrawTime(endInput) : null
+  if (!endInput && durationHours) endsAt = startsAt + durationHours * 60 * 60 * 1000
+
+  if (!startsAt || (endInput && !endsAt)) {
+    return interaction.reply({
+      content: "❌ Invalid time. Use a UTC date like `2025-06-01 20:00`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (!endsAt) {
+    return interaction.reply({
+      content: "❌ Multipliers must be time-boxed. Provide `end_time` or `duration_hours`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (endsAt <= startsAt || endsAt <= Date.now()) {
+    return interaction.reply({
+      content: "❌ The end time must be in the future and after the start time.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (drawId && !db.donationDraws?.[drawId]) {
+    return interaction.reply({ content: "❌ Draw not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  const acceptedCurrencies = db.config?.acceptedCryptocurrencies || []
+  if (currency && acceptedCurrencies.length > 0 && !acceptedCurrencies.includes(currency)) {
+    return interaction.reply({
+      content: `❌ ${currency} is not an accepted cryptocurrency.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const multiplier = {
+    id: `mult_${Date.now()}`,
+    name,
+    multiplier: value,
+    startsAt,
+    endsAt,
+    currency,
+    drawId,
+    createdBy: interaction.user.id,
+    createdAt: Date.now(),
+  }
+
+  pruneExpiredMultipliers(db)
+  getMultipliers(db).push(multiplier)
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("⚡ Multiplier Added")
+    .setDescription(`**${describeMultiplier(multiplier)}**`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      { name: "🆔 ID", value: `\`${multiplier.id}\``, inline: true },
+      { name: "📈 Multiplier", value: formatMultiplier(value), inline: true },
+      { name: "💱 Currency", value: currency || "Any", inline: true },
+      { name: "🎁 Draw", value: drawId ? db.donationDraws[drawId].name : "All draws", inline: true },
+      { name: "▶️ Starts", value: `<t:${Math.floor(startsAt / 1000)}:F>`, inline: true },
+      { name: "⏹️ Ends", value: `<t:${Math.floor(endsAt / 1000)}:F>`, inline: true },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  if (db.config?.featureToggles?.donationMultipliers === false) {
+    embed.addFields({
+      name: "⚠️ Note",
+      value: "Donation multipliers are currently disabled and will not apply until the feature is enabled.",
+      inline: false,
+    })
+  }
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Multiplier ${multiplier.id} (${describeMultiplier(multiplier)}) added by ${interaction.user.tag}`)
+}
+
+async function handleMultiplierList(interaction, db) {
+  const now = Date.now()
+  const multipliers = getMultipliers(db)
+    .filter((multiplier) => !multiplier.endsAt || multiplier.endsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt)
+
+  const embed = new EmbedBuilder()
+    .setTitle("⚡ Donation Multipliers")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  if (multipliers.length === 0) {
+    embed.setDescription("No active or upcoming multipliers. Use `/admin multiplier add` to create one.")
+  } else {
+    for (const multiplier of multipliers.slice(0, 25)) {
+      const status = isMultiplierActive(multiplier, now)
+        ? `🟢 Active, ends <t:${Math.floor(multiplier.endsAt / 1000)}:R>`
+        : `🕒 Starts <t:${Math.floor(multiplier.startsAt / 1000)}:R>`
+      embed.addFields({
+        name: describeMultiplier(multiplier),
+        value: `${status}\n🆔 \`${multiplier.id}\``,
+        inline: false,
+      })
+    }
+  }
+
+  if (db.config?.featureToggles?.donationMultipliers === false) {
+    embed.setDescription("⚠️ Donation multipliers are currently disabled.")
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleMultiplierRemove(interaction, db) {
+  const id = interaction.options.getString("id").trim()
+  const multipliers = getMultipliers(db)
+  const index = multipliers.findIndex((multiplier) => multiplier.id === id)
+
+  if (index === -1) {
+    return interaction.reply({ content: "❌ Multiplier not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  const [removed] = multipliers.splice(index, 1)
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({ content: `✅ Removed multiplier **${describeMultiplier(removed)}**.`, flags: MessageFlags.Ephemeral })
+  logger.info(`Multiplier ${id} removed by ${interaction.user.tag}`)
+}
+
+async function handleChallenge(interaction, db) {
+  switch (interaction.options.getSubcommand()) {
+    case "define":
+      return handleChallengeDefine(interaction, db)
+    case "list":
+      return handleChallengeList(interaction, db)
+    case "remove":
+      return handleChallengeRemove(interaction, db)
+    case "rotate":
+      return handleChallengeRotate(interaction, db)
+  }
+}
+
+async function handleChallengeDefine(interaction, db) {
+  const rewardEntries = interaction.options.getInteger("reward_entries") || 0
+  const rewardDrawId = interaction.options.getString("reward_draw_id")
+  const rewardBadge = interaction.options.getString("reward_badge")
+
+  if (rewardEntries > 0 && !rewardDrawId) {
+    return interaction.reply({
+      content: "❌ Set `reward_draw_id` to choose which draw receives the reward entries.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (rewardDrawId && !db.donationDraws?.[rewardDrawId]) {
+    return interaction.reply({ content: "❌ Reward draw not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  const challenge = {
+    id: `challenge_${Date.now()}`,
+    name: interaction.options.getString("name"),
+    description: interaction.options.getString("description"),
+    period: interaction.options.getString("period"),
+    type: interaction.options.getString("type"),
+    target: interaction.options.getNumber("target"),
+    reward: { entries: rewardEntries, drawId: rewardDrawId, badge: rewardBadge },
+    active: interaction.options.getBoolean("active") ?? true,
+    createdBy: interaction.user.id,
+    createdAt: Date.now(),
+  }
+
+  getChallenges(db)[challenge.id] = challenge
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Challenge Defined")
+    .setDescription(`**${challenge.name}**\n${challenge.description || describeGoal(challenge)}`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      { name: "🆔 ID", value: `\`${challenge.id}\``, inline: true },
+      { name: "📅 Period", value: challenge.period, inline: true },
+      { name: "📊 Status", value: challenge.active ? "🟢 Active" : "⚪ In rotation pool", inline: true },
+      { name: "🎁 Reward", value: describeReward(db, challenge), inline: false },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Challenge ${challenge.id} defined by ${interaction.user.tag}`)
+}
+
+async function handleChallengeList(interaction, db) {
+  const challenges = Object.values(getChallenges(db))
+  const rotation = db.config?.challengeRotation || {}
+
+  const embed = new EmbedBuilder()
+    .setTitle("🏅 Challenges")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .setDescription(
+      ["daily", "weekly"]
+        .map((period) => `**${period}:** ${rotation[period] ? `auto-rotates ${rotation[period]}` : "manual rotation"}`)
+        .join("\n"),
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  if (challenges.length === 0) {
+    embed.setDescription("No challenges defined yet. Use `/admin challenge define` to add one.")
+  }
+
+  for (const challenge of challenges.slice(0, 25)) {
+    embed.addFields({
+      name: `${challenge.active ? "🟢" : "⚪"} ${challenge.name} (${challenge.period})`,
+      value: `${describeGoal(challenge)}\n🎁 ${describeReward(db, challenge)}\n🆔 \`${challenge.id}\``,
+      inline: false,
+    })
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleChallengeRemove(interaction, db) {
+  const id = interaction.options.getString("id").trim()
+  const challenge = getChallenges(db)[id]
+
+  if (!challenge) {
+    return interaction.reply({ content: "❌ Challenge not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  delete db.challenges[id]
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({ content: `✅ Challenge **${challenge.name}** removed.`, flags: MessageFlags.Ephemeral })
+  logger.info(`Challenge ${id} removed by ${interaction.user.tag}`)
+}
+
+async function handleChallengeRotate(interaction, db) {
+  const period = interaction.options.getString("period")
+  const count = interaction.options.getInteger("count")
+  const auto = interaction.options.getBoolean("auto")
+
+  const active = rotateChallenges(db, period, count)
+  if (auto !== null) {
+    if (auto) {
+      db.config.challengeRotation[period] = count
+    } else {
+      delete db.config.challengeRotation[period]
+    }
+  }
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("🔄 Challenges Rotated")
+    .setDescription(
+      active.length > 0
+        ? active.map((challenge) => `• **${challenge.name}** - ${describeGoal(challenge)}`).join("\n")
+        : `No ${period} challenges are defined yet.`,
+    )
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields({
+      name: "⚙️ Automatic Rotation",
+      value: db.config.challengeRotation[period]
+        ? `Every ${period === "weekly" ? "Monday" : "day"} at 00:00 UTC (${db.config.challengeRotation[period]} challenges)`
+        : "Off",
+      inline: false,
+    })
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Rotated ${period} challenges by ${interaction.user.tag}: ${active.map((c) => c.id).join(", ")}`)
+}
+
+async function handleSeason(interaction, db) {
+  // A season past its end date is archived before anything else
+  const expired = expireSeason(db)
+  if (expired) saveDatabase(interaction.guildId, db)
+
+  if (interaction.options.getSubcommand() === "start") {
+    const name = interaction.options.getString("name").trim()
+    const endInput = interaction.options.getString("end_date")
+    const endDate = parseDrawTime(endInput)
+
+    if (endInput && (!endDate || endDate <= Date.now())) {
+      return interaction.reply({
+        content: "❌ Invalid end date. Use a future UTC date like `2025-09-01 00:00`.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    const current = getCurrentSeason(db)
+    if (current) {
+      return interaction.reply({
+        content: `❌ **${current.name}** is still running. End it with \`/admin season end\` first.`,
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    if (findSeason(db, name)) {
+      return interaction.reply({ content: `❌ A season named **${name}** already exists.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const season = startSeason(db, name, endDate, interaction.user.id)
+    saveDatabase(interaction.guildId, db)
+
+    const embed = new EmbedBuilder()
+      .setTitle("🏁 Season Started")
+      .setDescription(`**${season.name}** has begun! Donations from now on count towards the season leaderboard.`)
+      .setColor(db.config?.theme?.success || "#4CAF50")
+      .addFields(
+        { name: "📅 Started", value: `<t:${Math.floor(season.startDate / 1000)}:F>`, inline: true },
+        { name: "⏰ Ends", value: endDate ? `<t:${Math.floor(endDate / 1000)}:F>` : "When ended by an admin", inline: true },
+      )
+      .setFooter({ text: "View it with /leaderboard type:season • Powered By Aegisum Eco System" })
+
+    await interaction.reply({ embeds: [embed] })
+    logger.info(`Season ${name} started by ${interaction.user.tag}`)
+    return
+  }
+
+  const archived = endSeason(db, interaction.user.id) || expired
+  if (!archived) {
+    return interaction.reply({ content: "❌ There is no active season.", flags: MessageFlags.Ephemeral })
+  }
+  saveDatabase(interaction.guildId, db)
+
+  const podium = archived.standings
+    .slice(0, 3)
+    .map((standing, index) => `${["🥇", "🥈", "🥉"][index]} <@${standing.userId}> - $${standing.amount.toFixed(2)}`)
+    .join("\n")
+
+  const embed = new EmbedBuilder()
+    .setTitle("🏆 Season Ended")
+    .setDescription(`**${archived.name}** is over and its final standings have been archived.`)
+    .setColor(db.config?.theme?.special || "#E91E63")
+    .addFields(
+      { name: "💰 Total Raised", value: `$${archived.totalRaised.toFixed(2)}`, inline: true },
+      { name: "👥 Donors", value: archived.donorCount.toString(), inline: true },
+      { name: "🏅 Podium", value: podium || "No donations this season", inline: false },
+    )
+    .setFooter({ text: `View it with /leaderboard type:season name:${archived.name}` })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Season ${archived.name} ended by ${interaction.user.tag}`)
+}
+
+async function handleDrawReminders(interaction, db) {
+  const input = interaction.options.getString("hours")
+
+  if (input) {
+    let hours = DEFAULT_REMINDER_HOURS
+    if (input.trim().toLowerCase() !== "default") {
+      hours = [...new Set(input.split(",").map((value) => Number(value.trim())))]
+      if (hours.length === 0 || hours.some((value) => !Number.isFinite(value) || value <= 0 || value > 24 * 30)) {
+        return interaction.reply({
+          content: "❌ Invalid hours. Use positive numbers up to 720, e.g. `24,1` or `0.5`.",
+          flags: MessageFlags.Ephemeral,
+        })
+      }
+    }
+
+    if (!db.config) db.config = {}
+    db.config.drawReminders = hours
+    saveDatabase(interaction.guildId, db)
+
+    for (const [drawId, draw] of Object.entries(db.donationDraws || {})) {
+      scheduleReminders(interaction.client, interaction.guildId, drawId, draw)
+    }
+  }
+
+  const scheduledDraws = Object.values(db.donationDraws || {}).filter((draw) => draw.active && draw.drawTime).length
+
+  const embed = new EmbedBuilder()
+    .setTitle(input ? "✅ Draw Reminders Updated" : "⏰ Draw Reminders")
+    .setColor(db.config?.theme?.info || "#00BCD4")
+    .addFields(
+      {
+        name: "🕒 Reminder Times",
+        value: getReminderHours(db)
+          .map((hours) => `• ${hours} hour${hours === 1 ? "" : "s"} before the draw`)
+          .join("\n"),
+        inline: false,
+      },
+      {
+        name: "🔔 Draw Notifications",
+        value: db.config?.featureToggles?.drawNotifications ? "🟢 Enabled" : "🔴 Disabled",
+        inline: true,
+      },
+      { name: "📅 Scheduled Draws", value: scheduledDraws.toString(), inline: true },
+      {
+        name: "📝 Note",
+        value: "Reminders are posted in the notification channel. Users can opt into DMs with `/user notifications`.",
+        inline: false,
+      },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleBlacklist(interaction, db) {
+  const action = interaction.options.getString("action")
+  const user = interaction.options.getUser("user")
+  const reason = interaction.options.getString("reason") || "No reason provided"
+
+  if (!db.config) db.config = {}
+  if (!db.config.globalBlacklist) {
+    db.config.globalBlacklist = { users: [], roles: [] }
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(db.config?.theme?.warning || "#FFC107")
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  switch (action) {
+    case "add_user":
+      if (!user) {
+        return interaction.reply({ content: "❌ Please specify a user to blacklist.", flags: MessageFlags.Ephemeral })
+      }
+
+      if (db.config.globalBlacklist.users.some((entry) => entry.id === user.id)) {
+        return interaction.reply({
+          content: `❌ **${user.username}** is already blacklisted.`,
+          flags: MessageFlags.Ephemeral,
+        })
+      }
+
+      db.config.globalBlacklist.users.push({
+        id: user.id,
+        username: user.username,
+        reason,
+        addedBy: interaction.user.id,
+        addedAt: Date.now(),
+      })
 
       embed
         .setTitle("🚫 User Blacklisted")
@@ -996,6 +2636,16 @@ async function handleFeatures(interaction, db) {
 
   await interaction.reply({ embeds: [embed] })
   logger.info(`Feature toggled: ${feature} = ${enabled} by ${interaction.user.tag}`)
+
+  if (feature === "automatedDraws") {
+    if (!enabled) {
+      for (const drawId of Object.keys(db.donationDraws || {})) {
+        cancelDraw(interaction.guildId, drawId)
+      }
+    }
+    // Reminders keep running without automation, so restore them either way
+    await restoreDrawSchedules(interaction.client, [interaction.guildId])
+  }
 }
 
 function getFeatureName(key) {
@@ -1006,6 +2656,8 @@ function getFeatureName(key) {
     drawNotifications: "Draw Notifications",
     anonymousMode: "Privacy Controls",
     automatedDraws: "Automated Draws",
+    antifraudDetection: "Anti Fraud",
+    backupAutomation: "Backup Automation",
   }
   return names[key] || key
 }
@@ -1216,7 +2868,7 @@ async function fixUserAchievements(guild, db, userId, ACHIEVEMENTS) {
         break
       case 'community_pillar':
         // Check referrals
-        const referralCount = Object.values(db.users).filter(user => user.referredBy === userId).length
+        const referralCount = Object.values(db.users).filter(user => user.referrals?.referredBy === userId).length
         earned = referralCount >= 3
         break
       case 'lucky_winner':
@@ -0,0 +1,164 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
+import { getDatabase, saveDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import {
+  describeFlags,
+  FRAUD_ACTIONS,
+  FRAUD_RULES,
+  getFlaggedEntries,
+  getRuleActions,
+  isAntiFraudEnabled,
+  setRuleAction,
+} from "../utils/antiFraud.js"
+import { getPendingReviews } from "../utils/reviewQueue.js"
+
+// Flagged donations shown by /antifraud status
+const RECENT_FLAGS_SHOWN = 5
+
+const ACTION_LABELS = {
+  off: "⚪ Off",
+  flag: "🟡 Flag",
+  hold: "🔴 Hold for review",
+}
+
+export const data = new SlashCommandBuilder()
+  .setName("antifraud")
+  .setDescription("Anti-fraud rules for donations (Admin only)")
+  .addSubcommand((subcommand) =>
+    subcommand.setName("status").setDescription("Show the anti-fraud rules and recently flagged donations"),
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("rule")
+      .setDescription("Choose what a rule does when it fires")
+      .addStringOption((option) =>
+        option
+          .setName("rule")
+          .setDescription("Rule to change")
+          .setRequired(true)
+          .addChoices(...Object.entries(FRAUD_RULES).map(([value, rule]) => ({ name: rule.label, value }))),
+      )
+      .addStringOption((option) =>
+        option
+          .setName("action")
+          .setDescription("Flag the donation, hold it for review, or turn the rule off")
+          .setRequired(true)
+          .addChoices(...FRAUD_ACTIONS.map((value) => ({ name: ACTION_LABELS[value], value }))),
+      ),
+  )
+
+export async function execute(interaction) {
+  try {
+    const serverId = interaction.guildId
+    const db = getDatabase(serverId)
+
+    if (!(await checkAdminPermissions(interaction, db))) {
+      return interaction.reply({
+        content: "❌ You do not have permission to manage anti-fraud rules.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    switch (interaction.options.getSubcommand()) {
+      case "status":
+        await handleStatus(interaction, db)
+        break
+      case "rule":
+        await handleRule(interaction, db)
+        break
+      default:
+        await interaction.reply({
+          content: "❌ Unknown subcommand.",
+          flags: MessageFlags.Ephemeral,
+        })
+    }
+  } catch (error) {
+    logger.error("Error in antifraud command:", error)
+
+    const errorMessage = {
+      content: "❌ An error occurred while executing the antifraud command.",
+      flags: MessageFlags.Ephemeral,
+    }
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage)
+      } else {
+        await interaction.reply(errorMessage)
+      }
+    } catch (followUpError) {
+      logger.error("Error sending antifraud error message:", followUpError)
+    }
+  }
+}
+
+async function handleStatus(interaction, db) {
+  const enabled = isAntiFraudEnabled(db)
+  const actions = getRuleActions(db)
+  const flagged = getFlaggedEntries(db)
+  const held = getPendingReviews(db, { reason: "suspicious" })
+
+  const embed = new EmbedBuilder()
+    .setTitle("🚩 Anti-Fraud")
+    .setDescription(
+      enabled
+        ? "Donations are checked against the rules below. Flags are posted to the admin log channel."
+        : "⚠️ Anti-fraud is turned off. Turn it on with `/admin features feature:Anti Fraud enabled:True`.",
+    )
+    .setColor(enabled ? db.config?.theme?.primary || "#4CAF50" : db.config?.theme?.warning || "#FFC107")
+    .setFooter({ text: "Change a rule with /antifraud rule • Powered By Aegisum Eco System" })
+
+  for (const [id, rule] of Object.entries(FRAUD_RULES)) {
+    embed.addFields({
+      name: `${rule.label} — ${ACTION_LABELS[actions[id]] || actions[id]}`,
+      value: rule.description,
+      inline: false,
+    })
+  }
+
+  embed.addFields(
+    { name: "🚩 Flagged Donations", value: `${flagged.length}`, inline: true },
+    { name: "⏸️ Held for Review", value: `${held.length}${held.length > 0 ? " (`/admin review`)" : ""}`, inline: true },
+  )
+
+  if (flagged.length > 0) {
+    const recent = flagged
+      .slice(0, RECENT_FLAGS_SHOWN)
+      .map(
+        (entry) =>
+          `<t:${Math.floor(entry.timestamp / 1000)}:R> <@${entry.userId}> $${entry.amount.toFixed(2)}\n${describeFlags(entry.fraudFlags)}`,
+      )
+      .join("\n\n")
+    embed.addFields({ name: "🕒 Recent Flags", value: recent.slice(0, 1024), inline: false })
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleRule(interaction, db) {
+  const ruleId = interaction.options.getString("rule")
+  const action = interaction.options.getString("action")
+
+  setRuleAction(db, ruleId, action)
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({
+    content: `✅ **${FRAUD_RULES[ruleId].label}** is now set to ${ACTION_LABELS[action]}.`,
+    flags: MessageFlags.Ephemeral,
+  })
+  logger.info(`Anti-fraud rule ${ruleId} set to ${action} by ${interaction.user.tag}`)
+}
+
+async function checkAdminPermissions(interaction, db) {
+  const OWNER_ID = process.env.OWNER_ID || "659745190382141453"
+  if (interaction.user.id === OWNER_ID) return true
+  if (!db.config?.adminRoleId) return false
+
+  try {
+    const member = await interaction.guild.members.fetch(interaction.user.id)
+    return member.roles.cache.has(db.config.adminRoleId)
+  } catch (error) {
+    logger.error("Error checking admin permissions:", error)
+    return false
+  }
+}
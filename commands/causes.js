@@ -0,0 +1,251 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
+import { getDatabase, saveDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import { causeKey, findCause, getCauses, inCause } from "../utils/causes.js"
+import { describeRecipient, getRecipients, normalizeRecipient, recipientKey } from "../utils/recipients.js"
+import { getDonationTotals } from "../utils/ledger.js"
+
+export const data = new SlashCommandBuilder()
+  .setName("causes")
+  .setDescription("Causes that donations can be routed to")
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("create")
+      .setDescription("Create a cause with its own draws, goals and leaderboard (Admin only)")
+      .addStringOption((option) => option.setName("name").setDescription("Name of the cause, e.g. Dev Fund").setRequired(true))
+      .addStringOption((option) =>
+        option.setName("description").setDescription("What donations to this cause are used for").setRequired(false),
+      ),
+  )
+  .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List causes with their recipients and draws"))
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("link")
+      .setDescription("Route an allowed recipient's donations to a cause (Admin only)")
+      .addStringOption((option) =>
+        option.setName("recipient").setDescription("Allowed recipient (mention, ID or username)").setRequired(true),
+      )
+      .addStringOption((option) =>
+        option.setName("cause").setDescription("Cause ID or name, or 'none' for the general pool").setRequired(true),
+      ),
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("delete")
+      .setDescription("Delete a cause, its recipients, draws and goals return to the general pool (Admin only)")
+      .addStringOption((option) => option.setName("cause").setDescription("Cause ID or name").setRequired(true)),
+  )
+
+export async function execute(interaction) {
+  try {
+    const serverId = interaction.guildId
+    const db = getDatabase(serverId)
+    const subcommand = interaction.options.getSubcommand()
+
+    if (subcommand !== "list" && !(await checkAdminPermissions(interaction, db))) {
+      return interaction.reply({
+        content: "❌ You do not have permission to manage causes.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    switch (subcommand) {
+      case "create":
+        await handleCreate(interaction, db)
+        break
+      case "list":
+        await handleList(interaction, db)
+        break
+      case "link":
+        await handleLink(interaction, db)
+        break
+      case "delete":
+        await handleDelete(interaction, db)
+        break
+      default:
+        await interaction.reply({
+          content: "❌ Unknown subcommand.",
+          flags: MessageFlags.Ephemeral,
+        })
+    }
+  } catch (error) {
+    logger.error("Error in causes command:", error)
+
+    const errorMessage = {
+      content: "❌ An error occurred while executing the causes command.",
+      flags: MessageFlags.Ephemeral,
+    }
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage)
+      } else {
+        await interaction.reply(errorMessage)
+      }
+    } catch (followUpError) {
+      logger.error("Error sending causes error message:", followUpError)
+    }
+  }
+}
+
+async function handleCreate(interaction, db) {
+  const name = interaction.options.getString("name").trim()
+  const description = interaction.options.getString("description")
+  const id = causeKey(name)
+
+  if (!id) {
+    return interaction.reply({ content: "❌ The cause name needs letters or numbers.", flags: MessageFlags.Ephemeral })
+  }
+
+  const causes = getCauses(db)
+  if (causes[id]) {
+    return interaction.reply({ content: `❌ A cause with ID \`${id}\` already exists.`, flags: MessageFlags.Ephemeral })
+  }
+
+  causes[id] = { id, name, description, createdBy: interaction.user.id, createdAt: Date.now() }
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Cause Created")
+    .setDescription(`**${name}** has been created.${description ? `\n${description}` : ""}`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      { name: "🆔 Cause ID", value: `\`${id}\``, inline: true },
+      {
+        name: "➡️ Next Steps",
+        value: [
+          `• \`/causes link cause:${id}\` to route a recipient's donations here`,
+          `• \`/admin create_draw cause:${id}\` for draws that only this cause's donations enter`,
+          `• \`/goals create cause:${id}\` for a goal of this cause`,
+        ].join("\n"),
+        inline: false,
+      },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+  logger.info(`Cause created: ${id} by ${interaction.user.tag}`)
+}
+
+async function handleList(interaction, db) {
+  const causes = Object.values(getCauses(db))
+  const recipients = getRecipients(db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("💠 Causes")
+    .setColor(db.config?.theme?.primary || "#4CAF50")
+    .setFooter({ text: "Leaderboards: /leaderboard cause:ID • Powered By Aegisum Eco System" })
+
+  if (causes.length === 0) {
+    embed.setDescription("No causes yet, every donation goes to the general pool.")
+    return interaction.reply({ embeds: [embed] })
+  }
+
+  for (const cause of [...causes, { id: null, name: "General" }].slice(0, 25)) {
+    const causeRecipients = recipients.filter((recipient) => inCause(recipient, cause.id))
+    const draws = Object.values(db.donationDraws || {}).filter((draw) => draw.active && inCause(draw, cause.id))
+    const goals = Object.values(db.config?.donationGoals || {}).filter(
+      (goal) => goal.status === "active" && inCause(goal, cause.id),
+    )
+    const raised = getDonationTotals(db, { causeId: cause.id }).reduce((sum, total) => sum + total.amount, 0)
+
+    embed.addFields({
+      name: `${cause.id ? "💠" : "🌐"} ${cause.name}${cause.id ? ` (\`${cause.id}\`)` : ""}`,
+      value: [
+        cause.description,
+        `📨 ${causeRecipients.map(describeRecipient).join(", ") || "No recipients"}`,
+        `🎁 ${draws.map((draw) => draw.name).join(", ") || "No open draws"}`,
+        goals.length > 0 ? `🎯 ${goals.map((goal) => goal.name).join(", ")}` : null,
+        `💰 $${raised.toFixed(2)} raised`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      inline: false,
+    })
+  }
+
+  await interaction.reply({ embeds: [embed] })
+}
+
+async function handleLink(interaction, db) {
+  const input = interaction.options.getString("recipient")
+  const causeInput = interaction.options.getString("cause")
+  const cause = causeInput.toLowerCase() === "none" ? null : findCause(db, causeInput)
+
+  if (causeInput.toLowerCase() !== "none" && !cause) {
+    return interaction.reply({ content: "❌ Cause not found. See `/causes list`.", flags: MessageFlags.Ephemeral })
+  }
+
+  const wanted = normalizeRecipient(input)
+  const recipients = getRecipients(db)
+  const recipient = wanted
+    ? recipients.find(
+        (r) =>
+          recipientKey(r) === recipientKey(wanted) ||
+          (wanted.type === "user" && r.id === wanted.id) ||
+          (wanted.type === "name" && r.name?.toLowerCase() === wanted.name.toLowerCase()),
+      )
+    : null
+
+  if (!recipient) {
+    return interaction.reply({
+      content: `❌ **${input}** is not an allowed recipient. Add it with \`/admin add_recipient\` first.`,
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (cause) {
+    recipient.causeId = cause.id
+  } else {
+    delete recipient.causeId
+  }
+  db.config.allowedRecipients = recipients
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({
+    content: cause
+      ? `✅ Donations to ${describeRecipient(recipient)} now go to **${cause.name}**.`
+      : `✅ Donations to ${describeRecipient(recipient)} now go to the general pool.`,
+  })
+  logger.info(`Recipient ${recipientKey(recipient)} linked to cause ${cause?.id || "none"} by ${interaction.user.tag}`)
+}
+
+async function handleDelete(interaction, db) {
+  const cause = findCause(db, interaction.options.getString("cause"))
+  if (!cause) {
+    return interaction.reply({ content: "❌ Cause not found. See `/causes list`.", flags: MessageFlags.Ephemeral })
+  }
+
+  // Everything that pointed at the cause falls back to the general pool
+  const recipients = getRecipients(db)
+  const unlinked = [
+    ...recipients,
+    ...Object.values(db.donationDraws || {}),
+    ...Object.values(db.config?.donationGoals || {}),
+  ].filter((item) => item.causeId === cause.id)
+  for (const item of unlinked) delete item.causeId
+
+  db.config.allowedRecipients = recipients
+  delete getCauses(db)[cause.id]
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({
+    content: `✅ Cause **${cause.name}** deleted. ${unlinked.length} recipient(s), draw(s) and goal(s) moved to the general pool; past donations keep their cause.`,
+    flags: MessageFlags.Ephemeral,
+  })
+  logger.info(`Cause deleted: ${cause.id} by ${interaction.user.tag}`)
+}
+
+async function checkAdminPermissions(interaction, db) {
+  const OWNER_ID = process.env.OWNER_ID || "659745190382141453"
+  if (interaction.user.id === OWNER_ID) return true
+  if (!db.config?.adminRoleId) return false
+
+  try {
+    const member = await interaction.guild.members.fetch(interaction.user.id)
+    return member.roles.cache.has(db.config.adminRoleId)
+  } catch (error) {
+    logger.error("Error checking admin permissions:", error)
+    return false
+  }
+}
@@ -0,0 +1,89 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
+import { getDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import { progressBar } from "../utils/communityGoals.js"
+import {
+  describeGoal,
+  describeReward,
+  getActiveChallenges,
+  getChallengeProgress,
+  getPeriodEnd,
+  isChallengeCompleted,
+} from "../utils/challenges.js"
+
+export const data = new SlashCommandBuilder()
+  .setName("challenges")
+  .setDescription("View the current daily and weekly challenges and your progress")
+
+export async function execute(interaction) {
+  try {
+    const db = getDatabase(interaction.guildId)
+    const userId = interaction.user.id
+
+    if (!db.config?.featureToggles?.dailyWeeklyChallenges) {
+      return interaction.reply({
+        content: "❌ Challenges are currently disabled on this server.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    const challenges = getActiveChallenges(db)
+    const embed = new EmbedBuilder()
+      .setTitle("🏅 Donor Challenges")
+      .setColor(db.config?.theme?.special || "#E91E63")
+      .setFooter({ text: "Progress updates with every donation • Powered By Aegisum Eco System" })
+
+    if (challenges.length === 0) {
+      embed.setDescription("There are no active challenges right now. Check back soon!")
+      return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+    }
+
+    let completedCount = 0
+    for (const challenge of challenges.slice(0, 25)) {
+      const completed = isChallengeCompleted(db, userId, challenge)
+      if (completed) completedCount++
+
+      const progress = Math.min(getChallengeProgress(db, userId, challenge), challenge.target)
+      const progressText =
+        challenge.type === "donation_amount"
+          ? `$${progress.toFixed(2)} / $${challenge.target}`
+          : `${progress} / ${challenge.target}`
+      const resets = `<t:${Math.floor(getPeriodEnd(challenge.period) / 1000)}:R>`
+
+      embed.addFields({
+        name: `${completed ? "✅" : challenge.period === "weekly" ? "📅" : "☀️"} ${challenge.name}`,
+        value: [
+          challenge.description || describeGoal(challenge),
+          completed ? "**Completed!**" : `${progressBar(progress, challenge.target, 12)} ${progressText}`,
+          `🎁 ${describeReward(db, challenge)} • Resets ${resets}`,
+        ].join("\n"),
+        inline: false,
+      })
+    }
+
+    const badges = db.users?.[userId]?.badges || []
+    embed.setDescription(
+      `You've completed **${completedCount}/${challenges.length}** current challenges.` +
+        (badges.length > 0 ? `\n🎖️ Badges: ${badges.map((badge) => badge.name).join(", ")}` : ""),
+    )
+
+    await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+  } catch (error) {
+    logger.error("Error in challenges command:", error)
+
+    const errorMessage = {
+      content: "❌ An error occurred while fetching challenges.",
+      flags: MessageFlags.Ephemeral,
+    }
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage)
+      } else {
+        await interaction.reply(errorMessage)
+      }
+    } catch (followUpError) {
+      logger.error("Error sending challenges error message:", followUpError)
+    }
+  }
+}
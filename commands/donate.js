@@ -1,6 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
 import { getDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
+import { describeRecipient, getRecipients } from "../utils/recipients.js"
+import { describeCause, getCauses, inCause } from "../utils/causes.js"
 
 const DEFAULT_ACCEPTED_CRYPTOCURRENCIES = [
   "AEGS",
@@ -64,18 +66,19 @@ export async function execute(interaction) {
           },
         )
 
-      if (db.config?.allowedRecipients?.length) {
-        const recipients = db.config.allowedRecipients.map((r) => `• ${r}`).join("\n")
+      // Only tips to recipients of the draw's cause enter it
+      const recipients = getRecipients(db).filter((r) => inCause(r, draw.causeId))
+      if (recipients.length > 0) {
         embed.addFields({
-          name: "📨 Donation Recipients",
-          value: recipients,
+          name: `📨 Donation Recipients${draw.causeId ? ` (${describeCause(db, draw.causeId)})` : ""}`,
+          value: recipients.map((r) => `• ${describeRecipient(r)}`).join("\n"),
           inline: false,
         })
       }
 
       embed.addFields({
         name: "💡 How to Donate",
-        value: "Use tip.cc: `$tip @recipient amount SYMBOL`\nExample: `$tip @user 10 USDT`",
+        value: `Use tip.cc and tag this draw: \`$tip @recipient amount SYMBOL #${drawId}\`\nExample: \`$tip @user 10 USDT #${drawId}\``,
         inline: false,
       })
 
@@ -99,11 +102,31 @@ export async function execute(interaction) {
       .setDescription("Here's how to donate and enter draws:")
       .setColor(db.config?.theme?.info || "#00BCD4")
 
-    if (db.config?.allowedRecipients?.length) {
-      const recipients = db.config.allowedRecipients.map((r) => `• ${r}`).join("\n")
+    const recipients = getRecipients(db)
+    const generalRecipients = recipients.filter((r) => !r.causeId)
+    if (generalRecipients.length > 0) {
       embed.addFields({
         name: "📨 Donation Recipients",
-        value: recipients,
+        value: generalRecipients.map((r) => `• ${describeRecipient(r)}`).join("\n"),
+        inline: false,
+      })
+    }
+
+    // Each cause has its own recipients, and tips to them only enter its draws
+    for (const cause of Object.values(getCauses(db)).slice(0, 10)) {
+      const causeRecipients = recipients.filter((r) => r.causeId === cause.id)
+      if (causeRecipients.length === 0) continue
+
+      const draws = Object.values(db.donationDraws || {}).filter((draw) => draw.active && draw.causeId === cause.id)
+      embed.addFields({
+        name: `💠 ${cause.name}`,
+        value: [
+          cause.description,
+          `Tip ${causeRecipients.map(describeRecipient).join(" or ")}`,
+          `Enters: ${draws.map((draw) => `**${draw.name}**`).join(", ") || "no open draws right now"}`,
+        ]
+          .filter(Boolean)
+          .join("\n"),
         inline: false,
       })
     }
@@ -111,7 +134,9 @@ export async function execute(interaction) {
     embed.addFields(
       {
         name: "💡 How to Donate",
-        value: "Use tip.cc: `$tip @recipient amount SYMBOL`\nExample: `$tip @user 10 USDT`",
+        value:
+          "Use tip.cc: `$tip @recipient amount SYMBOL`\nExample: `$tip @user 10 USDT`\n" +
+          "Add `#draw_id` at the end to put the entries in one draw: `$tip @user 10 USDT #draw_123`",
         inline: false,
       },
       {
@@ -1,6 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
 import { getDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
+import { verifyRecord } from "../utils/provablyFair.js"
+import { describeRecurrence, formatPrizeLines, ordinal, splitIntoFields } from "../utils/drawUtils.js"
 
 export const data = new SlashCommandBuilder()
   .setName("draws")
@@ -19,6 +21,15 @@ export const data = new SlashCommandBuilder()
       .addStringOption((option) => option.setName("draw_id").setDescription("ID of the draw").setRequired(true)),
   )
   .addSubcommand((subcommand) => subcommand.setName("ids").setDescription("Show all draw IDs for easy reference"))
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("verify")
+      .setDescription("Re-verify the most recent result of a draw")
+      .addStringOption((option) => option.setName("draw_id").setDescription("ID of the draw").setRequired(true))
+      .addIntegerOption((option) =>
+        option.setName("round").setDescription("Round of a recurring draw (defaults to the latest)").setRequired(false),
+      ),
+  )
 
 export async function execute(interaction) {
   try {
@@ -41,6 +52,9 @@ export async function execute(interaction) {
       case "ids":
         await handleIds(interaction, db)
         break
+      case "verify":
+        await handleVerify(interaction, db)
+        break
       default:
         await handleList(interaction, db)
         break
@@ -99,6 +113,7 @@ async function handleList(interaction, db) {
       if (draw.manualEntriesOnly) statusIcons += "🔒 "
       if (draw.vipOnly) statusIcons += "⭐ "
       if (draw.drawTime) statusIcons += "⏰ "
+      if (draw.recurrence) statusIcons += "🔁 "
 
       const fieldValue = [
         `💰 **Range:** $${draw.minAmount} - ${maxAmount}`,
@@ -164,6 +179,21 @@ async function handleInfo(interaction, db) {
       { name: "🔒 Manual Entries", value: draw.manualEntriesOnly ? "Yes" : "No", inline: true },
     )
 
+  if (draw.drawTime) {
+    embed.addFields({
+      name: "⏰ Draw Time",
+      value: `<t:${Math.floor(draw.drawTime / 1000)}:F>`,
+      inline: true,
+    })
+  }
+
+  if (draw.recurrence) {
+    embed.addFields(
+      { name: "🔁 Recurrence", value: describeRecurrence(draw.recurrence), inline: true },
+      { name: "🔢 Round", value: (draw.round || 1).toString(), inline: true },
+    )
+  }
+
   if (draw.createdAt) {
     embed.addFields({
       name: "📅 Created",
@@ -172,7 +202,13 @@ async function handleInfo(interaction, db) {
     })
   }
 
-  if (draw.winner) {
+  if ((draw.winnerCount || 1) > 1 || draw.prizes?.length > 0) {
+    embed.addFields(splitIntoFields("🏅 Prizes", formatPrizeLines(draw)))
+  }
+
+  if (draw.winners?.length > 1) {
+    embed.addFields(splitIntoFields("🏆 Winners", draw.winners.map((winnerId, i) => `**${ordinal(i + 1)}:** <@${winnerId}>`)))
+  } else if (draw.winner) {
     embed.addFields({
       name: "🏆 Winner",
       value: `<@${draw.winner}>`,
@@ -180,6 +216,14 @@ async function handleInfo(interaction, db) {
     })
   }
 
+  if (draw.fairness?.serverSeedHash) {
+    embed.addFields({
+      name: "🔐 Fairness Commitment",
+      value: `\`${draw.fairness.serverSeedHash}\``,
+      inline: false,
+    })
+  }
+
   embed.setFooter({ text: "Powered By Aegisum Eco System" })
   await interaction.reply({ embeds: [embed] })
 }
@@ -304,3 +348,67 @@ async function handleIds(interaction, db) {
 
   await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
 }
+
+async function handleVerify(interaction, db) {
+  const drawId = interaction.options.getString("draw_id")
+  const round = interaction.options.getInteger("round")
+  const history = db.drawHistory || []
+  const latest = [...history]
+    .reverse()
+    .find((entry) => entry.drawId === drawId && (round === null || (entry.round || 1) === round))
+
+  if (!latest) {
+    return interaction.reply({
+      content: "❌ No completed result found for this draw.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  // Every place drawn in the same round shares the draw time
+  const records = history
+    .filter((entry) => entry.drawId === drawId && entry.drawTime === latest.drawTime)
+    .sort((a, b) => (a.winnerPosition || 1) - (b.winnerPosition || 1))
+  const results = records.map((record) => ({ record, result: verifyRecord(record) }))
+  const allValid = results.every(({ result }) => result.valid)
+  const failure = results.find(({ result }) => !result.valid)
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${allValid ? "✅" : "❌"} Draw Verification: ${latest.drawName}${latest.round > 1 ? ` (Round ${latest.round})` : ""}`)
+    .setColor(allValid ? db.config?.theme?.success || "#4CAF50" : db.config?.theme?.error || "#F44336")
+    .setDescription(allValid ? "The revealed seeds reproduce every recorded winner." : failure.result.reason)
+    .addFields(
+      ...splitIntoFields(
+        results.length > 1 ? "🏆 Recorded Winners" : "🏆 Recorded Winner",
+        results.map(({ record, result }) => {
+          const status = result.valid ? "✅" : "❌"
+          const ticket = result.valid ? ` - ticket #${result.ticket + 1} of ${result.totalTickets}` : ""
+          return `${status} **${ordinal(record.winnerPosition || 1)}:** <@${record.winnerId}>${ticket}`
+        }),
+      ),
+      { name: "📅 Drawn", value: new Date(latest.drawTime).toLocaleString(), inline: true },
+    )
+
+  if (latest.fairness) {
+    embed.addFields(
+      { name: "🔐 Server Seed Hash", value: `\`${latest.fairness.serverSeedHash}\``, inline: false },
+      { name: "🔑 Server Seed", value: `\`${latest.fairness.serverSeed}\``, inline: false },
+      { name: "🧂 Public Salt", value: `\`${latest.fairness.publicSalt}\``, inline: false },
+      { name: "🎟️ Entries Hash", value: `\`${latest.fairness.entriesHash}\``, inline: false },
+    )
+  }
+
+  embed
+    .addFields({
+      name: "🧮 How It Works",
+      value: [
+        "• `sha256(server seed)` must equal the hash published when the draw opened",
+        "• Ticket = `HMAC-SHA256(server seed, \"salt:nonce\") mod total tickets`",
+        "• Tickets are laid out over entries sorted by user ID",
+        "• Place N uses nonce N-1 after removing earlier winners' tickets",
+      ].join("\n"),
+      inline: false,
+    })
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed] })
+}
@@ -0,0 +1,313 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType } from "discord.js"
+import { getDatabase, saveDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import { parseDrawTime } from "../utils/drawUtils.js"
+import { findCause } from "../utils/causes.js"
+import { createGoalEmbed, expireGoals, getGoals, progressBar, updateGoalMessages } from "../utils/communityGoals.js"
+
+export const data = new SlashCommandBuilder()
+  .setName("goals")
+  .setDescription("Community donation goals")
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("create")
+      .setDescription("Create a server-wide donation goal (Admin only)")
+      .addStringOption((option) => option.setName("name").setDescription("Name of the goal").setRequired(true))
+      .addNumberOption((option) =>
+        option.setName("target").setDescription("Target amount in USD").setMinValue(1).setRequired(true),
+      )
+      .addStringOption((option) =>
+        option.setName("deadline").setDescription("Deadline in UTC, e.g. 2025-06-30 23:59").setRequired(false),
+      )
+      .addStringOption((option) =>
+        option.setName("description").setDescription("What the goal is for").setRequired(false),
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("bonus_entries")
+          .setDescription("Bonus entries for every contributor when the goal is reached")
+          .setMinValue(1)
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option.setName("bonus_draw_id").setDescription("Draw that receives the bonus entries").setRequired(false),
+      )
+      .addChannelOption((option) =>
+        option
+          .setName("channel")
+          .setDescription("Channel for the pinned progress message (default: this channel)")
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(false),
+      )
+      .addStringOption((option) =>
+        option.setName("cause").setDescription("Only count donations to this cause (default: general)").setRequired(false),
+      ),
+  )
+  .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List community goals"))
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("progress")
+      .setDescription("View the progress of a goal")
+      .addStringOption((option) =>
+        option.setName("goal_id").setDescription("Goal ID (default: all active goals)").setRequired(false),
+      ),
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("close")
+      .setDescription("Close a goal early (Admin only)")
+      .addStringOption((option) => option.setName("goal_id").setDescription("Goal ID").setRequired(true)),
+  )
+
+export async function execute(interaction) {
+  try {
+    const serverId = interaction.guildId
+    const db = getDatabase(serverId)
+    const subcommand = interaction.options.getSubcommand()
+
+    if (!db.config?.featureToggles?.communityGoals) {
+      return interaction.reply({
+        content: "❌ Community goals are currently disabled on this server.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
+    // Goals whose deadline passed since the last tip
+    const expired = expireGoals(db)
+    if (expired.length > 0) {
+      saveDatabase(serverId, db)
+      await updateGoalMessages(interaction.client, db, expired)
+    }
+
+    switch (subcommand) {
+      case "create":
+        await handleCreate(interaction, db)
+        break
+      case "list":
+        await handleList(interaction, db)
+        break
+      case "progress":
+        await handleProgress(interaction, db)
+        break
+      case "close":
+        await handleClose(interaction, db)
+        break
+      default:
+        await interaction.reply({
+          content: "❌ Unknown subcommand.",
+          flags: MessageFlags.Ephemeral,
+        })
+    }
+  } catch (error) {
+    logger.error("Error in goals command:", error)
+
+    const errorMessage = {
+      content: "❌ An error occurred while executing the goals command.",
+      flags: MessageFlags.Ephemeral,
+    }
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage)
+      } else {
+        await interaction.reply(errorMessage)
+      }
+    } catch (followUpError) {
+      logger.error("Error sending goals error message:", followUpError)
+    }
+  }
+}
+
+async function handleCreate(interaction, db) {
+  if (!(await checkAdminPermissions(interaction, db))) {
+    return interaction.reply({
+      content: "❌ You do not have permission to create goals.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const name = interaction.options.getString("name")
+  const target = interaction.options.getNumber("target")
+  const deadlineInput = interaction.options.getString("deadline")
+  const description = interaction.options.getString("description")
+  const bonusEntries = interaction.options.getInteger("bonus_entries")
+  const bonusDrawId = interaction.options.getString("bonus_draw_id")
+  const channel = interaction.options.getChannel("channel") || interaction.channel
+  const causeInput = interaction.options.getString("cause")
+  const cause = findCause(db, causeInput)
+  const deadline = parseDrawTime(deadlineInput)
+
+  if (causeInput && !cause) {
+    return interaction.reply({ content: "❌ Cause not found. See `/causes list`.", flags: MessageFlags.Ephemeral })
+  }
+
+  if (deadlineInput && !deadline) {
+    return interaction.reply({
+      content: "❌ Invalid deadline. Use a UTC date like `2025-06-30 23:59`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (deadline && deadline <= Date.now()) {
+    return interaction.reply({ content: "❌ The deadline must be in the future.", flags: MessageFlags.Ephemeral })
+  }
+
+  if (bonusEntries && !bonusDrawId) {
+    return interaction.reply({
+      content: "❌ Set `bonus_draw_id` to choose which draw receives the bonus entries.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  if (bonusDrawId && !db.donationDraws?.[bonusDrawId]) {
+    return interaction.reply({ content: "❌ Bonus draw not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  const goalId = `goal_${Date.now()}`
+  const goal = {
+    id: goalId,
+    name,
+    description,
+    target,
+    raised: 0,
+    deadline,
+    status: "active",
+    contributions: {},
+    bonusEntries: bonusEntries || 0,
+    bonusDrawId: bonusDrawId || null,
+    ...(cause && { causeId: cause.id }),
+    channelId: null,
+    messageId: null,
+    createdBy: interaction.user.id,
+    createdAt: Date.now(),
+  }
+
+  getGoals(db)[goalId] = goal
+
+  // Post and pin the progress message that tips will keep updating
+  try {
+    const progressMessage = await channel.send({ embeds: [createGoalEmbed(db, goal)] })
+    goal.channelId = channel.id
+    goal.messageId = progressMessage.id
+
+    try {
+      await progressMessage.pin()
+    } catch (error) {
+      logger.warn(`Could not pin progress message for goal ${goalId}: ${error.message}`)
+    }
+  } catch (error) {
+    logger.error(`Could not post progress message for goal ${goalId}:`, error)
+  }
+
+  saveDatabase(interaction.guildId, db)
+
+  const embed = new EmbedBuilder()
+    .setTitle("✅ Community Goal Created")
+    .setDescription(`**${name}** is now live!`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      { name: "🆔 Goal ID", value: `\`${goalId}\``, inline: true },
+      { name: "💰 Target", value: `$${target.toFixed(2)}`, inline: true },
+      { name: "⏰ Deadline", value: deadline ? `<t:${Math.floor(deadline / 1000)}:F>` : "None", inline: true },
+      {
+        name: "📌 Progress Message",
+        value: goal.messageId ? `Pinned in <#${goal.channelId}>` : "Could not be posted, check my channel permissions",
+        inline: false,
+      },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+  logger.info(`Community goal created: ${goalId} ($${target}) by ${interaction.user.tag}`)
+}
+
+async function handleList(interaction, db) {
+  const statusOrder = { active: 0, completed: 1, expired: 2, closed: 3 }
+  const goals = Object.values(getGoals(db)).sort(
+    (a, b) => (statusOrder[a.status] ?? 4) - (statusOrder[b.status] ?? 4) || b.createdAt - a.createdAt,
+  )
+
+  const embed = new EmbedBuilder()
+    .setTitle("🎯 Community Goals")
+    .setColor(db.config?.theme?.primary || "#4CAF50")
+    .setFooter({ text: "Use /goals progress goal_id:ID for details • Powered By Aegisum Eco System" })
+
+  if (goals.length === 0) {
+    embed.setDescription("No community goals yet.")
+  } else {
+    const statusIcons = { active: "🟢", completed: "🎉", expired: "⌛", closed: "🔒" }
+    for (const goal of goals.slice(0, 25)) {
+      const raised = goal.raised || 0
+      const deadline = goal.status === "active" && goal.deadline ? ` • ends <t:${Math.floor(goal.deadline / 1000)}:R>` : ""
+      embed.addFields({
+        name: `${statusIcons[goal.status] || "❔"} ${goal.name}`,
+        value: `${progressBar(raised, goal.target, 12)} $${raised.toFixed(2)} / $${goal.target.toFixed(2)}${deadline}\n🆔 \`${goal.id}\``,
+        inline: false,
+      })
+    }
+  }
+
+  await interaction.reply({ embeds: [embed] })
+}
+
+async function handleProgress(interaction, db) {
+  const goalId = interaction.options.getString("goal_id")
+  const goals = goalId
+    ? [getGoals(db)[goalId]].filter(Boolean)
+    : Object.values(getGoals(db)).filter((goal) => goal.status === "active")
+
+  if (goals.length === 0) {
+    return interaction.reply({
+      content: goalId ? "❌ Goal not found." : "❌ There are no active community goals right now.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  await interaction.reply({ embeds: goals.slice(0, 10).map((goal) => createGoalEmbed(db, goal)) })
+}
+
+async function handleClose(interaction, db) {
+  if (!(await checkAdminPermissions(interaction, db))) {
+    return interaction.reply({
+      content: "❌ You do not have permission to close goals.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const goalId = interaction.options.getString("goal_id")
+  const goal = getGoals(db)[goalId]
+
+  if (!goal) {
+    return interaction.reply({ content: "❌ Goal not found.", flags: MessageFlags.Ephemeral })
+  }
+
+  if (goal.status !== "active") {
+    return interaction.reply({ content: "❌ This goal is no longer active.", flags: MessageFlags.Ephemeral })
+  }
+
+  goal.status = "closed"
+  goal.endedAt = Date.now()
+  goal.closedBy = interaction.user.id
+  saveDatabase(interaction.guildId, db)
+
+  await interaction.reply({
+    content: `✅ Goal **${goal.name}** closed at $${(goal.raised || 0).toFixed(2)} of $${goal.target.toFixed(2)}.`,
+    flags: MessageFlags.Ephemeral,
+  })
+  await updateGoalMessages(interaction.client, db, [goal])
+  logger.info(`Community goal closed: ${goalId} by ${interaction.user.tag}`)
+}
+
+async function checkAdminPermissions(interaction, db) {
+  const OWNER_ID = process.env.OWNER_ID || "659745190382141453"
+  if (interaction.user.id === OWNER_ID) return true
+  if (!db.config?.adminRoleId) return false
+
+  try {
+    const member = await interaction.guild.members.fetch(interaction.user.id)
+    return member.roles.cache.has(db.config.adminRoleId)
+  } catch (error) {
+    logger.error("Error checking admin permissions:", error)
+    return false
+  }
+}
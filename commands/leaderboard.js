@@ -1,6 +1,9 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
-import { getDatabase } from "../utils/database.js"
+import { getDatabase, saveDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
+import { getDonationTotals } from "../utils/ledger.js"
+import { findCause } from "../utils/causes.js"
+import { computeSeasonStandings, expireSeason, findSeason, getCurrentSeason } from "../utils/seasons.js"
 
 export const data = new SlashCommandBuilder()
   .setName("leaderboard")
@@ -14,10 +17,23 @@ export const data = new SlashCommandBuilder()
         { name: "Total Donations", value: "total" },
         { name: "Monthly Donations", value: "monthly" },
         { name: "Weekly Donations", value: "weekly" },
+        { name: "Season Donations", value: "season" },
         { name: "Most Entries", value: "entries" },
         { name: "Achievement Count", value: "achievements" }
       )
   )
+  .addStringOption(option =>
+    option
+      .setName("name")
+      .setDescription("Season name for the season leaderboard (default: current season)")
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName("cause")
+      .setDescription("Only count donations to this cause (total, monthly and weekly leaderboards)")
+      .setRequired(false)
+  )
 
 export async function execute(interaction) {
   try {
@@ -25,6 +41,14 @@ export async function execute(interaction) {
     const db = getDatabase(serverId)
     const type = interaction.options.getString("type") || "total"
 
+    const causeInput = interaction.options.getString("cause")
+    if (causeInput && !findCause(db, causeInput)) {
+      return interaction.reply({
+        content: "❌ Cause not found. Use `/causes list` to see available causes.",
+        flags: MessageFlags.Ephemeral,
+      })
+    }
+
     switch (type) {
       case "total":
         await handleTotalLeaderboard(interaction, db)
@@ -35,6 +59,9 @@ export async function execute(interaction) {
       case "weekly":
         await handleWeeklyLeaderboard(interaction, db)
         break
+      case "season":
+        await handleSeasonLeaderboard(interaction, db)
+        break
       case "entries":
         await handleEntriesLeaderboard(interaction, db)
         break
@@ -65,10 +92,8 @@ export async function execute(interaction) {
 }
 
 async function handleTotalLeaderboard(interaction, db) {
-  const users = Object.entries(db.users || {})
-    .filter(([userId, userData]) => userData.totalDonated > 0)
-    .sort(([, a], [, b]) => b.totalDonated - a.totalDonated)
-    .slice(0, 10)
+  const cause = findCause(db, interaction.options.getString("cause"))
+  const users = getDonationTotals(db, { causeId: cause?.id }).slice(0, 10)
 
   if (users.length === 0) {
     return interaction.reply({
@@ -78,18 +103,18 @@ async function handleTotalLeaderboard(interaction, db) {
   }
 
   const embed = new EmbedBuilder()
-    .setTitle("🏆 Total Donations Leaderboard")
+    .setTitle(`🏆 Total Donations Leaderboard${cause ? ` • ${cause.name}` : ""}`)
     .setDescription("Top donors of all time")
     .setColor(db.config?.theme?.primary || "#4CAF50")
 
   let leaderboardText = ""
   for (let i = 0; i < users.length; i++) {
-    const [userId, userData] = users[i]
+    const { userId, amount } = users[i]
     const user = await interaction.guild.members.fetch(userId).catch(() => null)
     const username = user?.user.username || "Unknown User"
     const medal = i === 0 ? "🥇" : i === 1 ? "🥈" : i === 2 ? "🥉" : `${i + 1}.`
     
-    leaderboardText += `${medal} **${username}** - $${userData.totalDonated.toFixed(2)}\n`
+    leaderboardText += `${medal} **${username}** - $${amount.toFixed(2)}\n`
   }
 
   embed.addFields({
@@ -109,17 +134,8 @@ async function handleMonthlyLeaderboard(interaction, db) {
   monthStart.setHours(0, 0, 0, 0)
   const monthStartMs = monthStart.getTime()
 
-  const users = Object.entries(db.users || {})
-    .map(([userId, userData]) => {
-      const monthlyTotal = (userData.donations || [])
-        .filter(donation => donation.timestamp >= monthStartMs)
-        .reduce((sum, donation) => sum + donation.amount, 0)
-      
-      return [userId, { ...userData, monthlyTotal }]
-    })
-    .filter(([userId, userData]) => userData.monthlyTotal > 0)
-    .sort(([, a], [, b]) => b.monthlyTotal - a.monthlyTotal)
-    .slice(0, 10)
+  const cause = findCause(db, interaction.options.getString("cause"))
+  const users = getDonationTotals(db, { since: monthStartMs, causeId: cause?.id }).slice(0, 10)
 
   if (users.length === 0) {
     return interaction.reply({
@@ -129,18 +145,18 @@ async function handleMonthlyLeaderboard(interaction, db) {
   }
 
   const embed = new EmbedBuilder()
-    .setTitle("📅 Monthly Donations Leaderboard")
+    .setTitle(`📅 Monthly Donations Leaderboard${cause ? ` • ${cause.name}` : ""}`)
     .setDescription(`Top donors for ${monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`)
     .setColor(db.config?.theme?.secondary || "#2196F3")
 
   let leaderboardText = ""
   for (let i = 0; i < users.length; i++) {
-    const [userId, userData] = users[i]
+    const { userId, amount } = users[i]
     const user = await interaction.guild.members.fetch(userId).catch(() => null)
     const username = user?.user.username || "Unknown User"
     const medal = i === 0 ? "🥇" : i === 1 ? "🥈" : i === 2 ? "🥉" : `${i + 1}.`
     
-    leaderboardText += `${medal} **${username}** - $${userData.monthlyTotal.toFixed(2)}\n`
+    leaderboardText += `${medal} **${username}** - $${amount.toFixed(2)}\n`
   }
 
   embed.addFields({
@@ -160,17 +176,8 @@ async function handleWeeklyLeaderboard(interaction, db) {
   weekStart.setHours(0, 0, 0, 0)
   const weekStartMs = weekStart.getTime()
 
-  const users = Object.entries(db.users || {})
-    .map(([userId, userData]) => {
-      const weeklyTotal = (userData.donations || [])
-        .filter(donation => donation.timestamp >= weekStartMs)
-        .reduce((sum, donation) => sum + donation.amount, 0)
-      
-      return [userId, { ...userData, weeklyTotal }]
-    })
-    .filter(([userId, userData]) => userData.weeklyTotal > 0)
-    .sort(([, a], [, b]) => b.weeklyTotal - a.weeklyTotal)
-    .slice(0, 10)
+  const cause = findCause(db, interaction.options.getString("cause"))
+  const users = getDonationTotals(db, { since: weekStartMs, causeId: cause?.id }).slice(0, 10)
 
   if (users.length === 0) {
     return interaction.reply({
@@ -180,18 +187,18 @@ async function handleWeeklyLeaderboard(interaction, db) {
   }
 
   const embed = new EmbedBuilder()
-    .setTitle("📊 Weekly Donations Leaderboard")
+    .setTitle(`📊 Weekly Donations Leaderboard${cause ? ` • ${cause.name}` : ""}`)
     .setDescription("Top donors for this week")
     .setColor(db.config?.theme?.accent || "#FF9800")
 
   let leaderboardText = ""
   for (let i = 0; i < users.length; i++) {
-    const [userId, userData] = users[i]
+    const { userId, amount } = users[i]
     const user = await interaction.guild.members.fetch(userId).catch(() => null)
     const username = user?.user.username || "Unknown User"
     const medal = i === 0 ? "🥇" : i === 1 ? "🥈" : i === 2 ? "🥉" : `${i + 1}.`
     
-    leaderboardText += `${medal} **${username}** - $${userData.weeklyTotal.toFixed(2)}\n`
+    leaderboardText += `${medal} **${username}** - $${amount.toFixed(2)}\n`
   }
 
   embed.addFields({
@@ -204,6 +211,69 @@ async function handleWeeklyLeaderboard(interaction, db) {
   await interaction.reply({ embeds: [embed] })
 }
 
+async function handleSeasonLeaderboard(interaction, db) {
+  if (db.config?.featureToggles?.seasonalLeaderboards === false) {
+    return interaction.reply({
+      content: "❌ Seasonal leaderboards are currently disabled.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  // Archive a season whose end date passed since the last check
+  if (expireSeason(db)) {
+    saveDatabase(interaction.guildId, db)
+  }
+
+  const name = interaction.options.getString("name")
+  const season = name
+    ? findSeason(db, name)
+    : getCurrentSeason(db) || (db.seasonArchive?.length ? { ...db.seasonArchive.at(-1), archived: true } : null)
+
+  if (!season) {
+    return interaction.reply({
+      content: name
+        ? `❌ No season named **${name}** was found.`
+        : "❌ No season has been run yet. Admins can start one with `/admin season start`.",
+      flags: MessageFlags.Ephemeral,
+    })
+  }
+
+  const standings = season.archived ? season.standings : computeSeasonStandings(db, season.startDate)
+  const top = standings.slice(0, 10)
+  const totalRaised = season.archived ? season.totalRaised : standings.reduce((sum, standing) => sum + standing.amount, 0)
+
+  const startText = `<t:${Math.floor(season.startDate / 1000)}:D>`
+  const endText = season.endDate ? `<t:${Math.floor(season.endDate / 1000)}:${season.archived ? "D" : "R"}>` : "ongoing"
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏅 ${season.name} Leaderboard`)
+    .setDescription(
+      `${season.archived ? "📦 Final standings" : "🟢 Season in progress"}\n` +
+      `📅 ${startText} → ${endText}\n` +
+      `💰 $${totalRaised.toFixed(2)} raised by ${season.archived ? season.donorCount : standings.length} donors`
+    )
+    .setColor(db.config?.theme?.special || "#E91E63")
+
+  let leaderboardText = ""
+  for (let i = 0; i < top.length; i++) {
+    const { userId, amount } = top[i]
+    const user = await interaction.guild.members.fetch(userId).catch(() => null)
+    const username = user?.user.username || db.users?.[userId]?.username || "Unknown User"
+    const medal = i === 0 ? "🥇" : i === 1 ? "🥈" : i === 2 ? "🥉" : `${i + 1}.`
+
+    leaderboardText += `${medal} **${username}** - $${amount.toFixed(2)}\n`
+  }
+
+  embed.addFields({
+    name: "Top Season Donors",
+    value: leaderboardText || "No donations yet this season.",
+    inline: false,
+  })
+
+  embed.setFooter({ text: "Powered By Aegisum Eco System" })
+  await interaction.reply({ embeds: [embed] })
+}
+
 async function handleEntriesLeaderboard(interaction, db) {
   const users = Object.entries(db.users || {})
     .map(([userId, userData]) => {
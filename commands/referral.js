@@ -1,6 +1,7 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js"
 import { getDatabase, saveDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
+import { evaluateChallenges } from "../utils/challenges.js"
 
 export const data = new SlashCommandBuilder()
   .setName("referral")
@@ -192,6 +193,9 @@ async function handleUseCode(interaction, db) {
   
   db.users[referrerId].referrals.referred.push(userId)
 
+  // A friend who already donated this period can complete a referral challenge
+  const completedChallenges = evaluateChallenges(db, referrerId)
+
   saveDatabase(interaction.guildId, db)
 
   // Get referrer info
@@ -237,6 +241,12 @@ async function handleUseCode(interaction, db) {
     // Ignore notification errors
   }
 
+  if (completedChallenges.length > 0) {
+    await interaction.followUp(
+      completedChallenges.map(({ challenge }) => `🏅 <@${referrerId}> completed **${challenge.name}**!`).join("\n"),
+    )
+  }
+
   logger.info(`Referral used: ${interaction.user.tag} referred by ${referrerName}`)
 }
 
@@ -40,6 +40,14 @@ export const data = new SlashCommandBuilder()
         option.setName("draw_id").setDescription("Draw ID to select (use 'auto' for automatic)").setRequired(false)
       )
   )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName("notifications")
+      .setDescription("Get draw reminders by DM")
+      .addBooleanOption(option =>
+        option.setName("enabled").setDescription("Enable or disable draw reminder DMs").setRequired(false)
+      )
+  )
   .addSubcommand(subcommand =>
     subcommand
       .setName("privacy")
@@ -86,6 +94,9 @@ export async function execute(interaction) {
       case "privacy":
         await handlePrivacy(interaction, db)
         break
+      case "notifications":
+        await handleNotifications(interaction, db)
+        break
       default:
         await interaction.reply({
           content: "❌ Unknown subcommand.",
@@ -450,3 +461,42 @@ async function handlePrivacy(interaction, db) {
   embed.setFooter({ text: "Powered By Aegisum Eco System" })
   await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
 }
+
+// Handle draw reminder DM opt-in
+async function handleNotifications(interaction, db) {
+  const userId = interaction.user.id
+  const enabled = interaction.options.getBoolean("enabled")
+
+  if (!db.users[userId]) {
+    db.users[userId] = { donations: [], totalDonated: 0, entries: {}, privacy: {} }
+  }
+  if (!db.users[userId].notifications) {
+    db.users[userId].notifications = {}
+  }
+
+  if (enabled !== null) {
+    db.users[userId].notifications.drawReminders = enabled
+    const { saveDatabase } = await import("../utils/database.js")
+    saveDatabase(interaction.guildId, db)
+  }
+
+  const active = !!db.users[userId].notifications.drawReminders
+  const embed = new EmbedBuilder()
+    .setColor(CONFIG.DEFAULT_THEME?.colors?.primary || "#3498db")
+    .setTitle("🔔 Draw Reminders")
+    .setDescription(
+      enabled === null
+        ? `Draw reminder DMs are currently **${active ? "enabled" : "disabled"}**.`
+        : `Draw reminder DMs have been **${active ? "enabled" : "disabled"}**.`
+    )
+    .addFields({
+      name: "📝 What This Means",
+      value: active
+        ? "You will get a DM before scheduled draws with your entries and odds. Make sure DMs from server members are allowed."
+        : "You will only see draw reminders in the server's notification channel.",
+      inline: false,
+    })
+    .setFooter({ text: "Use /user notifications enabled:true/false to change" })
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
@@ -1,8 +1,18 @@
 import { logger } from "../utils/logger.js"
+import { withDatabase } from "../utils/database.js"
+import { handleButtonInteraction, handleModalSubmit } from "../handlers/buttonHandler.js"
 
 export const name = "interactionCreate"
 
+// Interactions in a server run under its database lock (withDatabase), so a
+// tip or another admin's command cannot save over their changes
+function withServerLock(interaction, run) {
+  return interaction.guildId ? withDatabase(interaction.guildId, run) : run()
+}
+
 export async function execute(interaction) {
+  if (interaction.isButton()) return withServerLock(interaction, () => handleButtonInteraction(interaction))
+  if (interaction.isModalSubmit()) return withServerLock(interaction, () => handleModalSubmit(interaction))
   if (!interaction.isChatInputCommand()) return
 
   const command = interaction.client.commands.get(interaction.commandName)
@@ -13,7 +23,7 @@ export async function execute(interaction) {
   }
 
   try {
-    await command.execute(interaction)
+    await withServerLock(interaction, () => command.execute(interaction))
   } catch (error) {
     logger.error(`Error executing ${interaction.commandName}:`, error)
 
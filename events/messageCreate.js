@@ -1,148 +1,215 @@
 import { Events } from "discord.js"
-import { getDatabase, saveDatabase } from "../utils/database.js"
+import { getDatabase, saveDatabase, withDatabase } from "../utils/database.js"
 import { logger } from "../utils/logger.js"
 import { CONFIG, ACHIEVEMENTS } from "../config.js"
-import fetch from "node-fetch"
+import { describeMultiplier, formatMultiplier, getEntryMultiplier } from "../utils/multipliers.js"
+import { announceGoalCompleted, recordGoalContribution, updateGoalMessages } from "../utils/communityGoals.js"
+import { describeReward, evaluateChallenges } from "../utils/challenges.js"
+import { parseTipccMessage, tipSignature, TIPCC_BOT_ID } from "../utils/tipccParser.js"
+import { matchAllowedRecipients } from "../utils/recipients.js"
+import { getDonationCause, inCause } from "../utils/causes.js"
+import { checkTargetDraw, recordTipCommand, takeTipTarget } from "../utils/tipTargets.js"
+import {
+  claimLedgerEntry,
+  confirmLedgerEntry,
+  getLedger,
+  holdLedgerEntry,
+  LEDGER_STATUS,
+  ledgerKey,
+  releaseLedgerEntry,
+} from "../utils/ledger.js"
+import { quoteDonation } from "../utils/priceOracle.js"
+import { holdForReview, resolveReview, REVIEW_REASONS, REVIEW_STATUS } from "../utils/reviewQueue.js"
+import { sendAdminLog } from "../utils/adminLog.js"
+import { checkDonation, describeFlags, sendFraudLog, trackRecipientPayout } from "../utils/antiFraud.js"
 
 export const name = Events.MessageCreate
 
 export async function execute(message) {
   // Check for tip.cc donations first (before ignoring bot messages)
-  if (message.author.id === "617037497574359050") {
-    // tip.cc bot ID
-    await handleTipccDonation(message)
+  if (message.author.id === TIPCC_BOT_ID) {
+    if (message.guildId) await withDatabase(message.guildId, () => handleTipccDonation(message))
     return
   }
 
   // Ignore other bot messages
   if (message.author.bot) return
+
+  // Remember "$tip ... #drawId" so the tip.cc confirmation can be matched to it
+  recordTipCommand(message)
 }
 
-async function handleTipccDonation(message) {
+// Record a tip.cc message as a donation. Also used by the MessageUpdate
+// handler to re-process an edited tip, where `silent` skips the public thank
+// you message, and to approve a tip held for review (approveHeldTip), where
+// `review` carries the admin's decision: { by, price, senderId, targetDrawId }.
+// An approved tip skips the recipient and currency checks. Returns
+// { userId, donation }, or null if nothing was counted.
+export async function handleTipccDonation(message, { silent = false, review = null } = {}) {
   try {
     logger.info(`🔍 Processing tip.cc message: "${message.content}"`)
     
     const serverId = message.guildId
-    if (!serverId) return
+    if (!serverId) return null
 
     const db = getDatabase(serverId)
 
-    // Parse tip.cc message - try multiple regex patterns
-    let match = null
-    let sender, amount, currency, recipient
-
-    // Pattern 1: Actual tip.cc format - <:LTC:123> or <a:USDT:123> <@!123> sent <@123> **amount CURRENCY** (≈ $price).
-    const tipRegex1 = /<a?:[A-Z]+:\d+>\s*<@!?(\d+)>\s*sent\s*<@!?(\d+)>\s*\*\*([\d.]+)\s*([A-Z]+)\*\*(?:\s*\(≈\s*\$[\d.]+\))?\./i
-    match = message.content.match(tipRegex1)
-    
-    if (match) {
-      sender = match[1] // sender user ID
-      recipient = match[2] // recipient user ID
-      amount = match[3]
-      currency = match[4]
-      logger.debug(`🔍 Matched Pattern 1 (Custom Emoji): ${sender} -> ${recipient}, ${amount} ${currency}`)
-    }
-
-    if (!match) {
-      // Pattern 2: Alternative format - 💰 @username sent @recipient amount CURRENCY (≈ $price).
-      const tipRegex2 = /💰\s*@(\w+)\s*sent\s*@(\w+)\s*([\d.]+)\s*(\w+)\s*\(≈\s*\$[\d.]+\)\./i
-      match = message.content.match(tipRegex2)
-      if (match) {
-        sender = match[1] // sender username
-        recipient = match[2] // recipient username
-        amount = match[3]
-        currency = match[4]
-        logger.debug(`🔍 Matched Pattern 2 (Username): ${sender} -> ${recipient}, ${amount} ${currency}`)
-      }
+    // Parse tip.cc message
+    const parsed = parseTipccMessage(message)
+    if (!parsed.ok) {
+      logger.info(`🔍 Ignoring tip.cc message (${parsed.reason}): ${parsed.detail}`)
+      return null
     }
 
-    if (!match) {
-      // Pattern 3: Simple format - <@!123> sent <@123> amount CURRENCY (≈ $price).
-      const tipRegex3 = /<@!?(\d+)>\s*sent\s*<@!?(\d+)>\s*([\d.]+)\s*(\w+)\s*\(≈\s*\$[\d.]+\)\./i
-      match = message.content.match(tipRegex3)
-      if (match) {
-        sender = match[1] // sender user ID
-        recipient = match[2] // recipient user ID  
-        amount = match[3]
-        currency = match[4]
-        logger.debug(`🔍 Matched Pattern 3 (User IDs): ${sender} -> ${recipient}, ${amount} ${currency}`)
+    const tip = parsed.tip
+    const sender = tip.sender.id || tip.sender.name
+    const currency = tip.currency
+    const tipRecipients = tip.recipients.map((r) => r.id || r.name)
+    logger.info(
+      `🔍 Detected ${tip.kind}: ${sender} sent ${tip.amount} ${currency} to ${tipRecipients.join(", ")}`
+    )
+
+    const key = ledgerKey("tipcc", message.id)
+
+    // A tip that looks like a donation but cannot be counted is held for an
+    // admin (/admin review) instead of being dropped
+    const hold = async (reason, detail, data) => {
+      logger.info(`⏸️ Holding tip.cc message ${message.id} for review: ${detail}`)
+      const held = holdForReview(db, key, {
+        reason,
+        detail,
+        messageId: message.id,
+        channelId: message.channelId,
+        sender,
+        currency,
+        recipients: tipRecipients,
+        ...data,
+      })
+      saveDatabase(serverId, db)
+
+      if (!held.updatedAt) {
+        await sendAdminLog(message.client, db, {
+          title: "⏸️ Donation Held for Review",
+          description: `${REVIEW_REASONS[reason]}: ${detail}. The tip was held instead of counted.`,
+          color: "warning",
+          fields: [
+            { name: "💰 Tip", value: `${held.amount} ${currency} from ${sender}`, inline: true },
+            { name: "📨 Message", value: `${message.id} in <#${message.channelId}>`, inline: true },
+            { name: "➡️ Next Steps", value: "Approve, edit or reject it with `/admin review`", inline: false },
+          ],
+        })
       }
+      return null
     }
 
-    if (!match) {
-      // Pattern 4: Simple format - username sent amount currency to recipient
-      const tipRegex4 = /(\w+)\s*sent\s*([\d.]+)\s*(\w+)\s*to\s*(\w+)/i
-      match = message.content.match(tipRegex4)
-      if (match) {
-        [, sender, amount, currency, recipient] = match
-        logger.debug(`🔍 Matched Pattern 4: ${sender} -> ${recipient}, ${amount} ${currency}`)
+    // A tip sent by a recipient is remembered for the circular tip rule, and
+    // flags the donations it pays back. A message the ledger already has was
+    // seen before (a re-delivered event), so it is not tracked again.
+    const seen = getLedger(db)[key]
+    if (!silent && !review && (!seen || seen.status === LEDGER_STATUS.REVERSED)) {
+      const paidBack = await trackRecipientPayout(message.guild, db, tip, message.id)
+      if (paidBack) {
+        saveDatabase(serverId, db)
+        for (const entry of paidBack) {
+          await sendFraudLog(message.client, db, {
+            userId: entry.userId,
+            donationText: `A donation of $${entry.amount.toFixed(2)}`,
+            flags: entry.fraudFlags.filter((flag) => flag.rule === "circular"),
+            held: false,
+            messageId: entry.messageId,
+            channelId: entry.channelId,
+          })
+        }
       }
     }
 
-    if (!match) {
-      logger.info(`🔍 No tip match found in message: "${message.content}"`)
-      logger.debug(`🔍 Tried all 4 regex patterns but none matched`)
-      return
-    }
-
-    logger.info(`🔍 Detected tip: ${sender} sent ${amount} ${currency} to ${recipient}`)
-
     // Check if recipient is in allowed recipients
-    if (!db.config?.allowedRecipients?.length) {
+    if (!db.config?.allowedRecipients?.length && !review) {
       logger.info("🔍 No allowed recipients configured")
-      return
+      return null
     }
 
-    // Check if recipient is in allowed recipients - simplified approach
-    let isAllowedRecipient = false
-    
-    logger.debug(`🔍 Checking recipient: ${recipient} against allowed list: ${JSON.stringify(db.config.allowedRecipients)}`)
-    
-    // Check direct match with recipient ID
-    isAllowedRecipient = db.config.allowedRecipients.some((allowed) => {
-      if (typeof allowed !== 'string') return false
-      
-      // Clean both values
-      const cleanAllowed = allowed.replace(/[@<>!]/g, '')
-      const cleanRecipient = recipient.replace(/[@<>!]/g, '')
-      
-      // Check if they match
-      const matches = cleanAllowed === cleanRecipient
-      logger.debug(`🔍 Comparing "${cleanRecipient}" with "${cleanAllowed}": ${matches}`)
-      return matches
-    })
-
-    if (!isAllowedRecipient) {
-      logger.info(`🔍 Recipient ${recipient} not in allowed list: ${JSON.stringify(db.config.allowedRecipients)}`)
-      return
+    logger.debug(`🔍 Checking recipients against allowed list: ${JSON.stringify(db.config.allowedRecipients)}`)
+
+    // Only the share sent to allowed recipients counts as a donation. Role
+    // recipients are resolved against the recipient's roles right now.
+    const matchedRecipients = await matchAllowedRecipients(message.guild, db.config.allowedRecipients || [], tip.recipients)
+    let allowedRecipients = matchedRecipients.map((match) => match.recipient)
+    const causeId = getDonationCause(matchedRecipients)
+
+    if (allowedRecipients.length === 0) {
+      // An approved tip counts in full for the general pool
+      if (review) {
+        allowedRecipients = tipRecipients
+      } else {
+        logger.info(`🔍 No allowed recipient in tip: ${JSON.stringify(db.config.allowedRecipients)}`)
+
+        // Most such tips are ordinary tips between members. One tagged for a
+        // draw was meant as a donation, so an admin gets to see it.
+        const tagged = tip.sender.id ? takeTipTarget(message, tip.sender.id, tip.recipients) : null
+        if (!tagged) return null
+        return hold("recipient_mismatch", `tagged for draw #${tagged.drawId}, but no recipient is allowed`, {
+          amount: tip.amount * tip.recipients.length,
+          targetDrawId: tagged.drawId,
+        })
+      }
     }
 
+    const recipient = allowedRecipients[0]
+    const amount = tip.amount * allowedRecipients.length
+
     // Check if currency is accepted
     const acceptedCurrencies = db.config?.acceptedCryptocurrencies || CONFIG.DEFAULT_ACCEPTED_CRYPTOCURRENCIES
-    if (!acceptedCurrencies.includes(currency.toUpperCase())) {
+    if (!acceptedCurrencies.includes(currency.toUpperCase()) && !review) {
       logger.info(`🔍 Currency ${currency} not accepted`)
-      return
+      return hold("currency_not_accepted", `${currency} is not an accepted cryptocurrency`, {
+        amount,
+        recipients: allowedRecipients,
+        ...(causeId && { causeId }),
+      })
     }
 
-    // Get USD value from tip.cc message first, then fallback to API
-    let usdValue = await extractPriceFromTipMessage(message.content, Number.parseFloat(amount))
-    if (!usdValue) {
-      usdValue = await getCryptoPrice(currency, Number.parseFloat(amount))
+    // Claim the message in the ledger before anything async, so a re-delivered
+    // or duplicated event for the same message is skipped instead of counted twice
+    const claim = claimLedgerEntry(db, key, { messageId: message.id, channelId: message.channelId }, { reclaimHeld: !!review })
+    if (claim.duplicate) {
+      logger.info(`🔍 tip.cc message ${message.id} is already ${claim.entry.status} in the ledger, skipping`)
+      return null
     }
-    
-    if (!usdValue) {
+    saveDatabase(serverId, db)
+
+    // Get USD value from tip.cc message first, then fallback to the price oracle
+    const quote = await quoteDonation(currency, amount, {
+      quotedUsd: tip.usdValue !== null ? tip.usdValue * allowedRecipients.length : null,
+      price: review?.price,
+      overrides: db.config?.priceOverrides,
+    })
+
+    if (!quote) {
       logger.error(`🔍 Could not get USD value for ${amount} ${currency}`)
-      return
+      releaseLedgerEntry(db, key)
+      return hold("unpriced", `no price is available for ${currency}`, {
+        amount,
+        recipients: allowedRecipients,
+        ...(causeId && { causeId }),
+      })
     }
 
+    const usdValue = quote.usdValue
+
     logger.info(`🔍 USD value calculated: $${usdValue.toFixed(2)}`)
 
     // Find sender in guild - handle both user IDs and usernames
     const guild = message.guild
     let senderMember = null
 
+    // The donor chosen by the admin approving the tip
+    if (review?.senderId) {
+      senderMember = await guild.members.fetch(review.senderId).catch(() => null)
+    }
+
     // If sender is a user ID (all digits), fetch directly
-    if (/^\d+$/.test(sender)) {
+    if (!senderMember && /^\d+$/.test(sender)) {
       try {
         senderMember = await guild.members.fetch(sender)
         logger.debug(`🔍 Found sender by ID: ${sender}`)
@@ -167,12 +234,59 @@ async function handleTipccDonation(message) {
 
     if (!senderMember) {
       logger.error(`🔍 Could not find sender ${sender} in guild`)
-      return
+      releaseLedgerEntry(db, key)
+      return hold("unknown_sender", `${sender} could not be matched to a member of this server`, {
+        amount,
+        recipients: allowedRecipients,
+        ...(causeId && { causeId }),
+      })
     }
 
     const senderId = senderMember.user.id
     logger.info(`🔍 Matched sender ${sender} to user ID ${senderId}`)
 
+    // A "$tip ... #drawId" command sends the entries to that draw only. When
+    // the draw cannot take them the usual draw selection applies instead.
+    const tipTarget =
+      takeTipTarget(message, senderId, tip.recipients) ||
+      (review?.targetDrawId ? { drawId: review.targetDrawId, commandMessageId: null } : null)
+    const targetCheck = tipTarget ? checkTargetDraw(db, tipTarget.drawId, { usdValue, causeId, member: senderMember }) : null
+    if (targetCheck?.reason) logger.info(`🎯 Tagged draw #${tipTarget.drawId} rejected: ${targetCheck.reason}`)
+
+    // Anti-fraud rules. A held donation keeps its ledger claim, marked held
+    // with the flags, and waits for /admin review; approving it counts it
+    // with its flags.
+    const fraudFlags = checkDonation(db, { userId: senderId, member: senderMember, usdValue, recipients: allowedRecipients, causeId })
+    const holdFlags = fraudFlags.filter((flag) => flag.action === "hold")
+    if (holdFlags.length > 0 && !review) {
+      logger.warn(`🚩 Holding suspicious donation from ${senderId}: ${describeFlags(holdFlags)}`)
+      holdLedgerEntry(db, key, {
+        userId: senderId,
+        amount: usdValue,
+        currency,
+        originalAmount: amount,
+        timestamp: Date.now(),
+        holdReason: "suspicious",
+        fraudFlags,
+      })
+      await hold("suspicious", describeFlags(holdFlags).replace(/\n/g, "; "), {
+        amount,
+        recipients: allowedRecipients,
+        ...(causeId && { causeId }),
+        ...(tipTarget && { targetDrawId: tipTarget.drawId }),
+        fraudFlags,
+      })
+      await sendFraudLog(message.client, db, {
+        userId: senderId,
+        donationText: `A donation of $${usdValue.toFixed(2)}`,
+        flags: fraudFlags,
+        held: true,
+        messageId: message.id,
+        channelId: message.channelId,
+      })
+      return null
+    }
+
     // Initialize user data
     if (!db.users[senderId]) {
       db.users[senderId] = {
@@ -191,21 +305,30 @@ async function handleTipccDonation(message) {
 
     logger.info(`💰 Processing donation: $${usdValue.toFixed(2)} USD`)
 
-    // Add donation
-    const oldTotal = db.users[senderId].totalDonated
-    db.users[senderId].totalDonated += usdValue
-    
-    // Ensure donations array exists
-    if (!db.users[senderId].donations) {
-      db.users[senderId].donations = []
-    }
-    
-    db.users[senderId].donations.push({
+    // Confirm the ledger entry, which updates the user's total and donation
+    // list. It remembers what the donation changed so an edit or deletion of
+    // the tip.cc message can be reversed.
+    const oldTotal = db.users[senderId].totalDonated || 0
+    const donation = confirmLedgerEntry(db, key, {
+      userId: senderId,
       amount: usdValue,
       currency,
-      originalAmount: Number.parseFloat(amount),
+      originalAmount: amount,
+      rate: quote.rate,
+      ...(review && { reviewedBy: review.by }),
       timestamp: Date.now(),
       recipient,
+      ...(allowedRecipients.length > 1 && { recipients: allowedRecipients }),
+      ...(tip.kind !== "tip" && { kind: tip.kind }),
+      ...(causeId && { causeId }),
+      ...(tipTarget && { targetDrawId: tipTarget.drawId }),
+      signature: tipSignature(tip),
+      ...(fraudFlags.length > 0 && { fraudFlags }),
+      effects: {
+        entries: {},
+        goals: {},
+        streakBefore: { ...(db.users[senderId].streaks || { current: 0, longest: 0, lastDonation: null }) },
+      },
     })
 
     // Update donation streak
@@ -221,16 +344,20 @@ async function handleTipccDonation(message) {
     logger.info("🎯 Adding entries to eligible draws")
     let entriesAdded = 0
     let enteredDraws = []
+    const appliedBoosts = new Map()
     
-    // Check if user has selected a specific draw
-    const selectedDrawId = db.users[senderId].selectedDraw
+    // A valid tagged draw wins over the draw the user has selected
+    const selectedDrawId = targetCheck?.drawId || db.users[senderId].selectedDraw
     
     for (const [drawId, draw] of Object.entries(db.donationDraws || {})) {
       if (!draw.active) continue
       if (usdValue < draw.minAmount || (draw.maxAmount && usdValue > draw.maxAmount)) continue
       if (draw.manualEntriesOnly) continue
 
-      // If user has selected a specific draw, only process that one
+      // Donations to a cause's recipients only enter that cause's draws
+      if (!inCause(draw, causeId)) continue
+
+      // If user has tagged or selected a specific draw, only process that one
       if (selectedDrawId && selectedDrawId !== 'auto' && drawId !== selectedDrawId) continue
 
       // Check VIP requirement
@@ -239,15 +366,18 @@ async function handleTipccDonation(message) {
         if (!hasVipRole) continue
       }
 
-      // Calculate entries
-      const entries = Math.floor(usdValue / draw.minAmount)
+      // Calculate entries, applying any active donation multipliers
+      const { multiplier, applied } = getEntryMultiplier(db, { currency, drawId })
+      const entries = Math.floor((usdValue / draw.minAmount) * multiplier)
       if (entries <= 0) continue
 
       // Check if draw has space
       const currentEntries = Object.values(draw.entries || {}).reduce((sum, count) => sum + count, 0)
       if (draw.maxEntries && currentEntries >= draw.maxEntries) continue
 
-      // Add entries
+      // Add entries. They are counters, not derived from the ledger (see
+      // ledger.js); effects.entries records them, and the round they were
+      // added in, for a later reversal.
       if (!draw.entries) draw.entries = {}
       if (!draw.entries[senderId]) draw.entries[senderId] = 0
       if (!db.users[senderId].entries) db.users[senderId].entries = {}
@@ -257,28 +387,85 @@ async function handleTipccDonation(message) {
       draw.entries[senderId] += entriesToAdd
       db.users[senderId].entries[drawId] += entriesToAdd
       entriesAdded += entriesToAdd
-      enteredDraws.push({ name: draw.name, entries: entriesToAdd })
+      donation.effects.entries[drawId] = { count: entriesToAdd, round: draw.round || 1 }
+      enteredDraws.push({ name: draw.name, entries: entriesToAdd, multiplier, capped: entriesToAdd < entries })
+      for (const boost of applied) appliedBoosts.set(boost.id, boost)
       
-      logger.info(`🎯 Added ${entriesToAdd} entries to draw: ${draw.name}`)
+      logger.info(`🎯 Added ${entriesToAdd} entries to draw: ${draw.name}${multiplier !== 1 ? ` (${formatMultiplier(multiplier)} boost)` : ""}`)
     }
 
+    // Advance community goals
+    const goalProgress = recordGoalContribution(db, senderId, usdValue, causeId)
+    donation.effects.goals = goalProgress.contributed
+
+    // Evaluate challenges for the donor, and for their referrer since a
+    // referred friend's donation can complete a referral challenge
+    const completedChallenges = evaluateChallenges(db, senderId).map((result) => ({ userId: senderId, ...result }))
+    const referrerId = db.users[senderId].referrals?.referredBy
+    if (referrerId) {
+      completedChallenges.push(...evaluateChallenges(db, referrerId).map((result) => ({ userId: referrerId, ...result })))
+    }
+
+    // A held tip that is now priced leaves the review queue
+    resolveReview(db, key, REVIEW_STATUS.APPROVED, { reviewedBy: review?.by || null, rate: quote.rate })
+
     // Save database
     saveDatabase(serverId, db)
     logger.info("✅ Donation processed successfully")
 
+    if (fraudFlags.length > 0) {
+      await sendFraudLog(message.client, db, {
+        userId: senderId,
+        donationText: `A donation of $${usdValue.toFixed(2)}`,
+        flags: fraudFlags,
+        held: false,
+        messageId: message.id,
+        channelId: message.channelId,
+      })
+    }
+
+    await updateGoalMessages(message.client, db, goalProgress.updated)
+    for (const { goal, awarded } of goalProgress.completed) {
+      await announceGoalCompleted(message.client, db, goal, awarded)
+    }
+
+    if (completedChallenges.length > 0) {
+      const challengeList = completedChallenges
+        .map(({ userId, challenge }) => `🏅 <@${userId}> completed **${challenge.name}**! Reward: ${describeReward(db, challenge)}`)
+        .join('\n')
+      await message.channel.send(`${challengeList}\n\nUse \`/challenges\` to see the other challenges!`)
+    }
+
+    // Explain a tagged draw that could not be used, as a reply to the command
+    if (targetCheck?.reason && !silent) {
+      const fallback = entriesAdded > 0
+        ? `Your entries went to ${enteredDraws.map((draw) => `**${draw.name}**`).join(', ')} instead.`
+        : 'Your donation still counts, but no draw could take its entries.'
+      await replyToTipCommand(
+        message,
+        tipTarget.commandMessageId,
+        `⚠️ <@${senderId}> your tip was tagged for \`#${tipTarget.drawId}\`, but ${targetCheck.reason}. ${fallback}`
+      )
+    }
+
     // Send enhanced confirmation message
-    if (entriesAdded > 0) {
+    if (entriesAdded > 0 && !silent) {
       // Create draw list
-      const drawList = enteredDraws.map(draw => `• **${draw.name}**: ${draw.entries} entries`).join('\n')
+      const drawList = enteredDraws
+        .map(draw => `• **${draw.name}**: ${draw.entries} entries${draw.multiplier !== 1 ? ` (⚡ ${formatMultiplier(draw.multiplier)})` : ''}${draw.capped ? ' (draw is now full)' : ''}`)
+        .join('\n')
+      const boostList = appliedBoosts.size > 0
+        ? `\n⚡ **Active Boosts:** ${[...appliedBoosts.values()].map(describeMultiplier).join(', ')}\n`
+        : ''
       
       // Create a beautiful confirmation message with user mention
       const confirmationMessage = `🎉 **Thank you for your donation!** 🎉
 
 <@${senderMember.user.id}> just donated **$${usdValue.toFixed(2)}** and received **${entriesAdded}** draw entries!
 
-🎫 **Entries Added:**
+🎫 **Entries Added:**${targetCheck?.drawId ? ` 🎯 *tagged draw*` : ''}
 ${drawList}
-
+${boostList}
 💰 **Donation Amount:** $${usdValue.toFixed(2)}
 🏆 **Total Donated:** $${db.users[senderId].totalDonated.toFixed(2)}
 
@@ -291,168 +478,50 @@ ${drawList}
     }
 
     logger.info(`Processed donation: ${sender} -> $${usdValue.toFixed(2)} (${entriesAdded} entries)`)
+    return { userId: senderId, donation }
   } catch (error) {
     logger.error("❌ Error processing tip.cc donation:", error)
     logger.error(error)
+    return null
   }
 }
 
-// Extract price from tip.cc message
-async function extractPriceFromTipMessage(content, amount) {
+// Reply to the user's tip command, or post in the channel if it is gone
+async function replyToTipCommand(message, commandMessageId, content) {
+  if (!commandMessageId) return message.channel.send(content)
+
   try {
-    // Look for price patterns in tip.cc messages
-    const priceRegex = /\$(\d+\.?\d*)/
-    const match = content.match(priceRegex)
-    
-    if (match) {
-      const totalPrice = parseFloat(match[1])
-      logger.info(`🔍 Extracted price from tip.cc message: $${totalPrice}`)
-      return totalPrice
-    }
-    
-    return null
+    const command = await message.channel.messages.fetch(commandMessageId)
+    await command.reply(content)
   } catch (error) {
-    logger.error("Error extracting price from tip message:", error)
-    return null
+    await message.channel.send(content)
   }
 }
 
-// Get crypto price from multiple APIs with fallback
-async function getCryptoPrice(symbol, amount) {
-  const apis = [
-    { name: 'Aegisum', func: fetchAegisumPrice },
-    { name: 'CoinGecko', func: fetchCoinGeckoPrice },
-    { name: 'CoinPaprika', func: fetchCoinPaprikaPrice },
-    { name: 'CoinMarketCap', func: fetchCoinMarketCapPrice }
-  ]
-
-  for (const api of apis) {
-    try {
-      const price = await api.func(symbol)
-      if (price && price > 0) {
-        const totalValue = price * amount
-        logger.info(`🔍 ${api.name} price for ${symbol}: $${price} (Total: $${totalValue.toFixed(4)})`)
-        return totalValue
-      }
-    } catch (error) {
-      logger.debug(`${api.name} failed for ${symbol}:`, error.message)
-    }
+// Approve a tip held for review: re-process its tip.cc message with the
+// admin's corrections. Returns { userId, donation } when it was counted,
+// { missing: true } when the message no longer exists (the entry is
+// rejected), or null when it still cannot be counted and stays held.
+export async function approveHeldTip(guild, entry, { by, price = null }) {
+  const channel = await guild.channels.fetch(entry.channelId).catch(() => null)
+  const message = await channel?.messages.fetch(entry.messageId).catch(() => null)
+
+  if (!message) {
+    const db = getDatabase(guild.id)
+    resolveReview(db, entry.id, REVIEW_STATUS.REJECTED, { reviewedBy: by, reviewReason: "message_missing" })
+    saveDatabase(guild.id, db)
+    return { missing: true }
   }
 
-  logger.warn(`❌ Could not fetch price for ${symbol} from any API`)
-  return null
-}
-
-// Aegisum API (Official AEGS price)
-async function fetchAegisumPrice(symbol) {
-  if (symbol.toLowerCase() !== 'aegs') return null
-  
-  const response = await fetch(
-    'https://aegisum.com/api/coins/aegs/',
-    { timeout: 5000 }
-  )
-  
-  if (!response.ok) throw new Error(`HTTP ${response.status}`)
-  
-  const data = await response.json()
-  return data.price || null
-}
-
-// CoinGecko API (Free)
-async function fetchCoinGeckoPrice(symbol) {
-  const coinId = getCoinGeckoId(symbol)
-  if (!coinId) return null
-
-  const response = await fetch(
-    `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`,
-    { timeout: 5000 }
-  )
-  
-  if (!response.ok) throw new Error(`HTTP ${response.status}`)
-  
-  const data = await response.json()
-  return data[coinId]?.usd || null
-}
-
-// CoinPaprika API (Free)
-async function fetchCoinPaprikaPrice(symbol) {
-  const coinId = getCoinPaprikaId(symbol)
-  if (!coinId) return null
-
-  const response = await fetch(
-    `https://api.coinpaprika.com/v1/tickers/${coinId}`,
-    { timeout: 5000 }
-  )
-  
-  if (!response.ok) throw new Error(`HTTP ${response.status}`)
-  
-  const data = await response.json()
-  return data.quotes?.USD?.price || null
-}
-
-// CoinMarketCap API (Requires API key)
-async function fetchCoinMarketCapPrice(symbol) {
-  const apiKey = process.env.COINMARKETCAP_API_KEY
-  if (!apiKey) throw new Error('No API key')
-
-  const response = await fetch(
-    `https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?symbol=${symbol.toUpperCase()}`,
-    {
-      headers: { "X-CMC_PRO_API_KEY": apiKey },
-      timeout: 5000
-    }
-  )
-
-  if (!response.ok) throw new Error(`HTTP ${response.status}`)
-  
-  const data = await response.json()
-  return data.data?.[symbol.toUpperCase()]?.quote?.USD?.price || null
-}
-
-// Map crypto symbols to CoinGecko IDs
-function getCoinGeckoId(symbol) {
-  const mapping = {
-    'BTC': 'bitcoin',
-    'ETH': 'ethereum',
-    'LTC': 'litecoin',
-    'SOL': 'solana',
-    'USDT': 'tether',
-    'USDC': 'usd-coin',
-    'XRP': 'ripple',
-    'DOGE': 'dogecoin',
-    'SHIB': 'shiba-inu',
-    'BNB': 'binancecoin',
-    'ADA': 'cardano',
-    'AVAX': 'avalanche-2',
-    'TON': 'the-open-network',
-    'TRX': 'tron',
-    'TRON': 'tron'
-  }
-  
-  return mapping[symbol.toUpperCase()] || symbol.toLowerCase()
-}
-
-// Map crypto symbols to CoinPaprika IDs
-function getCoinPaprikaId(symbol) {
-  const mapping = {
-    'BTC': 'btc-bitcoin',
-    'ETH': 'eth-ethereum',
-    'LTC': 'ltc-litecoin',
-    'SOL': 'sol-solana',
-    'USDT': 'usdt-tether',
-    'USDC': 'usdc-usd-coin',
-    'XRP': 'xrp-xrp',
-    'DOGE': 'doge-dogecoin',
-    'SHIB': 'shib-shiba-inu',
-    'BNB': 'bnb-binance-coin',
-    'ADA': 'ada-cardano',
-    'AVAX': 'avax-avalanche',
-    'TON': 'ton-the-open-network',
-    'TRX': 'trx-tron',
-    'TRON': 'trx-tron'
-  }
-  
-  return mapping[symbol.toUpperCase()] || null
+  const edits = entry.edits || {}
+  return handleTipccDonation(message, {
+    review: {
+      by,
+      price: price || (edits.usdValue ? edits.usdValue / entry.amount : null),
+      senderId: edits.senderId || null,
+      targetDrawId: entry.targetDrawId || null,
+    },
+  })
 }
 
 // Update donation streak
@@ -597,7 +666,7 @@ async function checkAndAssignAchievements(member, userData, db) {
           break
         case 'community_pillar':
           // Check referrals
-          const referralCount = Object.values(db.users).filter(user => user.referredBy === member.user.id).length
+          const referralCount = Object.values(db.users).filter(user => user.referrals?.referredBy === member.user.id).length
           earned = referralCount >= 3
           break
         case 'lucky_winner':
@@ -0,0 +1,66 @@
+import { Events } from "discord.js"
+import { getDatabase, saveDatabase, withDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import { updateGoalMessages } from "../utils/communityGoals.js"
+import { resyncDonorRoles, reverseDonation } from "../utils/donations.js"
+import { sendAdminLog } from "../utils/adminLog.js"
+import { ledgerKey } from "../utils/ledger.js"
+import { resolveReview, REVIEW_STATUS } from "../utils/reviewQueue.js"
+import { TIPCC_BOT_ID } from "../utils/tipccParser.js"
+
+export const name = Events.MessageDelete
+
+// tip.cc deletes its confirmation when a tip is reversed, so the donation
+// recorded for that message is taken back. The data is changed under the
+// server's lock; the goal messages, roles and admin log are updated after it
+// is released, so slow Discord calls do not hold up tips.
+export async function execute(message) {
+  try {
+    if (!message.guildId) return
+    // Deleted messages are usually uncached partials without an author. When
+    // the author is known, only tip.cc's messages can be donations.
+    if (message.author && message.author.id !== TIPCC_BOT_ID) return
+
+    const reversed = await withDatabase(message.guildId, () => reverseDeletedTip(message))
+    if (reversed) await announceReversal(message, reversed)
+  } catch (error) {
+    logger.error("❌ Error reversing deleted tip.cc donation:", error)
+  }
+}
+
+// Returns { reversal, db } when a donation was reversed
+function reverseDeletedTip(message) {
+  // The stored message ID is what links a deleted message to a donation
+  const db = getDatabase(message.guildId)
+
+  // A tip held for review can no longer be approved
+  if (resolveReview(db, ledgerKey("tipcc", message.id), REVIEW_STATUS.REJECTED, { reviewReason: "message_deleted" })) {
+    saveDatabase(message.guildId, db)
+    logger.info(`Held tip.cc message ${message.id} was deleted, removed from review`)
+    return null
+  }
+
+  const reversal = reverseDonation(db, message.id, "message_deleted")
+  if (!reversal) return null
+
+  saveDatabase(message.guildId, db)
+  return { reversal, db }
+}
+
+async function announceReversal(message, { reversal, db }) {
+  await updateGoalMessages(message.client, db, reversal.goals)
+  await resyncDonorRoles(message.guild, db, reversal.userId)
+
+  const { donation } = reversal
+  await sendAdminLog(message.client, db, {
+    title: "↩️ Donation Reversed",
+    description: `A tip.cc message was deleted, so the donation by <@${reversal.userId}> was reversed.`,
+    color: "warning",
+    fields: [
+      { name: "💰 Donation", value: `${donation.originalAmount} ${donation.currency} ($${donation.amount.toFixed(2)})`, inline: true },
+      { name: "🎫 Entries Removed", value: reversal.entriesRemoved.toString(), inline: true },
+      { name: "🏆 New Total", value: `$${db.users[reversal.userId].totalDonated.toFixed(2)}`, inline: true },
+      { name: "📨 Message", value: `${message.id} in <#${message.channelId}>`, inline: false },
+    ],
+  })
+}
@@ -0,0 +1,96 @@
+import { Events } from "discord.js"
+import { getDatabase, saveDatabase, withDatabase } from "../utils/database.js"
+import { logger } from "../utils/logger.js"
+import { updateGoalMessages } from "../utils/communityGoals.js"
+import { findDonationByMessage, resyncDonorRoles, reverseDonation } from "../utils/donations.js"
+import { parseTipccMessage, tipSignature, TIPCC_BOT_ID } from "../utils/tipccParser.js"
+import { sendAdminLog } from "../utils/adminLog.js"
+import { ledgerKey } from "../utils/ledger.js"
+import { resolveReview, REVIEW_STATUS } from "../utils/reviewQueue.js"
+import { handleTipccDonation } from "./messageCreate.js"
+
+export const name = Events.MessageUpdate
+
+// tip.cc edits its messages when a pending tip resolves (airdrops being
+// collected) or is corrected. The edited message is parsed again: a changed
+// tip replaces the donation recorded for it, a message that no longer parses
+// as a tip reverses it.
+export async function execute(oldMessage, newMessage) {
+  try {
+    if (newMessage.partial) newMessage = await newMessage.fetch()
+    if (newMessage.author?.id !== TIPCC_BOT_ID || !newMessage.guildId) return
+
+    await withDatabase(newMessage.guildId, () => reconcileEditedTip(newMessage))
+  } catch (error) {
+    logger.error("❌ Error reconciling edited tip.cc message:", error)
+  }
+}
+
+async function reconcileEditedTip(newMessage) {
+  const db = getDatabase(newMessage.guildId)
+  const existing = findDonationByMessage(db, newMessage.id)
+  const parsed = parseTipccMessage(newMessage)
+
+  if (!existing) {
+    // A held tip that is no longer a tip leaves the review queue
+    if (!parsed.ok) {
+      if (resolveReview(db, ledgerKey("tipcc", newMessage.id), REVIEW_STATUS.REJECTED, { reviewReason: "message_edited" })) {
+        saveDatabase(newMessage.guildId, db)
+      }
+      return
+    }
+
+    // Not counted yet, e.g. an airdrop that has now been collected, or a
+    // held tip that is checked again
+    const result = await handleTipccDonation(newMessage)
+    if (result) {
+      await logAdjustment(newMessage, db, "🆕 Donation Recorded From Edit", "info", [
+        `An edited tip.cc message now contains a tip, recorded for <@${result.userId}>.`,
+        describe(result.donation),
+      ])
+    }
+    return
+  }
+
+  if (parsed.ok && tipSignature(parsed.tip) === existing.donation.signature) return
+
+  const reversal = reverseDonation(db, newMessage.id, "message_edited")
+  saveDatabase(newMessage.guildId, db)
+  await updateGoalMessages(newMessage.client, db, reversal.goals)
+
+  const lines = [`Previous: ${describe(reversal.donation)} by <@${reversal.userId}> (${reversal.entriesRemoved} entries removed)`]
+
+  // Record the corrected tip
+  const result = parsed.ok ? await handleTipccDonation(newMessage, { silent: true }) : null
+  if (result) {
+    lines.push(`Now: ${describe(result.donation)} by <@${result.userId}>`)
+  } else {
+    lines.push(`Now: not counted (${parsed.ok ? "no longer eligible" : parsed.reason})`)
+  }
+
+  // The donation handler only ever upgrades roles, the total may have dropped
+  const updatedDb = getDatabase(newMessage.guildId)
+  await resyncDonorRoles(newMessage.guild, updatedDb, reversal.userId)
+
+  await logAdjustment(
+    newMessage,
+    updatedDb,
+    result ? "✏️ Donation Updated" : "↩️ Donation Reversed",
+    "warning",
+    lines,
+  )
+}
+
+function describe(donation) {
+  return `**${donation.originalAmount} ${donation.currency}** ($${donation.amount.toFixed(2)})`
+}
+
+async function logAdjustment(message, db, title, color, lines) {
+  logger.info(`${title}: ${lines.join(" | ")}`)
+  await sendAdminLog(message.client, db, {
+    title,
+    description: lines.join("\n"),
+    color,
+    fields: [{ name: "📨 Message", value: `[${message.id}](${message.url}) in <#${message.channelId}>`, inline: false }],
+  })
+}
@@ -1,6 +1,10 @@
 import { Events } from "discord.js"
 import { logger } from "../utils/logger.js"
-import { getDatabase, saveDatabase } from "../utils/database.js"
+import { saveDatabase, withDatabase } from "../utils/database.js"
+import { ensureCommitment } from "../utils/provablyFair.js"
+import { restoreDrawSchedules } from "../utils/drawScheduler.js"
+import { scheduleChallengeRotation } from "../utils/challenges.js"
+import { scheduleBackupAutomation } from "../utils/backupScheduler.js"
 
 export const name = Events.ClientReady
 export const once = true
@@ -13,16 +17,32 @@ export async function execute(client) {
   // Initialize databases for all servers
   for (const serverId of SERVER_IDS) {
     try {
-      const db = getDatabase(serverId)
-      if (!db.config.featureToggles) {
-        logger.info(`Initialized default features for server ${serverId}`)
-        saveDatabase(serverId, db)
-      }
+      await withDatabase(serverId, async (db) => {
+        if (!db.config.featureToggles) {
+          logger.info(`Initialized default features for server ${serverId}`)
+          saveDatabase(serverId, db)
+        }
+
+        // Publish fairness commitments for open draws created before they existed
+        let committed = 0
+        for (const draw of Object.values(db.donationDraws || {})) {
+          if (draw.active && ensureCommitment(draw)) committed++
+        }
+        if (committed > 0) {
+          logger.info(`Created fairness commitments for ${committed} open draws in server ${serverId}`)
+          saveDatabase(serverId, db)
+        }
+      })
     } catch (error) {
       logger.error(`Error initializing database for server ${serverId}:`, error)
     }
   }
 
+  // Rebuild automatic draw jobs lost on restart
+  await restoreDrawSchedules(client, SERVER_IDS)
+  scheduleChallengeRotation(client, SERVER_IDS)
+  scheduleBackupAutomation(SERVER_IDS)
+
   // Register slash commands with detailed debugging
   try {
     const commands = []
@@ -1,8 +1,12 @@
-import { MessageFlags } from 'discord.js';
+import { ActionRowBuilder, MessageFlags, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
 import { isAdmin } from '../utils/permissionUtils.js';
-import { getDatabase, saveDatabase } from '../database.js';
+import { getDatabase, saveDatabase } from '../utils/database.js';
 import { createAdminDashboard } from '../utils/embedUtils.js';
-import { logError, info } from '../utils/logger.js';
+import { logger } from '../utils/logger.js';
+import { sendAdminLog } from '../utils/adminLog.js';
+import { buildReviewMessage, describeReview, findPendingReview, resolveReview, REVIEW_STATUS } from '../utils/reviewQueue.js';
+import { approveHeldTip } from '../events/messageCreate.js';
+import { restoreServerBackup } from '../utils/drawScheduler.js';
 
 // Handle button interactions
 export async function handleButtonInteraction(interaction) {
@@ -40,14 +44,19 @@ export async function handleButtonInteraction(interaction) {
       case 'refresh':
         await handleRefreshButton(interaction, params);
         break;
+      case 'review':
+        await handleReviewButton(interaction, params);
+        break;
+      case 'backup':
+        await handleBackupButton(interaction, params);
+        break;
       default:
-        await interaction.reply({
-          content: `Unknown button action: ${action}`,
-          flags: MessageFlags.Ephemeral
-        });
+        // Buttons of commands with their own collectors (e.g. /help) are
+        // handled there
+        break;
     }
   } catch (error) {
-    logError(`Error handling button interaction ${action}: ${error.message}`);
+    logger.error(`Error handling button interaction ${action}: ${error.message}`);
     
     try {
       await interaction.reply({
@@ -55,7 +64,34 @@ export async function handleButtonInteraction(interaction) {
         flags: MessageFlags.Ephemeral
       });
     } catch (replyError) {
-      logError(`Error sending button error message: ${replyError.message}`);
+      logger.error(`Error sending button error message: ${replyError.message}`);
+    }
+  }
+}
+
+// Handle modal submissions, routed by the same prefix as the button that
+// opened the form
+export async function handleModalSubmit(interaction) {
+  const [action, ...params] = interaction.customId.split('_');
+
+  try {
+    switch (action) {
+      case 'review':
+        await handleReviewEditSubmit(interaction, params);
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    logger.error(`Error handling modal submission ${action}: ${error.message}`);
+
+    try {
+      await interaction.reply({
+        content: 'There was an error processing this form. Please try again later.',
+        flags: MessageFlags.Ephemeral
+      });
+    } catch (replyError) {
+      logger.error(`Error sending modal error message: ${replyError.message}`);
     }
   }
 }
@@ -335,3 +371,225 @@ async function handleRefreshButton(interaction, params) {
       });
   }
 }
+
+// Handle review buttons from /admin review (review_approve_<messageId>,
+// review_reject_<messageId>, review_edit_<messageId>). A reason filter of the
+// list follows the message ID and is kept when the list is refreshed.
+async function handleReviewButton(interaction, params) {
+  const [decision, messageId, ...reasonParts] = params;
+  const reason = reasonParts.join('_') || null;
+  const { guildId, user } = interaction;
+  const db = getDatabase(guildId);
+
+  if (!(await checkAdminPermissions(interaction, db))) {
+    return interaction.reply({
+      content: 'You do not have permission to use this button.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const entry = findPendingReview(db, messageId);
+  if (!entry) {
+    await interaction.update(buildReviewMessage(db, guildId, { reason }));
+    return interaction.followUp({
+      content: '❌ This donation has already been reviewed.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  switch (decision) {
+    case 'approve':
+      await approveReview(interaction, entry, reason);
+      break;
+    case 'reject':
+      await rejectReview(interaction, db, entry, reason);
+      break;
+    case 'edit':
+      await editReview(interaction, entry, reason);
+      break;
+    default:
+      await interaction.reply({
+        content: `Unknown review action: ${decision}`,
+        flags: MessageFlags.Ephemeral
+      });
+  }
+}
+
+// Count the held tip through the normal donation flow
+async function approveReview(interaction, entry, reason) {
+  const { guildId, user } = interaction;
+  await interaction.deferUpdate();
+
+  const result = await approveHeldTip(interaction.guild, entry, { by: user.id });
+  const db = getDatabase(guildId);
+  await interaction.editReply(buildReviewMessage(db, guildId, { reason }));
+
+  let content;
+  if (result?.donation) {
+    content = `✅ Approved ${describeReview(entry)}, counted as **$${result.donation.amount.toFixed(2)}** for <@${result.userId}>.`;
+    await sendAdminLog(interaction.client, db, {
+      title: '✅ Held Donation Approved',
+      description: `<@${user.id}> approved ${describeReview(entry)}.`,
+      color: 'success',
+      fields: [
+        { name: '💰 Counted', value: `$${result.donation.amount.toFixed(2)} for <@${result.userId}>`, inline: true },
+        { name: '💱 Rate', value: `$${result.donation.rate.price} (${result.donation.rate.source})`, inline: true }
+      ]
+    });
+  } else if (result?.missing) {
+    content = `🗑️ The tip.cc message for ${describeReview(entry)} no longer exists, so it was removed from review.`;
+  } else {
+    const stillHeld = findPendingReview(db, entry.messageId);
+    content = `⚠️ ${describeReview(entry)} could not be counted: ${stillHeld?.detail || 'see the bot logs'}. Use **Edit** to correct it.`;
+  }
+
+  await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
+  logger.info(`Held donation ${entry.id} approval by ${user.tag}: ${result?.donation ? 'counted' : 'not counted'}`);
+}
+
+async function rejectReview(interaction, db, entry, reason) {
+  const { guildId, user } = interaction;
+
+  resolveReview(db, entry.id, REVIEW_STATUS.REJECTED, { reviewedBy: user.id, reviewReason: 'rejected' });
+  saveDatabase(guildId, db);
+
+  await interaction.update(buildReviewMessage(db, guildId, { reason }));
+  await sendAdminLog(interaction.client, db, {
+    title: '🗑️ Held Donation Rejected',
+    description: `<@${user.id}> rejected ${describeReview(entry)}. It will not be counted.`,
+    color: 'error'
+  });
+  logger.info(`Held donation ${entry.id} rejected by ${user.tag}`);
+}
+
+// Correct the donor or USD value of a held tip before approving it. The form
+// is submitted as its own interaction (handleReviewEditSubmit), so the server
+// is not kept locked while it is open.
+async function editReview(interaction, entry, reason) {
+  const edits = entry.edits || {};
+
+  const modal = new ModalBuilder()
+    .setCustomId(`review_edit_${entry.messageId}${reason ? `_${reason}` : ''}`)
+    .setTitle(`Edit ${entry.amount} ${entry.currency}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('donor')
+          .setLabel('Donor user ID (empty: the tip sender)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setValue(edits.senderId || '')
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('usd_value')
+          .setLabel('Total USD value (empty: use the price)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setValue(edits.usdValue ? edits.usdValue.toString() : '')
+      )
+    );
+
+  await interaction.showModal(modal);
+}
+
+// Save the corrections from the edit form (review_edit_<messageId>[_<reason>])
+async function handleReviewEditSubmit(submit, params) {
+  const [decision, messageId, ...reasonParts] = params;
+  const reason = reasonParts.join('_') || null;
+  const { guildId, user } = submit;
+  const db = getDatabase(guildId);
+
+  if (decision !== 'edit' || !(await checkAdminPermissions(submit, db))) {
+    return submit.reply({ content: 'You do not have permission to use this form.', flags: MessageFlags.Ephemeral });
+  }
+
+  const donorInput = submit.fields.getTextInputValue('donor').trim();
+  const usdInput = submit.fields.getTextInputValue('usd_value').trim().replace(/^\$/, '');
+  const senderId = donorInput ? donorInput.match(/^(?:<@!?)?(\d{15,21})>?$/)?.[1] : null;
+  const usdValue = usdInput ? parseFloat(usdInput) : null;
+
+  if (donorInput && !senderId) {
+    return submit.reply({ content: '❌ The donor must be a user ID or mention.', flags: MessageFlags.Ephemeral });
+  }
+  if (senderId && !(await submit.guild.members.fetch(senderId).catch(() => null))) {
+    return submit.reply({ content: '❌ That user is not a member of this server.', flags: MessageFlags.Ephemeral });
+  }
+  if (usdInput && !(usdValue > 0)) {
+    return submit.reply({ content: '❌ The USD value must be a number greater than 0.', flags: MessageFlags.Ephemeral });
+  }
+
+  // The tip may have been handled while the form was open
+  const pending = findPendingReview(db, messageId);
+  if (!pending) {
+    return submit.reply({ content: '❌ This donation has already been reviewed.', flags: MessageFlags.Ephemeral });
+  }
+
+  if (senderId || usdValue) {
+    pending.edits = { ...(senderId && { senderId }), ...(usdValue && { usdValue }) };
+  } else {
+    delete pending.edits;
+  }
+  saveDatabase(guildId, db);
+
+  await submit.update(buildReviewMessage(db, guildId, { reason }));
+  logger.info(`Held donation ${pending.id} edited by ${user.tag}`);
+}
+
+// Handle the confirmation buttons of /admin backup restore
+// (backup_restore_<backupId>, backup_cancel_<backupId>)
+async function handleBackupButton(interaction, params) {
+  // Legacy backup IDs contain underscores
+  const [decision, ...idParts] = params;
+  const backupId = idParts.join('_');
+  const { guildId, user } = interaction;
+  const db = getDatabase(guildId);
+
+  if (!(await checkAdminPermissions(interaction, db))) {
+    return interaction.reply({
+      content: 'You do not have permission to use this button.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  if (decision === 'cancel') {
+    return interaction.update({ content: `Restore of backup \`${backupId}\` cancelled.`, embeds: [], components: [] });
+  }
+
+  // Draws that were due in the restored data run before this returns
+  await interaction.deferUpdate();
+
+  let result;
+  try {
+    result = await restoreServerBackup(interaction.client, guildId, backupId);
+  } catch (error) {
+    logger.error(`Error restoring backup ${backupId} for server ${guildId}:`, error);
+    return interaction.editReply({ content: `❌ ${error.message}`, embeds: [], components: [] });
+  }
+
+  await interaction.editReply({
+    content: `✅ Restored backup \`${result.backup.id}\`. The replaced data was saved as \`${result.safetyBackup.id}\`.`,
+    embeds: [],
+    components: []
+  });
+  await sendAdminLog(interaction.client, getDatabase(guildId), {
+    title: '💾 Backup Restored',
+    description: `<@${user.id}> restored backup \`${result.backup.id}\`. Undo with \`/admin backup restore backup:${result.safetyBackup.id}\`.`,
+    color: 'warning'
+  });
+  logger.info(`Backup ${result.backup.id} restored for server ${guildId} by ${user.tag}`);
+}
+
+async function checkAdminPermissions(interaction, db) {
+  const OWNER_ID = process.env.OWNER_ID || '659745190382141453';
+  if (interaction.user.id === OWNER_ID) return true;
+  if (!db.config?.adminRoleId) return false;
+
+  try {
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    return member.roles.cache.has(db.config.adminRoleId);
+  } catch (error) {
+    logger.error('Error checking admin permissions:', error);
+    return false;
+  }
+}
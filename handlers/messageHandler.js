@@ -2,7 +2,7 @@ import { Events } from 'discord.js';
 import { getDatabase, saveDatabase } from '../database.js';
 import { isFeatureEnabled } from '../utils/featureUtils.js';
 import { logError, info } from '../utils/logger.js';
-import { getCryptoPrice } from '../utils/cryptoUtils.js';
+import { getPrice } from '../utils/priceOracle.js';
 
 // Track pending tips
 const pendingTips = new Map();
@@ -108,9 +108,9 @@ async function processTipCCMessage(message) {
       
       // If no USD amount provided, try to get it from the API
       if (!usdAmount && amount) {
-        const cryptoPrice = await getCryptoPrice(currency, message.content, parseFloat(amount));
-        if (cryptoPrice) {
-          usdAmount = parseFloat(amount) * cryptoPrice;
+        const quote = await getPrice(currency);
+        if (quote) {
+          usdAmount = parseFloat(amount) * quote.price;
         }
       }
       
@@ -142,9 +142,9 @@ async function processTipCCMessage(message) {
       
       // If no USD amount provided, try to get it from the API
       if (!usdAmount && amount) {
-        const cryptoPrice = await getCryptoPrice(currency, message.content, parseFloat(amount));
-        if (cryptoPrice) {
-          usdAmount = parseFloat(amount) * cryptoPrice;
+        const quote = await getPrice(currency);
+        if (quote) {
+          usdAmount = parseFloat(amount) * quote.price;
         }
       }
       
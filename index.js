@@ -1,4 +1,4 @@
-import { Client, GatewayIntentBits, Collection } from "discord.js"
+import { Client, GatewayIntentBits, Collection, Partials } from "discord.js"
 import dotenv from "dotenv"
 import fs from "fs"
 import path from "path"
@@ -13,6 +13,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url))
 // Create Discord client
 const client = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent],
+  // Edits and deletions of uncached tip.cc messages arrive as partials
+  partials: [Partials.Message, Partials.Channel],
 })
 
 // Initialize collections
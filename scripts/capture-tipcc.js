@@ -0,0 +1,66 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import dotenv from "dotenv"
+import { REST, Routes } from "discord.js"
+import { parseTipccMessage, TIPCC_BOT_ID } from "../utils/tipccParser.js"
+
+// Save real tip.cc messages from a channel as parser fixtures, in
+// fixtures/tipcc/captured.json, for `npm run test:tipcc`.
+//
+//   npm run capture:tipcc -- <channelId> [limit]
+//
+// Uses the bot's DISCORD_TOKEN, so the bot must be able to read the channel.
+// The last `limit` messages (default 100, at most 100) are fetched and
+// tip.cc's are added, skipping ones already captured. Their expected result
+// is what the parser makes of them now: check each new fixture by hand and
+// correct it where the parser is wrong before committing it.
+
+dotenv.config()
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const CAPTURE_FILE = path.join(__dirname, "..", "fixtures", "tipcc", "captured.json")
+
+const [channelId, limitArg] = process.argv.slice(2)
+if (!channelId || !process.env.DISCORD_TOKEN) {
+  console.error("Usage: npm run capture:tipcc -- <channelId> [limit] (with DISCORD_TOKEN set)")
+  process.exit(1)
+}
+
+// The fields a fixture compares, see check-tipcc-fixtures.js
+function describeResult(result) {
+  if (!result.ok) return { ok: false, reason: result.reason }
+
+  const { kind, sender, recipients, currency, amount, usdValue } = result.tip
+  const person = (user) => (user.id ? { id: user.id } : { name: user.name })
+  return { ok: true, kind, sender: person(sender), recipients: recipients.map(person), currency, amount, usdValue }
+}
+
+const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN)
+const limit = Math.min(Number(limitArg) || 100, 100)
+const messages = await rest.get(Routes.channelMessages(channelId), { query: new URLSearchParams({ limit: String(limit) }) })
+
+const fixtures = fs.existsSync(CAPTURE_FILE) ? JSON.parse(fs.readFileSync(CAPTURE_FILE, "utf8")) : []
+const captured = new Set(fixtures.map((fixture) => fixture.messageId))
+
+let added = 0
+for (const raw of messages.reverse()) {
+  if (raw.author?.id !== TIPCC_BOT_ID || captured.has(raw.id)) continue
+
+  const message = {
+    content: raw.content,
+    embeds: (raw.embeds || []).map(({ title, description }) => ({ title, description })),
+  }
+  const expected = describeResult(parseTipccMessage(message))
+  fixtures.push({
+    name: expected.ok ? `${expected.kind} of ${expected.currency} (${raw.timestamp.slice(0, 10)})` : `${expected.reason} (${raw.timestamp.slice(0, 10)})`,
+    source: "captured",
+    messageId: raw.id,
+    message,
+    expected,
+  })
+  added++
+}
+
+fs.writeFileSync(CAPTURE_FILE, `${JSON.stringify(fixtures, null, 2)}\n`)
+console.log(`Captured ${added} new tip.cc message(s) into ${path.relative(process.cwd(), CAPTURE_FILE)}, review them before committing.`)
@@ -0,0 +1,76 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { parseTipccMessage } from "../utils/tipccParser.js"
+
+// Run the tip.cc sample messages in fixtures/tipcc/ through the parser.
+//
+//   npm run test:tipcc [-- fixtureFile ...]
+//
+// Every *.json file in fixtures/tipcc/ is checked unless files are given. A
+// fixture is { name, source, message, expected }: expected is { ok: true,
+// ...fields of the parsed tip } or { ok: false, reason }. Only the fields
+// listed are compared, and objects in them only by the keys they list.
+// Exits with 1 when a fixture fails.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "tipcc")
+
+const args = process.argv.slice(2)
+const files =
+  args.length > 0
+    ? args
+    : fs
+        .readdirSync(FIXTURE_DIR)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.join(FIXTURE_DIR, file))
+
+// Whether `actual` has everything `expected` lists
+function matches(expected, actual) {
+  if (typeof expected === "number") return typeof actual === "number" && Math.abs(expected - actual) < 1e-9
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length && expected.every((item, i) => matches(item, actual[i]))
+  }
+  if (expected && typeof expected === "object") {
+    return !!actual && typeof actual === "object" && Object.keys(expected).every((key) => matches(expected[key], actual[key]))
+  }
+  return expected === actual
+}
+
+function check({ message, expected }) {
+  const result = parseTipccMessage(message)
+  if (result.ok !== expected.ok) return `expected ${expected.ok ? "a tip" : "a rejection"}, got ${JSON.stringify(result)}`
+
+  if (!expected.ok) {
+    return expected.reason === undefined || result.reason === expected.reason
+      ? null
+      : `expected reason ${expected.reason}, got ${result.reason}`
+  }
+
+  const { ok, ...fields } = expected
+  const wrong = Object.keys(fields).filter((key) => !matches(fields[key], result.tip[key]))
+  return wrong.length === 0
+    ? null
+    : wrong.map((key) => `${key}: expected ${JSON.stringify(fields[key])}, got ${JSON.stringify(result.tip[key])}`).join("; ")
+}
+
+let passed = 0
+let failed = 0
+for (const file of files) {
+  const fixtures = JSON.parse(fs.readFileSync(file, "utf8"))
+  console.log(`${path.relative(process.cwd(), file)} (${fixtures.length})`)
+
+  for (const fixture of fixtures) {
+    const failure = check(fixture)
+    if (failure) {
+      failed++
+      console.error(`  ✗ ${fixture.name} [${fixture.source || "unknown"}]: ${failure}`)
+    } else {
+      passed++
+      console.log(`  ✓ ${fixture.name} [${fixture.source || "unknown"}]`)
+    }
+  }
+}
+
+console.log(`${passed} passed${failed > 0 ? `, ${failed} failed` : ""}.`)
+process.exitCode = failed > 0 ? 1 : 0
@@ -0,0 +1,112 @@
+import { getStorage } from "../utils/storage.js"
+import { createDefaultDatabase, withDatabase } from "../utils/database.js"
+import { writeBackup } from "../utils/backups.js"
+import { checkIntegrity, describeIntegrityReport, isValidId, repairIntegrity } from "../utils/integrity.js"
+import { getPendingMigrations, runMigrations } from "../utils/migrations.js"
+
+// Check every stored server for inconsistent data (see utils/integrity.js),
+// the same checks as /admin integrity.
+//
+//   npm run integrity [-- --repair] [--prune-orphans] [serverId ...]
+//
+// Without --repair nothing is written; data from an older schema is checked
+// as it would be after migrating. --repair backs each server up before fixing
+// it, and removes server files that are not named after a server ID (such as
+// the null.json left by a missing guild ID). Orphaned users are only reported
+// unless --prune-orphans is given too. Findings that --repair does not fix
+// (opening balances, orphaned users) are listed separately. Exits with 1 when
+// problems --repair would fix are left.
+
+const args = process.argv.slice(2)
+const repair = args.includes("--repair")
+const options = { pruneOrphans: args.includes("--prune-orphans") }
+const serverIds = args.filter((arg) => !arg.startsWith("--"))
+
+// The findings of the checks that are reportOnly (or not), indented
+function describeFindings(report, reportOnly) {
+  return describeIntegrityReport({ checks: report.checks.filter((check) => check.reportOnly === reportOnly) }).replace(
+    /^/gm,
+    "    ",
+  )
+}
+
+const storage = getStorage()
+console.log(`${repair ? "Repairing" : "Checking"} ${storage.name} storage`)
+
+let problems = 0
+let unrepairable = 0
+let failed = 0
+for (const serverId of serverIds.length > 0 ? serverIds : storage.list()) {
+  try {
+    const data = storage.read(serverId)
+    if (!data) {
+      console.log(`- ${serverId}: not found, skipped`)
+      continue
+    }
+
+    if (!isValidId(serverId)) {
+      if (!repair) {
+        problems++
+        console.log(`✗ ${serverId}: not a valid server ID, remove it with --repair`)
+        continue
+      }
+      const backup = writeBackup(serverId, data, { kind: "pre-repair" })
+      storage.remove(serverId)
+      console.log(`✓ ${serverId}: not a valid server ID, removed (backup: ${backup.file})`)
+      continue
+    }
+
+    if (repair) {
+      const report = await withDatabase(serverId, async (db) => repairIntegrity(serverId, db, options))
+      const unrepaired = report.total - report.repairable
+      unrepairable += unrepaired
+      console.log(
+        report.repairable > 0
+          ? `✓ ${serverId}: repaired ${report.repairable} problem(s) (backup: ${report.backup.file})`
+          : `✓ ${serverId}: nothing to repair`,
+      )
+      if (unrepaired > 0) {
+        console.log(`  ${unrepaired} finding(s) left for a person to check:`)
+        console.log(describeFindings(report, true))
+      }
+      continue
+    }
+
+    const db = structuredClone(data)
+    if (getPendingMigrations(db).length > 0) runMigrations(db, { defaults: createDefaultDatabase() })
+
+    const report = checkIntegrity(db, options)
+    const unrepaired = report.total - report.repairable
+    problems += report.repairable
+    unrepairable += unrepaired
+    if (report.total === 0) {
+      console.log(`✓ ${serverId}: no problems found`)
+      continue
+    }
+    if (report.repairable > 0) {
+      console.log(`✗ ${serverId}: ${report.repairable} problem(s)`)
+      console.log(describeFindings(report, false))
+    } else {
+      console.log(`✓ ${serverId}: nothing to repair`)
+    }
+    if (unrepaired > 0) {
+      console.log(`  ${unrepaired} finding(s) for a person to check, --repair leaves them as is:`)
+      console.log(describeFindings(report, true))
+    }
+  } catch (error) {
+    failed++
+    console.error(`✗ ${serverId}: ${error.message}`)
+  }
+}
+
+if (!repair) {
+  const fix = `--repair${options.pruneOrphans ? " --prune-orphans" : ""}`
+  console.log(`${problems} problem(s) found${problems > 0 ? `, run with ${fix} to fix them` : ""}.`)
+}
+if (unrepairable > 0) {
+  console.log(
+    `${unrepairable} finding(s) to check by hand${options.pruneOrphans ? "" : " (--prune-orphans also deletes orphaned users)"}.`,
+  )
+}
+if (failed > 0) console.log(`${failed} server(s) failed.`)
+process.exitCode = problems > 0 || failed > 0 ? 1 : 0
@@ -0,0 +1,51 @@
+import { getStorage } from "../utils/storage.js"
+import { migrateServerData } from "../utils/database.js"
+import { describeMigrationReport, SCHEMA_VERSION } from "../utils/migrations.js"
+
+// Bring every stored server up to the current schema version. The bot does
+// this on its own when it reads a server; this reports or applies it ahead of
+// time, for all servers at once.
+//
+//   npm run migrate:schema [-- --dry-run] [serverId ...]
+//
+// --dry-run lists the changes without writing anything. Otherwise each
+// server is backed up before it is migrated.
+
+const args = process.argv.slice(2)
+const dryRun = args.includes("--dry-run")
+const serverIds = args.filter((arg) => !arg.startsWith("--"))
+
+const storage = getStorage()
+console.log(`${dryRun ? "Dry run: checking" : "Migrating"} ${storage.name} storage to schema v${SCHEMA_VERSION}`)
+
+let pending = 0
+let failed = 0
+for (const serverId of serverIds.length > 0 ? serverIds : storage.list()) {
+  try {
+    const data = storage.read(serverId)
+    if (!data) {
+      console.log(`- ${serverId}: not found, skipped`)
+      continue
+    }
+
+    const report = migrateServerData(serverId, data, { dryRun })
+    if (!report) {
+      if ((data.schemaVersion || 0) < SCHEMA_VERSION) throw new Error("not migrated, see the log for the backup error")
+      console.log(`✓ ${serverId}: already at v${SCHEMA_VERSION}`)
+      continue
+    }
+
+    pending++
+    console.log(`${dryRun ? "~" : "✓"} ${serverId}: v${report.from} → v${report.to}${report.backupFile ? ` (backup: ${report.backupFile})` : ""}`)
+    // An applied migration is already described in the log
+    if (dryRun) console.log(describeMigrationReport(report).replace(/^/gm, "    "))
+  } catch (error) {
+    failed++
+    console.error(`✗ ${serverId}: ${error.message}`)
+  }
+}
+
+console.log(
+  `${pending} server(s) ${dryRun ? "would be migrated" : "migrated"}${failed > 0 ? `, ${failed} failed` : ""}.`,
+)
+process.exitCode = failed > 0 ? 1 : 0
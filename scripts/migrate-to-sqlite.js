@@ -0,0 +1,77 @@
+import path from "path"
+import { createJsonStorage, DATA_DIR } from "../utils/storage.js"
+import { createSqliteStorage } from "../utils/sqliteStorage.js"
+
+// One-shot import of the JSON server files in data/ into the SQLite backend.
+// The JSON files are left as they are; set STORAGE_BACKEND=sqlite once the
+// import looks right.
+//
+//   npm run migrate:sqlite [-- --force] [serverId ...]
+//
+// Servers already in the SQLite file are skipped unless --force is given.
+// Every imported server is read back and compared with its JSON file.
+
+const args = process.argv.slice(2)
+const force = args.includes("--force")
+const serverIds = args.filter((arg) => !arg.startsWith("--"))
+
+const json = createJsonStorage()
+const sqliteFile = process.env.SQLITE_FILE || path.join(DATA_DIR, "donor-rewards.sqlite")
+const sqlite = createSqliteStorage(sqliteFile)
+
+// Counts compared after the import
+function summarize(data) {
+  return {
+    users: Object.keys(data.users || {}).length,
+    donations: Object.keys(data.donationLedger || {}).length,
+    draws: Object.keys(data.donationDraws || {}).length,
+    entries: Object.values(data.donationDraws || {}).reduce(
+      (sum, draw) => sum + Object.keys(draw.entries || {}).length,
+      0,
+    ),
+    history: (data.drawHistory?.length || 0) + (data.entryHistory?.length || 0),
+  }
+}
+
+function sameSummary(a, b) {
+  return Object.keys(a).every((key) => a[key] === b[key])
+}
+
+console.log(`Importing JSON server files from ${DATA_DIR} into ${sqliteFile}`)
+
+let imported = 0
+let failed = 0
+for (const serverId of serverIds.length > 0 ? serverIds : json.list()) {
+  if (sqlite.has(serverId) && !force) {
+    console.log(`- ${serverId}: already in SQLite, skipped (use --force to overwrite)`)
+    continue
+  }
+
+  try {
+    const data = json.read(serverId)
+    if (!data) {
+      console.log(`- ${serverId}: no JSON file, skipped`)
+      continue
+    }
+
+    sqlite.write(serverId, data)
+
+    const expected = summarize(data)
+    const actual = summarize(sqlite.read(serverId))
+    if (!sameSummary(expected, actual)) {
+      throw new Error(`read back ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`)
+    }
+
+    imported++
+    console.log(
+      `✓ ${serverId}: ${expected.users} users, ${expected.donations} donations, ${expected.draws} draws, ${expected.entries} entries, ${expected.history} history records`,
+    )
+  } catch (error) {
+    failed++
+    console.error(`✗ ${serverId}: ${error.message}`)
+  }
+}
+
+sqlite.close()
+console.log(`Imported ${imported} server(s)${failed > 0 ? `, ${failed} failed` : ""}.`)
+process.exitCode = failed > 0 ? 1 : 0
@@ -0,0 +1,79 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { reverseDonation } from "../utils/donations.js"
+import { reopenRecurringDraw } from "../utils/drawUtils.js"
+import { ledgerKey, LEDGER_STATUS } from "../utils/ledger.js"
+
+const USER_ID = "412345678901234567"
+const MESSAGE_ID = "1380000000000000001"
+
+// A server with one recurring draw in round 1 and one confirmed donation that
+// added `count` entries to it
+function createServer(count = 3) {
+  const key = ledgerKey("tipcc", MESSAGE_ID)
+  return {
+    users: { [USER_ID]: { totalDonated: 10, donations: [], entries: { weekly: count } } },
+    donationDraws: {
+      weekly: {
+        name: "Weekly",
+        active: true,
+        round: 1,
+        minAmount: 1,
+        entries: { [USER_ID]: count },
+        recurrence: { rule: "weekly" },
+        drawTime: Date.now() + 60 * 60 * 1000,
+      },
+    },
+    donationLedger: {
+      [key]: {
+        id: key,
+        userId: USER_ID,
+        amount: 10,
+        currency: "LTC",
+        timestamp: Date.now(),
+        messageId: MESSAGE_ID,
+        status: LEDGER_STATUS.CONFIRMED,
+        effects: { entries: { weekly: { count, round: 1 } } },
+      },
+    },
+  }
+}
+
+describe("reverseDonation", () => {
+  it("takes back the entries the donation added in the current round", () => {
+    const db = createServer(3)
+    db.donationDraws.weekly.entries[USER_ID] = 5
+    db.users[USER_ID].entries.weekly = 5
+
+    const result = reverseDonation(db, MESSAGE_ID)
+
+    assert.equal(result.entriesRemoved, 3)
+    assert.equal(db.donationDraws.weekly.entries[USER_ID], 2)
+    assert.equal(db.users[USER_ID].entries.weekly, 2)
+  })
+
+  it("keeps the entries of a later round after a recurring draw reopened", () => {
+    const db = createServer(3)
+    assert.equal(reopenRecurringDraw(db, "weekly"), true)
+
+    // Entries the user earned in round 2 with other donations
+    db.donationDraws.weekly.entries[USER_ID] = 4
+    db.users[USER_ID].entries.weekly = 4
+
+    const result = reverseDonation(db, MESSAGE_ID)
+
+    assert.equal(db.donationDraws.weekly.round, 2)
+    assert.equal(result.entriesRemoved, 0)
+    assert.equal(db.donationDraws.weekly.entries[USER_ID], 4)
+    assert.equal(db.users[USER_ID].entries.weekly, 4)
+    assert.equal(db.donationLedger[ledgerKey("tipcc", MESSAGE_ID)].status, LEDGER_STATUS.REVERSED)
+  })
+
+  it("still reverses entries recorded as a plain count", () => {
+    const db = createServer(3)
+    db.donationLedger[ledgerKey("tipcc", MESSAGE_ID)].effects.entries.weekly = 3
+
+    assert.equal(reverseDonation(db, MESSAGE_ID).entriesRemoved, 3)
+    assert.equal(db.donationDraws.weekly.entries[USER_ID], undefined)
+  })
+})
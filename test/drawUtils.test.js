@@ -0,0 +1,66 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { embedLength } from "discord.js"
+import { createWinnersEmbed, reopenRecurringDraw, selectDrawWinners, splitIntoFields } from "../utils/drawUtils.js"
+import { verifyRecord } from "../utils/provablyFair.js"
+
+const USER_ID = "412345678901234567"
+
+describe("splitIntoFields", () => {
+  it("keeps short lists in one field", () => {
+    assert.deepEqual(splitIntoFields("🏅 Prizes", ["**1st:** 10 AEGS", "**2nd:** 5 AEGS"]), [
+      { name: "🏅 Prizes", value: "**1st:** 10 AEGS\n**2nd:** 5 AEGS", inline: false },
+    ])
+  })
+
+  it("stops at the list's limits and counts what was left out", () => {
+    const lines = Array.from({ length: 500 }, (_, i) => `**${i + 1}.** <@${USER_ID}> - a prize with a long description`)
+    const fields = splitIntoFields("🏆 Winners", lines)
+
+    assert.ok(fields.length <= 4)
+    assert.ok(fields.every((field) => field.value.length <= 1024))
+    assert.ok(fields.reduce((sum, field) => sum + field.value.length, 0) <= 2000)
+    assert.equal(fields[1].name, "🏆 Winners (cont.)")
+
+    const shown = fields.reduce((sum, field) => sum + field.value.split("\n").length, 0) - 1
+    assert.equal(fields.at(-1).value.split("\n").at(-1), `…and ${lines.length - shown} more`)
+  })
+
+  it("gives a winners embed Discord accepts however many winners there are", () => {
+    const winners = Array.from({ length: 200 }, (_, i) => ({
+      position: i + 1,
+      winnerId: USER_ID,
+      reward: "x".repeat(60),
+      winnerEntries: 1,
+    }))
+    const embed = createWinnersEmbed({ config: {} }, "weekly", {
+      draw: { name: "Weekly" },
+      winners,
+      totalEntries: 200,
+      serverSeedHash: "a".repeat(64),
+      publicSalt: "1380000000000000001",
+    }).toJSON()
+
+    assert.ok(embed.fields.length <= 25)
+    assert.ok(embedLength(embed) <= 6000)
+  })
+})
+
+describe("selectDrawWinners", () => {
+  it("keeps the public salt on the draw until the next round, and in history", () => {
+    const db = {
+      users: {},
+      donationDraws: { weekly: { name: "Weekly", active: true, entries: { [USER_ID]: 3 }, recurrence: { rule: "weekly" } } },
+    }
+    const publicSalt = "5f3c9a0e1b7d4c2a8e6f0b1d3c5a7e9f"
+
+    selectDrawWinners(db, "weekly", { publicSalt, selectedBy: "automated" })
+    assert.equal(db.donationDraws.weekly.publicSalt, publicSalt)
+    assert.equal(db.drawHistory[0].fairness.publicSalt, publicSalt)
+    assert.equal(verifyRecord(db.drawHistory[0]).valid, true)
+
+    reopenRecurringDraw(db, "weekly")
+    assert.equal(db.donationDraws.weekly.publicSalt, undefined)
+    assert.equal(db.donationDraws.weekly.lastRound.publicSalt, publicSalt)
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { claimLedgerEntry, holdLedgerEntry, LEDGER_STATUS, ledgerKey, releaseLedgerEntry } from "../utils/ledger.js"
+import { holdForReview, resolveReview, REVIEW_STATUS } from "../utils/reviewQueue.js"
+
+const KEY = ledgerKey("tipcc", "1380000000000000001")
+const FLAGS = [{ rule: "micro_tips", action: "hold", detail: "4 tips in an hour" }]
+
+// A donation an anti-fraud rule held for review
+function holdDonation() {
+  const db = {}
+  claimLedgerEntry(db, KEY, { messageId: "1380000000000000001" })
+  holdLedgerEntry(db, KEY, { userId: "412345678901234567", amount: 5, fraudFlags: FLAGS })
+  holdForReview(db, KEY, { reason: "suspicious", amount: 5, fraudFlags: FLAGS })
+  return db
+}
+
+describe("held ledger entries", () => {
+  it("keep the claim and the fraud flags", () => {
+    const db = holdDonation()
+
+    assert.equal(db.donationLedger[KEY].status, LEDGER_STATUS.HELD)
+    assert.deepEqual(db.donationLedger[KEY].fraudFlags, FLAGS)
+    assert.equal(claimLedgerEntry(db, KEY).duplicate, true)
+  })
+
+  it("can be claimed again by an approval, and go back to held if it fails", () => {
+    const db = holdDonation()
+
+    const claim = claimLedgerEntry(db, KEY, {}, { reclaimHeld: true })
+    assert.equal(claim.duplicate, false)
+    assert.equal(claim.entry.history.at(-1).status, LEDGER_STATUS.HELD)
+
+    releaseLedgerEntry(db, KEY)
+    assert.equal(db.donationLedger[KEY].status, LEDGER_STATUS.HELD)
+  })
+
+  it("are reversed when the review is rejected", () => {
+    const db = holdDonation()
+
+    resolveReview(db, KEY, REVIEW_STATUS.REJECTED, { reviewReason: "rejected" })
+    assert.equal(db.donationLedger[KEY].status, LEDGER_STATUS.REVERSED)
+    assert.equal(db.donationLedger[KEY].reversedReason, "rejected")
+  })
+})
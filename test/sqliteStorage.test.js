@@ -0,0 +1,94 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { createRequire } from "module"
+import { createSqliteStorage } from "../utils/sqliteStorage.js"
+
+const require = createRequire(import.meta.url)
+const SERVER_ID = "1334390405386735626"
+const USER_ID = "412345678901234567"
+
+function createServer() {
+  return {
+    schemaVersion: 4,
+    config: { allowedRecipients: [] },
+    users: {
+      [USER_ID]: { totalDonated: 5, donations: [], entries: { weekly: 2 } },
+      "1159853404328968233": { totalDonated: 0, donations: [], entries: {} },
+    },
+    donationLedger: {
+      "tipcc:1": { id: "tipcc:1", userId: USER_ID, status: "confirmed", amount: 5, currency: "LTC", timestamp: 1 },
+    },
+    donationDraws: { weekly: { name: "Weekly", active: true, entries: { [USER_ID]: 2 } } },
+    drawHistory: [{ drawId: "old" }],
+    entryHistory: [],
+    seasonArchive: [],
+  }
+}
+
+describe("sqlite storage", () => {
+  let dir
+  let storage
+  let inspect
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "donor-bot-sqlite-"))
+    const file = path.join(dir, "bot.sqlite")
+    storage = createSqliteStorage(file)
+
+    // Count every row written, through triggers the storage's connection runs too
+    const Database = require("better-sqlite3")
+    inspect = new Database(file)
+    inspect.exec("CREATE TABLE writes (tbl TEXT)")
+    for (const table of ["servers", "users", "donations", "draws", "entries", "history"]) {
+      for (const event of ["INSERT", "UPDATE", "DELETE"]) {
+        inspect.exec(
+          `CREATE TRIGGER count_${table}_${event} AFTER ${event} ON ${table} BEGIN INSERT INTO writes VALUES ('${table}'); END`,
+        )
+      }
+    }
+  })
+
+  after(() => {
+    inspect.close()
+    storage.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  function takeWrites() {
+    const rows = inspect.prepare("SELECT tbl, COUNT(*) AS count FROM writes GROUP BY tbl").all()
+    inspect.exec("DELETE FROM writes")
+    return Object.fromEntries(rows.map((row) => [row.tbl, row.count]))
+  }
+
+  it("reads back what was written", () => {
+    const data = createServer()
+    storage.write(SERVER_ID, data)
+    assert.deepEqual(storage.read(SERVER_ID), data)
+  })
+
+  it("writes nothing when the data did not change", () => {
+    storage.write(SERVER_ID, createServer())
+    takeWrites()
+
+    storage.write(SERVER_ID, storage.read(SERVER_ID))
+    assert.deepEqual(takeWrites(), {})
+  })
+
+  it("only writes the rows a donation changed", () => {
+    storage.write(SERVER_ID, createServer())
+    takeWrites()
+
+    const data = storage.read(SERVER_ID)
+    data.users[USER_ID].totalDonated = 7
+    data.donationLedger["tipcc:2"] = { id: "tipcc:2", userId: USER_ID, status: "confirmed", amount: 2, timestamp: 2 }
+    data.donationDraws.weekly.entries[USER_ID] = 3
+    delete data.users["1159853404328968233"]
+    storage.write(SERVER_ID, data)
+
+    assert.deepEqual(takeWrites(), { users: 2, donations: 1, entries: 1 })
+    assert.deepEqual(storage.read(SERVER_ID), data)
+  })
+})
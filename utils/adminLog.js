@@ -0,0 +1,25 @@
+import { EmbedBuilder } from "discord.js"
+import { logger } from "./logger.js"
+
+// Post an entry to the server's admin log channel (db.config.logChannelId).
+// Does nothing when no channel is set or admin action logging is turned off.
+export async function sendAdminLog(client, db, { title, description, fields = [], color = "info" }) {
+  const channelId = db.config?.logChannelId
+  if (!channelId || db.config?.featureToggles?.adminActionLogging === false) return
+
+  try {
+    const channel = await client.channels.fetch(channelId)
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setColor(db.config?.theme?.[color] || "#00BCD4")
+      .setFooter({ text: "Powered By Aegisum Eco System" })
+      .setTimestamp()
+
+    if (description) embed.setDescription(description)
+    if (fields.length > 0) embed.addFields(fields)
+
+    await channel.send({ embeds: [embed] })
+  } catch (error) {
+    logger.warn(`Could not post to admin log channel ${channelId}: ${error.message}`)
+  }
+}
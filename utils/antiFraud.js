@@ -0,0 +1,227 @@
+import { getConfirmedEntries, getLedger } from "./ledger.js"
+import { matchAllowedRecipients } from "./recipients.js"
+import { inCause } from "./causes.js"
+import { sendAdminLog } from "./adminLog.js"
+
+// Anti-fraud rules for donations, run when the antifraudDetection feature is
+// on. A rule that fires either flags the donation (it still counts, the flag
+// is kept on its ledger entry as fraudFlags) or holds it for review
+// (/admin review). Every flag is posted to the admin log. Servers choose the
+// action per rule in db.config.antiFraud.rules (/antifraud rule).
+
+export const FRAUD_RULES = {
+  // Prize payouts to draw winners look the same, so it only flags by default
+  circular: { label: "Circular tip", action: "flag", description: "A recipient tipped the donor back within a day" },
+  micro_tips: {
+    label: "Rapid micro-tips",
+    action: "hold",
+    description: "Several tips just above a draw's minimum within an hour",
+  },
+  new_account: { label: "New account", action: "flag", description: "The donor's Discord account is under a week old" },
+  referral_chain: {
+    label: "Referral chain alts",
+    action: "flag",
+    description: "Accounts in the donor's referral chain were created around the same time",
+  },
+}
+
+export const FRAUD_ACTIONS = ["off", "flag", "hold"]
+
+const CIRCULAR_WINDOW_MS = 24 * 60 * 60 * 1000
+const MICRO_TIP_WINDOW_MS = 60 * 60 * 1000
+// Earlier micro-tips in the window before the next one is flagged
+const MICRO_TIP_COUNT = 3
+// How far above a draw's minimum a tip still counts as a micro-tip
+const MICRO_TIP_MARGIN = 0.2
+const NEW_ACCOUNT_AGE_MS = 7 * 24 * 60 * 60 * 1000
+const ALT_CREATION_WINDOW_MS = 48 * 60 * 60 * 1000
+const REFERRAL_CHAIN_DEPTH = 5
+
+export function isAntiFraudEnabled(db) {
+  return db.config?.featureToggles?.antifraudDetection !== false
+}
+
+// Anti-fraud settings, created on first use
+function getAntiFraud(db) {
+  if (!db.config) db.config = {}
+  if (!db.config.antiFraud) db.config.antiFraud = { rules: {} }
+  return db.config.antiFraud
+}
+
+// Recent tips sent by donation recipients: [{ from, to, amount, currency, messageId, timestamp }]
+function getPayouts(db) {
+  if (!Array.isArray(db.antiFraudPayouts)) db.antiFraudPayouts = []
+  return db.antiFraudPayouts
+}
+
+// Action per rule: the server's choice or the rule's default
+export function getRuleActions(db) {
+  const { rules } = getAntiFraud(db)
+  return Object.fromEntries(Object.entries(FRAUD_RULES).map(([id, rule]) => [id, rules[id] || rule.action]))
+}
+
+export function setRuleAction(db, ruleId, action) {
+  getAntiFraud(db).rules[ruleId] = action
+}
+
+// Creation time of a Discord account, from its snowflake ID
+export function accountCreatedAt(userId) {
+  return Number((BigInt(userId) >> 22n) + 1420070400000n)
+}
+
+function isUserId(value) {
+  return /^\d{15,21}$/.test(value || "")
+}
+
+// Users in the same referral chain: the donor's referrers up to the root and
+// everyone the root referred, directly or further down
+function getReferralChain(db, userId) {
+  let root = userId
+  for (let depth = 0; depth < REFERRAL_CHAIN_DEPTH; depth++) {
+    const referrer = db.users?.[root]?.referrals?.referredBy
+    if (!referrer || referrer === userId) break
+    root = referrer
+  }
+
+  const chain = new Set([root])
+  let level = [root]
+  for (let depth = 0; depth < REFERRAL_CHAIN_DEPTH && level.length > 0; depth++) {
+    level = level.flatMap((id) => db.users?.[id]?.referrals?.referred || []).filter((id) => !chain.has(id))
+    for (const id of level) chain.add(id)
+  }
+
+  chain.delete(userId)
+  return [...chain]
+}
+
+const ruleChecks = {
+  circular(db, { userId, recipients, timestamp }) {
+    const payouts = getPayouts(db).filter(
+      (payout) =>
+        payout.to === userId && recipients.includes(payout.from) && timestamp - payout.timestamp <= CIRCULAR_WINDOW_MS,
+    )
+    if (payouts.length === 0) return null
+    const latest = payouts.at(-1)
+    return `<@${latest.from}> tipped the donor ${latest.amount} ${latest.currency} <t:${Math.floor(latest.timestamp / 1000)}:R>`
+  },
+
+  micro_tips(db, { userId, usdValue, causeId, timestamp }) {
+    const isMicro = (amount, draw) => amount >= draw.minAmount && amount <= draw.minAmount * (1 + MICRO_TIP_MARGIN)
+    const draws = Object.values(db.donationDraws || {}).filter(
+      (draw) => draw.active && !draw.manualEntriesOnly && draw.minAmount > 0 && inCause(draw, causeId),
+    )
+    const draw = draws.find((candidate) => isMicro(usdValue, candidate))
+    if (!draw) return null
+
+    const earlier = getConfirmedEntries(db, { userId, since: timestamp - MICRO_TIP_WINDOW_MS }).filter((entry) =>
+      isMicro(entry.amount, draw),
+    )
+    if (earlier.length < MICRO_TIP_COUNT) return null
+    return `${earlier.length + 1} tips of about $${draw.minAmount} (the minimum of **${draw.name}**) within an hour`
+  },
+
+  new_account(db, { userId, member, timestamp }) {
+    const createdAt = member?.user?.createdTimestamp || accountCreatedAt(userId)
+    if (timestamp - createdAt >= NEW_ACCOUNT_AGE_MS) return null
+    return `account created <t:${Math.floor(createdAt / 1000)}:R>`
+  },
+
+  referral_chain(db, { userId }) {
+    const createdAt = accountCreatedAt(userId)
+    const alts = getReferralChain(db, userId).filter(
+      (id) => isUserId(id) && Math.abs(accountCreatedAt(id) - createdAt) <= ALT_CREATION_WINDOW_MS,
+    )
+    if (alts.length === 0) return null
+    return `account created within 48 hours of ${alts.slice(0, 5).map((id) => `<@${id}>`).join(", ")} in the same referral chain`
+  },
+}
+
+// Run the rules for a donation. Returns [{ rule, action, detail, flaggedAt }]
+// for every rule that fired and is not turned off.
+export function checkDonation(db, { userId, member, usdValue, recipients, causeId, timestamp = Date.now() }) {
+  if (!isAntiFraudEnabled(db)) return []
+
+  const flags = []
+  for (const [rule, action] of Object.entries(getRuleActions(db))) {
+    if (action === "off") continue
+    const detail = ruleChecks[rule](db, { userId, member, usdValue, recipients, causeId, timestamp })
+    if (detail) flags.push({ rule, action, detail, flaggedAt: timestamp })
+  }
+  return flags
+}
+
+export function describeFlags(flags) {
+  return flags.map((flag) => `${FRAUD_RULES[flag.rule]?.label || flag.rule}: ${flag.detail}`).join("\n")
+}
+
+// Remember a tip sent by a donation recipient, for the circular tip rule, and
+// flag the confirmed donations it pays back. Returns the flagged ledger
+// entries, or null if the tip was not sent by a recipient.
+export async function trackRecipientPayout(guild, db, tip, messageId) {
+  if (!isAntiFraudEnabled(db) || !tip.sender.id || !db.config?.allowedRecipients?.length) return null
+
+  const fromRecipient = await matchAllowedRecipients(guild, db.config.allowedRecipients, [tip.sender])
+  if (fromRecipient.length === 0) return null
+
+  const now = Date.now()
+  db.antiFraudPayouts = getPayouts(db).filter((payout) => now - payout.timestamp <= CIRCULAR_WINDOW_MS)
+  // The same message delivered twice
+  if (db.antiFraudPayouts.some((payout) => payout.messageId === messageId)) return null
+
+  const flagged = []
+  const circularAction = getRuleActions(db).circular
+  for (const recipient of tip.recipients.filter((r) => r.id)) {
+    db.antiFraudPayouts.push({
+      from: tip.sender.id,
+      to: recipient.id,
+      amount: tip.amount,
+      currency: tip.currency,
+      messageId,
+      timestamp: now,
+    })
+    if (circularAction === "off") continue
+
+    // Donations the payout sends back have already counted, so they are only
+    // flagged. Prize payouts to draw winners look the same, which is why this
+    // never holds anything.
+    const paidBack = getConfirmedEntries(db, { userId: recipient.id, since: now - CIRCULAR_WINDOW_MS }).filter(
+      (entry) =>
+        (entry.recipients || [entry.recipient]).includes(tip.sender.id) &&
+        !entry.fraudFlags?.some((flag) => flag.rule === "circular"),
+    )
+    for (const entry of paidBack) {
+      entry.fraudFlags = [
+        ...(entry.fraudFlags || []),
+        {
+          rule: "circular",
+          action: "flag",
+          detail: `<@${tip.sender.id}> tipped the donor ${tip.amount} ${tip.currency} back afterwards`,
+          flaggedAt: now,
+        },
+      ]
+      flagged.push(entry)
+    }
+  }
+
+  return flagged
+}
+
+// Post flags to the admin log. `held` tells whether the donation was held.
+export async function sendFraudLog(client, db, { userId, donationText, flags, held, messageId, channelId }) {
+  await sendAdminLog(client, db, {
+    title: held ? "🚩 Suspicious Donation Held" : "🚩 Donation Flagged",
+    description: `${donationText} by <@${userId}> ${held ? "was held for review" : "was counted but flagged"}.`,
+    color: held ? "error" : "warning",
+    fields: [
+      { name: "🔎 Reasons", value: describeFlags(flags).slice(0, 1024), inline: false },
+      { name: "📨 Message", value: `${messageId} in <#${channelId}>`, inline: false },
+    ],
+  })
+}
+
+// Flagged ledger entries, newest first
+export function getFlaggedEntries(db, { since = null } = {}) {
+  return Object.values(getLedger(db))
+    .filter((entry) => entry.fraudFlags?.length > 0 && (since === null || entry.timestamp >= since))
+    .sort((a, b) => b.timestamp - a.timestamp)
+}
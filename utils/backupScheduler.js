@@ -0,0 +1,35 @@
+import { withDatabase } from "./database.js"
+import { logger } from "./logger.js"
+import { scheduler } from "./scheduler.js"
+import { getBackupRetention, pruneBackups, writeBackup } from "./backups.js"
+
+// When each kind of automatic backup is taken, in UTC
+const BACKUP_RULES = {
+  hourly: "0 * * * *",
+  daily: "15 0 * * *",
+  weekly: "30 0 * * 0",
+}
+
+// Take hourly, daily and weekly backups of servers with the backupAutomation
+// feature on, keeping as many of each as the server's retention allows
+export function scheduleBackupAutomation(serverIds) {
+  for (const [kind, rule] of Object.entries(BACKUP_RULES)) {
+    scheduler.scheduleJob(`backup_${kind}`, { rule, tz: "UTC" }, async () => {
+      for (const serverId of serverIds) {
+        try {
+          await withDatabase(serverId, async (db) => runAutomaticBackup(serverId, db, kind))
+        } catch (error) {
+          logger.error(`Error taking ${kind} backup for server ${serverId}:`, error)
+        }
+      }
+    })
+  }
+}
+
+function runAutomaticBackup(serverId, db, kind) {
+  if (!db.config?.featureToggles?.backupAutomation) return
+
+  const retention = getBackupRetention(db)
+  if (retention[kind] > 0) writeBackup(serverId, db, { kind })
+  pruneBackups(serverId, retention)
+}
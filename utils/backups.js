@@ -0,0 +1,237 @@
+import fs from "fs"
+import path from "path"
+import zlib from "zlib"
+import { fileURLToPath } from "url"
+import { logger } from "./logger.js"
+import { DATA_DIR } from "./storage.js"
+
+// Server backups, kept gzip-compressed in data/backups as
+// <serverId>_<id>.json.gz. A backup ID is its UTC time and kind, e.g.
+// 20250601-000000-daily:
+//
+//   manual       /admin backup create
+//   hourly, daily, weekly
+//                taken by backupScheduler.js while the backupAutomation
+//                feature is on, and pruned to the server's retention
+//   pre-restore  the data replaced by /admin backup restore
+//   pre-repair   the data before an integrity repair (integrity.js)
+//   pre-vN       the data before a schema migration (migrations.js)
+//
+// Only the automatic kinds are pruned. When BACKUP_EXPORT_DIR is set every
+// backup is also copied there (e.g. a mounted off-box volume) and pruned
+// along with the original.
+//
+// Older versions left uncompressed copies in data/, data/backups and
+// data_backup/. They are listed as "legacy" backups so they can still be
+// compared and restored, but are never pruned. A legacy backup's ID is its
+// file's path without .json, e.g. data_backup/<serverId>_backup_1747944581836.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+export const BACKUP_DIR = path.join(DATA_DIR, "backups")
+const ROOT_DIR = path.join(__dirname, "..")
+const LEGACY_BACKUP_DIRS = [DATA_DIR, BACKUP_DIR, path.join(ROOT_DIR, "data_backup")]
+
+// Automatic backups kept per server, unless configured with /admin backup retention
+export const DEFAULT_BACKUP_RETENTION = { hourly: 24, daily: 7, weekly: 4 }
+export const AUTOMATIC_BACKUP_KINDS = Object.keys(DEFAULT_BACKUP_RETENTION)
+
+const BACKUP_FILE_PATTERN = /^(.+?)_(\d{8}-\d{6}-[\w-]+)\.json\.gz$/
+
+function getExportDir() {
+  return process.env.BACKUP_EXPORT_DIR || null
+}
+
+// 20250601-000000 for a time in ms
+function formatStamp(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)
+}
+
+function parseStamp(stamp) {
+  const [, y, mo, d, h, mi, s] = stamp.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/)
+  return Date.UTC(y, mo - 1, d, h, mi, s)
+}
+
+function describeId(id) {
+  return { id, kind: id.slice(16), createdAt: parseStamp(id) }
+}
+
+export function getBackupRetention(db) {
+  return { ...DEFAULT_BACKUP_RETENTION, ...db.config?.backupRetention }
+}
+
+// Write a compressed backup of `data`. Returns { id, kind, createdAt, file,
+// size, exported }.
+export function writeBackup(serverId, data, { kind = "manual" } = {}) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true })
+
+  // Two backups in the same second get the next free second
+  let createdAt = Date.now()
+  let id = `${formatStamp(createdAt)}-${kind}`
+  while (fs.existsSync(path.join(BACKUP_DIR, `${serverId}_${id}.json.gz`))) {
+    createdAt += 1000
+    id = `${formatStamp(createdAt)}-${kind}`
+  }
+
+  const fileName = `${serverId}_${id}.json.gz`
+  const file = path.join(BACKUP_DIR, fileName)
+  const tempFile = `${file}.tmp`
+  fs.writeFileSync(tempFile, zlib.gzipSync(JSON.stringify(data)))
+  fs.renameSync(tempFile, file)
+
+  let exported = false
+  const exportDir = getExportDir()
+  if (exportDir) {
+    try {
+      fs.mkdirSync(exportDir, { recursive: true })
+      fs.copyFileSync(file, path.join(exportDir, fileName))
+      exported = true
+    } catch (error) {
+      logger.error(`Could not export backup ${fileName} to ${exportDir}:`, error.message)
+    }
+  }
+
+  const size = fs.statSync(file).size
+  logger.info(`Created ${kind} backup for server ${serverId}: ${fileName}${exported ? " (exported)" : ""}`)
+  return { ...describeId(id), file, size, exported }
+}
+
+// Uncompressed copies written by older versions of the bot, one per file
+function listLegacyBackups(serverId) {
+  const backups = []
+
+  for (const dir of LEGACY_BACKUP_DIRS) {
+    if (!fs.existsSync(dir)) continue
+
+    for (const fileName of fs.readdirSync(dir)) {
+      if (!fileName.startsWith(`${serverId}_`) && !(dir !== DATA_DIR && fileName === `${serverId}.json`)) continue
+      if (!fileName.endsWith(".json")) continue
+
+      const file = path.join(dir, fileName)
+      const { mtimeMs, size } = fs.statSync(file)
+      const millis = fileName.match(/_(\d{13})\.json$/)?.[1]
+      const createdAt = Math.floor(millis ? Number(millis) : mtimeMs)
+      const id = path.relative(ROOT_DIR, file).split(path.sep).join("/").replace(/\.json$/, "")
+      backups.push({ id, kind: "legacy", createdAt, file, size, legacy: true })
+    }
+  }
+
+  return backups
+}
+
+// Every backup of a server, newest first
+export function listBackups(serverId) {
+  const backups = []
+
+  if (fs.existsSync(BACKUP_DIR)) {
+    for (const fileName of fs.readdirSync(BACKUP_DIR)) {
+      const match = fileName.match(BACKUP_FILE_PATTERN)
+      if (match?.[1] !== serverId) continue
+
+      const file = path.join(BACKUP_DIR, fileName)
+      backups.push({ ...describeId(match[2]), file, size: fs.statSync(file).size })
+    }
+  }
+
+  backups.push(...listLegacyBackups(serverId))
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export function findBackup(serverId, id) {
+  return listBackups(serverId).find((backup) => backup.id === id?.trim()) || null
+}
+
+// The data stored in a backup
+export function readBackup(backup) {
+  const contents = fs.readFileSync(backup.file)
+  return JSON.parse(backup.file.endsWith(".gz") ? zlib.gunzipSync(contents).toString("utf8") : contents.toString("utf8"))
+}
+
+// Delete automatic backups beyond the retention for their kind. Returns the
+// IDs removed.
+export function pruneBackups(serverId, retention) {
+  const removed = []
+  const backups = listBackups(serverId).filter((backup) => !backup.legacy)
+
+  for (const kind of AUTOMATIC_BACKUP_KINDS) {
+    const keep = retention[kind] ?? DEFAULT_BACKUP_RETENTION[kind]
+    for (const backup of backups.filter((b) => b.kind === kind).slice(keep)) {
+      fs.rmSync(backup.file, { force: true })
+      const exportDir = getExportDir()
+      if (exportDir) fs.rmSync(path.join(exportDir, path.basename(backup.file)), { force: true })
+      removed.push(backup.id)
+    }
+  }
+
+  if (removed.length > 0) logger.info(`Pruned ${removed.length} backup(s) for server ${serverId}`)
+  return removed
+}
+
+function totalDonated(db) {
+  return Object.values(db.users || {}).reduce((sum, user) => sum + (Number(user.totalDonated) || 0), 0)
+}
+
+function drawEntryCount(draw) {
+  return Object.values(draw.entries || {}).reduce((sum, count) => sum + count, 0)
+}
+
+// What changed from `before` to `after`, as lines for an embed
+export function diffDatabases(before, after) {
+  const lines = []
+
+  if ((before.schemaVersion || 0) !== (after.schemaVersion || 0)) {
+    lines.push(`📐 Schema: v${before.schemaVersion || 0} → v${after.schemaVersion || 0}`)
+  }
+
+  const beforeUsers = Object.keys(before.users || {})
+  const afterUsers = Object.keys(after.users || {})
+  const added = afterUsers.filter((id) => !before.users?.[id])
+  const removed = beforeUsers.filter((id) => !after.users?.[id])
+  const changedTotals = afterUsers.filter(
+    (id) => before.users?.[id] && (before.users[id].totalDonated || 0) !== (after.users[id].totalDonated || 0),
+  )
+  if (added.length || removed.length || changedTotals.length) {
+    lines.push(
+      `👥 Users: ${beforeUsers.length} → ${afterUsers.length} (+${added.length}, -${removed.length}, ${changedTotals.length} total(s) changed)`,
+    )
+  }
+
+  const beforeTotal = totalDonated(before)
+  const afterTotal = totalDonated(after)
+  if (Math.abs(beforeTotal - afterTotal) > 0.005) {
+    lines.push(`💰 Total donated: $${beforeTotal.toFixed(2)} → $${afterTotal.toFixed(2)}`)
+  }
+
+  const beforeLedger = Object.keys(before.donationLedger || {}).length
+  const afterLedger = Object.keys(after.donationLedger || {}).length
+  if (beforeLedger !== afterLedger) lines.push(`🧾 Ledger entries: ${beforeLedger} → ${afterLedger}`)
+
+  const beforeDraws = before.donationDraws || {}
+  const afterDraws = after.donationDraws || {}
+  for (const [drawId, draw] of Object.entries(afterDraws)) {
+    if (!beforeDraws[drawId]) {
+      lines.push(`🎁 Draw added: ${draw.name || drawId} (${drawEntryCount(draw)} entries)`)
+    } else if (drawEntryCount(beforeDraws[drawId]) !== drawEntryCount(draw) || !!beforeDraws[drawId].active !== !!draw.active) {
+      lines.push(
+        `🎁 ${draw.name || drawId}: ${drawEntryCount(beforeDraws[drawId])} → ${drawEntryCount(draw)} entries${
+          !!beforeDraws[drawId].active !== !!draw.active ? `, ${draw.active ? "reopened" : "closed"}` : ""
+        }`,
+      )
+    }
+  }
+  for (const [drawId, draw] of Object.entries(beforeDraws)) {
+    if (!afterDraws[drawId]) lines.push(`🎁 Draw removed: ${draw.name || drawId}`)
+  }
+
+  const configKeys = new Set([...Object.keys(before.config || {}), ...Object.keys(after.config || {})])
+  const changedConfig = [...configKeys].filter(
+    (key) => JSON.stringify(before.config?.[key]) !== JSON.stringify(after.config?.[key]),
+  )
+  if (changedConfig.length > 0) lines.push(`⚙️ Settings changed: ${changedConfig.join(", ")}`)
+
+  return lines
+}
+
+export function formatBackupSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
@@ -0,0 +1,46 @@
+// Causes (e.g. a dev fund and an events fund) each with their own tip.cc
+// wallets. Causes live in db.config.causes keyed by ID; allowed recipients,
+// draws and goals point at one with a `causeId`. A tip to a recipient of a
+// cause only creates entries in that cause's draws and only advances its goals,
+// tips to recipients without a cause feed the general draws and goals.
+
+// Causes collection, created on first use
+export function getCauses(db) {
+  if (!db.config) db.config = {}
+  if (!db.config.causes) db.config.causes = {}
+  return db.config.causes
+}
+
+// Cause ID for a name ("Dev Fund" -> "dev_fund")
+export function causeKey(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+}
+
+// Find a cause by ID or name (case-insensitive)
+export function findCause(db, input) {
+  if (!input) return null
+  const causes = getCauses(db)
+  return causes[input] || causes[causeKey(input)] || null
+}
+
+// Whether a draw or goal belongs to the cause of a donation (null = general)
+export function inCause(item, causeId) {
+  return (item?.causeId || null) === (causeId || null)
+}
+
+// Cause of a donation from its matched recipients ([{ recipient, rule }]).
+// A tip that reaches recipients of different causes cannot be split between
+// them, so it counts as a general donation.
+export function getDonationCause(matches) {
+  const causeIds = new Set(matches.map((match) => match.rule.causeId || null))
+  return causeIds.size === 1 ? [...causeIds][0] : null
+}
+
+export function describeCause(db, causeId) {
+  if (!causeId) return "General"
+  return getCauses(db)[causeId]?.name || causeId
+}
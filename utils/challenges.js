@@ -0,0 +1,243 @@
+import crypto from "crypto"
+import { saveDatabase, withDatabase } from "./database.js"
+import { logger } from "./logger.js"
+import { scheduler } from "./scheduler.js"
+
+// Daily and weekly donor challenges, stored in db.challenges keyed by ID:
+//   { id, name, description, period, type, target, reward: { entries, drawId, badge }, active }
+// Progress is derived from the user's donations and referrals, so nothing has
+// to be tracked per tip. Completions are recorded per period in
+// users[id].challenges[challengeId] so each challenge pays out once per period.
+// Periods follow UTC days, with weeks starting on Monday.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const CHALLENGE_PERIODS = ["daily", "weekly"]
+
+export const CHALLENGE_TYPES = {
+  donation_count: { label: "Make donations", unit: "donations" },
+  donation_amount: { label: "Donate a total amount", unit: "USD" },
+  unique_currencies: { label: "Donate in different coins", unit: "coins" },
+  streak_days: { label: "Donate on consecutive days", unit: "days in a row" },
+  referral_donors: { label: "Refer friends who donate", unit: "referred donors" },
+}
+
+// Start of the current period in ms
+export function getPeriodStart(period, now = Date.now()) {
+  const start = new Date(now)
+  start.setUTCHours(0, 0, 0, 0)
+  if (period === "weekly") {
+    // getUTCDay() is 0 for Sunday, shift so Monday starts the week
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7))
+  }
+  return start.getTime()
+}
+
+// End of the current period in ms
+export function getPeriodEnd(period, now = Date.now()) {
+  return getPeriodStart(period, now) + (period === "weekly" ? 7 : 1) * DAY_MS
+}
+
+// Stable key for the current period, e.g. "2025-06-02"
+export function getPeriodKey(period, now = Date.now()) {
+  return new Date(getPeriodStart(period, now)).toISOString().slice(0, 10)
+}
+
+// Challenges collection, created on first use
+export function getChallenges(db) {
+  if (!db.challenges) db.challenges = {}
+  return db.challenges
+}
+
+// Active challenges, daily first
+export function getActiveChallenges(db) {
+  return Object.values(getChallenges(db))
+    .filter((challenge) => challenge.active)
+    .sort((a, b) => CHALLENGE_PERIODS.indexOf(a.period) - CHALLENGE_PERIODS.indexOf(b.period))
+}
+
+// Consecutive UTC days with at least one donation, ending today
+function countStreakDays(donations, now) {
+  const days = new Set(donations.map((donation) => Math.floor(donation.timestamp / DAY_MS)))
+  let day = Math.floor(now / DAY_MS)
+  let streak = 0
+  while (days.has(day)) {
+    streak++
+    day--
+  }
+  return streak
+}
+
+// Current progress of a user towards a challenge, in the challenge's unit
+export function getChallengeProgress(db, userId, challenge, now = Date.now()) {
+  const userData = db.users?.[userId]
+  if (!userData) return 0
+
+  const periodStart = getPeriodStart(challenge.period, now)
+  const donations = (userData.donations || []).filter((donation) => donation.timestamp >= periodStart)
+
+  switch (challenge.type) {
+    case "donation_count":
+      return donations.length
+    case "donation_amount":
+      return donations.reduce((sum, donation) => sum + (donation.amount || 0), 0)
+    case "unique_currencies":
+      return new Set(donations.map((donation) => donation.currency?.toUpperCase()).filter(Boolean)).size
+    case "streak_days":
+      return countStreakDays(userData.donations || [], now)
+    case "referral_donors":
+      return (userData.referrals?.referred || []).filter((friendId) =>
+        db.users[friendId]?.donations?.some((donation) => donation.timestamp >= periodStart),
+      ).length
+    default:
+      return 0
+  }
+}
+
+// Whether a user already completed a challenge in the current period
+export function isChallengeCompleted(db, userId, challenge, now = Date.now()) {
+  return db.users?.[userId]?.challenges?.[challenge.id]?.lastCompletedPeriod === getPeriodKey(challenge.period, now)
+}
+
+// Pay out a challenge's reward, returns the number of entries awarded
+function awardChallengeReward(db, userId, challenge) {
+  const userData = db.users[userId]
+  const reward = challenge.reward || {}
+  let awarded = 0
+
+  const draw = reward.drawId ? db.donationDraws?.[reward.drawId] : null
+  if (reward.entries > 0 && draw?.active) {
+    const currentEntries = Object.values(draw.entries || {}).reduce((sum, count) => sum + count, 0)
+    awarded = draw.maxEntries ? Math.max(0, Math.min(reward.entries, draw.maxEntries - currentEntries)) : reward.entries
+
+    if (awarded > 0) {
+      if (!draw.entries) draw.entries = {}
+      if (!userData.entries) userData.entries = {}
+      draw.entries[userId] = (draw.entries[userId] || 0) + awarded
+      userData.entries[reward.drawId] = (userData.entries[reward.drawId] || 0) + awarded
+    }
+  }
+
+  if (reward.badge) {
+    if (!userData.badges) userData.badges = []
+    if (!userData.badges.some((badge) => badge.name === reward.badge)) {
+      userData.badges.push({ name: reward.badge, challengeId: challenge.id, earnedAt: Date.now() })
+    }
+  }
+
+  return awarded
+}
+
+// Evaluate every active challenge for a user after a tip or referral. Newly
+// completed challenges are recorded and paid out; the caller saves the
+// database. Returns [{ challenge, entries }].
+export function evaluateChallenges(db, userId, now = Date.now()) {
+  if (!db.config?.featureToggles?.dailyWeeklyChallenges) return []
+  const userData = db.users?.[userId]
+  if (!userData) return []
+
+  const completed = []
+  for (const challenge of getActiveChallenges(db)) {
+    if (isChallengeCompleted(db, userId, challenge, now)) continue
+    if (getChallengeProgress(db, userId, challenge, now) < challenge.target) continue
+
+    if (!userData.challenges) userData.challenges = {}
+    const record = userData.challenges[challenge.id] || { completions: 0 }
+    record.lastCompletedPeriod = getPeriodKey(challenge.period, now)
+    record.completions += 1
+    record.completedAt = now
+    userData.challenges[challenge.id] = record
+
+    const entries = awardChallengeReward(db, userId, challenge)
+    completed.push({ challenge, entries })
+    logger.info(`🏅 User ${userId} completed challenge ${challenge.id} (${entries} entries)`)
+  }
+
+  return completed
+}
+
+// Human-readable reward, e.g. "5 entries in Monthly Draw + 🎖️ Coin Collector"
+export function describeReward(db, challenge) {
+  const reward = challenge.reward || {}
+  const parts = []
+  if (reward.entries > 0) {
+    parts.push(`${reward.entries} entries in ${db.donationDraws?.[reward.drawId]?.name || reward.drawId}`)
+  }
+  if (reward.badge) parts.push(`🎖️ ${reward.badge}`)
+  return parts.join(" + ") || "Bragging rights"
+}
+
+// Describe a challenge goal, e.g. "Donate in 3 different coins this week"
+export function describeGoal(challenge) {
+  const timeframe = challenge.period === "weekly" ? "this week" : "today"
+  switch (challenge.type) {
+    case "donation_count":
+      return `Make ${challenge.target} donation${challenge.target === 1 ? "" : "s"} ${timeframe}`
+    case "donation_amount":
+      return `Donate $${challenge.target} ${timeframe}`
+    case "unique_currencies":
+      return `Donate in ${challenge.target} different coins ${timeframe}`
+    case "streak_days":
+      return `Donate ${challenge.target} days in a row`
+    case "referral_donors":
+      return `Refer ${challenge.target} friend${challenge.target === 1 ? "" : "s"} who donate${challenge.target === 1 ? "s" : ""} ${timeframe}`
+    default:
+      return challenge.type
+  }
+}
+
+// Activate `count` random challenges of a period and deactivate the rest.
+// Returns the newly active challenges.
+export function rotateChallenges(db, period, count) {
+  const pool = Object.values(getChallenges(db)).filter((challenge) => challenge.period === period)
+
+  // Fisher-Yates shuffle
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    ;[pool[i], pool[j]] = [pool[j], pool[i]]
+  }
+
+  pool.forEach((challenge, index) => {
+    challenge.active = index < count
+  })
+
+  if (!db.config) db.config = {}
+  if (!db.config.challengeRotation) db.config.challengeRotation = {}
+  db.config.challengeRotation.lastRotated = { ...db.config.challengeRotation.lastRotated, [period]: Date.now() }
+
+  return pool.slice(0, count)
+}
+
+// Rotate challenges automatically at the start of each UTC day and week for
+// servers that configured db.config.challengeRotation[period]
+export function scheduleChallengeRotation(client, serverIds) {
+  const rules = { daily: "0 0 * * *", weekly: "0 0 * * 1" }
+
+  for (const [period, rule] of Object.entries(rules)) {
+    scheduler.scheduleJob(`challenge_rotation_${period}`, { rule, tz: "UTC" }, async () => {
+      for (const serverId of serverIds) {
+        try {
+          await withDatabase(serverId, (db) => rotateServerChallenges(client, serverId, db, period))
+        } catch (error) {
+          logger.error(`Error rotating ${period} challenges for server ${serverId}:`, error)
+        }
+      }
+    })
+  }
+}
+
+async function rotateServerChallenges(client, serverId, db, period) {
+  const count = db.config?.challengeRotation?.[period]
+  if (!db.config?.featureToggles?.dailyWeeklyChallenges || !count) return
+
+  const active = rotateChallenges(db, period, count)
+  saveDatabase(serverId, db)
+  logger.info(`Rotated ${period} challenges for server ${serverId}: ${active.map((c) => c.id).join(", ")}`)
+
+  if (db.config.notificationChannelId && active.length > 0) {
+    const channel = await client.channels.fetch(db.config.notificationChannelId)
+    await channel.send(
+      `🏅 **New ${period} challenges!**\n${active.map((challenge) => `• **${challenge.name}** - ${describeGoal(challenge)}`).join("\n")}\n\nUse \`/challenges\` to track your progress!`,
+    )
+  }
+}
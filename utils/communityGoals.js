@@ -0,0 +1,215 @@
+import { EmbedBuilder } from "discord.js"
+import { logger } from "./logger.js"
+import { describeCause, inCause } from "./causes.js"
+
+// Server-wide USD donation goals, stored in db.config.donationGoals keyed by
+// goal ID. Every processed tip advances all active goals; contributors are
+// tracked per goal so bonus entries can be handed out when it completes.
+
+// Goals collection, created on first use
+export function getGoals(db) {
+  if (!db.config) db.config = {}
+  if (!db.config.donationGoals) db.config.donationGoals = {}
+  return db.config.donationGoals
+}
+
+// Text progress bar, e.g. "██████░░░░░░"
+export function progressBar(raised, target, size = 20) {
+  const fraction = target > 0 ? Math.min(1, raised / target) : 0
+  const filled = Math.round(fraction * size)
+  return `${"█".repeat(filled)}${"░".repeat(size - filled)}`
+}
+
+// Mark active goals whose deadline has passed as expired, returns them
+export function expireGoals(db, now = Date.now()) {
+  const expired = []
+  for (const goal of Object.values(getGoals(db))) {
+    if (goal.status === "active" && goal.deadline && goal.deadline <= now) {
+      goal.status = "expired"
+      goal.endedAt = goal.deadline
+      expired.push(goal)
+    }
+  }
+  return expired
+}
+
+// Advance every active goal of the donation's cause (null for general goals)
+// by a donation. Completed goals award their bonus entries immediately. The
+// caller saves the database and then refreshes the progress messages with
+// updateGoalMessages().
+export function recordGoalContribution(db, userId, usdValue, causeId = null) {
+  const result = { updated: expireGoals(db), completed: [], contributed: {} }
+  if (!db.config?.featureToggles?.communityGoals) return result
+
+  for (const goal of Object.values(getGoals(db))) {
+    if (goal.status !== "active" || !inCause(goal, causeId)) continue
+
+    goal.raised = (goal.raised || 0) + usdValue
+    if (!goal.contributions) goal.contributions = {}
+    goal.contributions[userId] = (goal.contributions[userId] || 0) + usdValue
+    result.updated.push(goal)
+    result.contributed[goal.id] = usdValue
+
+    if (goal.raised >= goal.target) {
+      goal.status = "completed"
+      goal.endedAt = Date.now()
+      result.completed.push({ goal, awarded: awardGoalBonusEntries(db, goal) })
+      logger.info(`🎯 Community goal ${goal.id} reached: $${goal.raised.toFixed(2)} / $${goal.target}`)
+    }
+  }
+
+  return result
+}
+
+// Take back a reversed donation from the goals it advanced. Only goals that
+// are still running are changed, completed goals keep their payout. Returns
+// the goals that changed.
+export function revertGoalContributions(db, userId, contributed = {}) {
+  const reverted = []
+  for (const [goalId, usdValue] of Object.entries(contributed)) {
+    const goal = getGoals(db)[goalId]
+    if (goal?.status !== "active") continue
+
+    goal.raised = Math.max(0, (goal.raised || 0) - usdValue)
+    const remaining = (goal.contributions?.[userId] || 0) - usdValue
+    if (remaining > 0.000001) {
+      goal.contributions[userId] = remaining
+    } else if (goal.contributions) {
+      delete goal.contributions[userId]
+    }
+    reverted.push(goal)
+  }
+  return reverted
+}
+
+// Give every contributor of a goal its bonus entries in the bonus draw,
+// capped by the draw's max entries. Returns the number of entries awarded.
+export function awardGoalBonusEntries(db, goal) {
+  const draw = goal.bonusDrawId ? db.donationDraws?.[goal.bonusDrawId] : null
+  if (!goal.bonusEntries || !draw?.active) return 0
+
+  if (!draw.entries) draw.entries = {}
+  let currentEntries = Object.values(draw.entries).reduce((sum, count) => sum + count, 0)
+  let awarded = 0
+
+  for (const userId of Object.keys(goal.contributions || {})) {
+    const entriesToAdd = draw.maxEntries
+      ? Math.min(goal.bonusEntries, draw.maxEntries - currentEntries)
+      : goal.bonusEntries
+    if (entriesToAdd <= 0) break
+
+    draw.entries[userId] = (draw.entries[userId] || 0) + entriesToAdd
+    if (db.users?.[userId]) {
+      if (!db.users[userId].entries) db.users[userId].entries = {}
+      db.users[userId].entries[goal.bonusDrawId] = (db.users[userId].entries[goal.bonusDrawId] || 0) + entriesToAdd
+    }
+
+    currentEntries += entriesToAdd
+    awarded += entriesToAdd
+  }
+
+  goal.bonusAwarded = awarded
+  return awarded
+}
+
+// Progress embed for a goal, used for the pinned message and /goals progress
+export function createGoalEmbed(db, goal) {
+  const raised = goal.raised || 0
+  const percent = goal.target > 0 ? Math.min(100, (raised / goal.target) * 100) : 0
+  const statusLabels = {
+    active: "🟢 In progress",
+    completed: "🎉 Goal reached!",
+    expired: "⌛ Deadline passed",
+    closed: "🔒 Closed",
+  }
+  const colors = {
+    active: db.config?.theme?.info || "#00BCD4",
+    completed: db.config?.theme?.success || "#4CAF50",
+    expired: db.config?.theme?.warning || "#FFC107",
+    closed: db.config?.theme?.error || "#F44336",
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🎯 ${goal.name}`)
+    .setDescription(
+      `${goal.description ? `${goal.description}\n\n` : ""}${progressBar(raised, goal.target)} **${percent.toFixed(1)}%**\n` +
+        `**$${raised.toFixed(2)}** raised of **$${goal.target.toFixed(2)}**`,
+    )
+    .setColor(colors[goal.status] || colors.active)
+    .addFields(
+      { name: "📊 Status", value: statusLabels[goal.status] || goal.status, inline: true },
+      { name: "👥 Contributors", value: Object.keys(goal.contributions || {}).length.toString(), inline: true },
+    )
+
+  if (goal.causeId) {
+    embed.addFields({ name: "💠 Cause", value: describeCause(db, goal.causeId), inline: true })
+  }
+
+  if (goal.deadline) {
+    embed.addFields({ name: "⏰ Deadline", value: `<t:${Math.floor(goal.deadline / 1000)}:R>`, inline: true })
+  }
+
+  if (goal.bonusEntries && goal.bonusDrawId) {
+    const drawName = db.donationDraws?.[goal.bonusDrawId]?.name || goal.bonusDrawId
+    embed.addFields({
+      name: "🎁 Reward",
+      value: `Every contributor gets **${goal.bonusEntries}** bonus entries in **${drawName}** when the goal is reached`,
+      inline: false,
+    })
+  }
+
+  const topContributors = Object.entries(goal.contributions || {})
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5)
+  if (topContributors.length > 0) {
+    embed.addFields({
+      name: "🏆 Top Contributors",
+      value: topContributors
+        .map(([userId, amount], index) => {
+          const hidden = db.config?.featureToggles?.anonymousMode && db.users?.[userId]?.privacyEnabled
+          return `${index + 1}. ${hidden ? "🕶️ Anonymous" : `<@${userId}>`} - $${amount.toFixed(2)}`
+        })
+        .join("\n"),
+      inline: false,
+    })
+  }
+
+  return embed.setFooter({ text: `Goal ID: ${goal.id} • Powered By Aegisum Eco System` }).setTimestamp()
+}
+
+// Edit the pinned progress message of each goal in place
+export async function updateGoalMessages(client, db, goals) {
+  for (const goal of goals) {
+    if (!goal.channelId || !goal.messageId) continue
+
+    try {
+      const channel = await client.channels.fetch(goal.channelId)
+      const message = await channel.messages.fetch(goal.messageId)
+      await message.edit({ embeds: [createGoalEmbed(db, goal)] })
+    } catch (error) {
+      logger.warn(`Could not update progress message for goal ${goal.id}: ${error.message}`)
+    }
+  }
+}
+
+// Announce a reached goal in the notification channel, or the goal's channel
+export async function announceGoalCompleted(client, db, goal, awarded) {
+  const channelId = db.config?.notificationChannelId || goal.channelId
+  if (!channelId) return
+
+  try {
+    const channel = await client.channels.fetch(channelId)
+    const contributors = Object.keys(goal.contributions || {}).length
+    const bonusLine =
+      awarded > 0
+        ? `\n🎁 **${awarded}** bonus entries were added to **${db.donationDraws?.[goal.bonusDrawId]?.name || goal.bonusDrawId}**!`
+        : ""
+
+    await channel.send({
+      content: `🎉 **COMMUNITY GOAL REACHED!** 🎉\n\n**${goal.name}** hit **$${goal.raised.toFixed(2)}** thanks to ${contributors} contributor${contributors === 1 ? "" : "s"}!${bonusLine}\n\n*Thank you for supporting our community!* ❤️`,
+      embeds: [createGoalEmbed(db, goal)],
+    })
+  } catch (error) {
+    logger.error(`Could not announce completed goal ${goal.id}:`, error)
+  }
+}
@@ -1,15 +1,8 @@
-import fs from "fs"
-import path from "path"
-import { fileURLToPath } from "url"
+import { AsyncLocalStorage } from "async_hooks"
 import { logger } from "./logger.js"
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
-const DATA_DIR = path.join(__dirname, "..", "data")
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true })
-}
+import { getStorage } from "./storage.js"
+import { findBackup, readBackup, writeBackup } from "./backups.js"
+import { describeMigrationReport, getPendingMigrations, runMigrations, SCHEMA_VERSION } from "./migrations.js"
 
 const DEFAULT_ACCEPTED_CRYPTOCURRENCIES = [
   "AEGS",
@@ -76,38 +69,57 @@ const DEFAULT_THEME = {
   special: "#E91E63",
 }
 
+// Server data is read from and written to the configured storage backend
+// (storage.js), a JSON file per server by default. Inside withDatabase this
+// returns the locked copy, so every step of a handler works on the same data.
 export function getDatabase(serverId) {
-  const dbFile = path.join(DATA_DIR, `${serverId}.json`)
+  const held = heldLock(serverId)
+  if (held) return held.db
+
+  return readDatabase(serverId)
+}
+
+function readDatabase(serverId) {
+  const storage = getStorage()
 
-  if (!fs.existsSync(dbFile)) {
+  if (!storage.has(serverId)) {
     const defaultData = createDefaultDatabase()
-    fs.writeFileSync(dbFile, JSON.stringify(defaultData, null, 2))
-    logger.info(`Created default database file for server ${serverId}`)
+    storage.write(serverId, defaultData)
+    logger.info(`Created default database for server ${serverId} (${storage.name} storage)`)
   }
 
+  let data
   try {
-    const data = JSON.parse(fs.readFileSync(dbFile, "utf8"))
-
-    // Ensure all required fields exist (migration)
-    const migrated = migrateDatabase(data)
-    if (migrated) {
-      saveDatabase(serverId, data)
-    }
-
-    return data
+    data = storage.read(serverId)
   } catch (error) {
     logger.error(`Error reading database for server ${serverId}:`, error)
     const defaultData = createDefaultDatabase()
     saveDatabase(serverId, defaultData)
     return defaultData
   }
+
+  // Bring data written by an older version up to the current schema. A failed
+  // migration is not saved, so the stored data is read again as it was and
+  // used unmigrated; the migration is retried on the next read.
+  try {
+    migrateServerData(serverId, data)
+  } catch (error) {
+    logger.error(`Error migrating server ${serverId} to schema v${SCHEMA_VERSION}, using its data unmigrated:`, error)
+    return storage.read(serverId)
+  }
+
+  return data
 }
 
 export function saveDatabase(serverId, data) {
-  const dbFile = path.join(DATA_DIR, `${serverId}.json`)
-
   try {
-    fs.writeFileSync(dbFile, JSON.stringify(data, null, 2))
+    getStorage().write(serverId, data)
+
+    const held = heldLock(serverId)
+    if (held) {
+      held.db = data
+      held.saved = JSON.stringify(data)
+    }
     return true
   } catch (error) {
     logger.error(`Error saving database for server ${serverId}:`, error)
@@ -115,8 +127,60 @@ export function saveDatabase(serverId, data) {
   }
 }
 
-function createDefaultDatabase() {
+// Per-server write lock. Handlers that change a server's data run one at a
+// time through withDatabase, each on a fresh read, so a tip arriving while an
+// admin command runs waits for it instead of saving over its changes.
+//
+//   await withDatabase(serverId, async (db) => { ...; return result })
+//
+// The data is saved after fn returns if it changed, and not if fn throws
+// (anything it already saved with saveDatabase stays). Calls nested in the
+// same handler share the lock and the data. Command, button and tip.cc event
+// handlers and scheduled jobs are all run this way (interactionCreate.js,
+// messageCreate.js, drawScheduler.js, ...).
+const lockQueues = new Map()
+const lockContext = new AsyncLocalStorage()
+
+// The lock held by the running handler for this server, if any. Timers set
+// while a lock was held inherit its context, so a released lock is ignored.
+function heldLock(serverId) {
+  const lock = lockContext.getStore()
+  return lock?.active && lock.serverId === serverId ? lock : null
+}
+
+export async function withDatabase(serverId, fn) {
+  if (!serverId) throw new Error("withDatabase needs a server ID")
+
+  const held = heldLock(serverId)
+  if (held) return fn(held.db)
+
+  const previous = lockQueues.get(serverId) || Promise.resolve()
+  let release
+  const released = new Promise((resolve) => (release = resolve))
+  const queued = previous.then(() => released)
+  lockQueues.set(serverId, queued)
+  await previous
+
+  const lock = { serverId, db: null, saved: null, active: true }
+  try {
+    return await lockContext.run(lock, async () => {
+      lock.db = readDatabase(serverId)
+      lock.saved = JSON.stringify(lock.db)
+
+      const result = await fn(lock.db)
+      if (JSON.stringify(lock.db) !== lock.saved) saveDatabase(serverId, lock.db)
+      return result
+    })
+  } finally {
+    lock.active = false
+    release()
+    if (lockQueues.get(serverId) === queued) lockQueues.delete(serverId)
+  }
+}
+
+export function createDefaultDatabase() {
   return {
+    schemaVersion: SCHEMA_VERSION,
     donationDraws: {},
     users: {},
     config: {
@@ -153,99 +217,69 @@ function createDefaultDatabase() {
     scheduledTasks: [],
     donationMultipliers: [],
     luckyNumbers: {},
+    seasonArchive: [],
+    donationLedger: {},
+    reviewQueue: {},
+    antiFraudPayouts: [],
   }
 }
 
-function migrateDatabase(data) {
-  let migrated = false
-
-  // Ensure config exists
-  if (!data.config) {
-    data.config = {}
-    migrated = true
-  }
-
-  // Ensure feature toggles exist
-  if (!data.config.featureToggles) {
-    data.config.featureToggles = DEFAULT_FEATURE_TOGGLES
-    migrated = true
-  }
+// Apply pending schema migrations (migrations.js) to a server's data and
+// save it, after writing a backup of the data as it was. A dry run applies
+// them to a copy and changes nothing. Returns the report ({ from, to,
+// applied, backupFile }), or null when the data is already up to date or
+// could not be backed up.
+export function migrateServerData(serverId, data, { dryRun = false } = {}) {
+  if (getPendingMigrations(data).length === 0) return null
 
-  // Ensure theme exists
-  if (!data.config.theme) {
-    data.config.theme = DEFAULT_THEME
-    migrated = true
-  }
+  const defaults = createDefaultDatabase()
+  if (dryRun) return runMigrations(structuredClone(data), { defaults })
 
-  // Ensure accepted cryptocurrencies exist
-  if (!data.config.acceptedCryptocurrencies) {
-    data.config.acceptedCryptocurrencies = DEFAULT_ACCEPTED_CRYPTOCURRENCIES
-    migrated = true
+  const backup = takeBackup(serverId, data, `pre-v${SCHEMA_VERSION}`)
+  if (!backup) {
+    logger.error(`Not migrating server ${serverId} to schema v${SCHEMA_VERSION}: the backup failed`)
+    return null
   }
 
-  // Ensure users have privacy settings
-  if (data.users) {
-    for (const userId in data.users) {
-      if (!data.users[userId].hasOwnProperty("privacyEnabled")) {
-        data.users[userId].privacyEnabled = false
-        migrated = true
-      }
-    }
-  }
+  const report = runMigrations(data, { defaults })
+  saveDatabase(serverId, data)
+  logger.info(`Migrated server ${serverId} from schema v${report.from} to v${report.to}:\n${describeMigrationReport(report)}`)
 
-  // Ensure required collections exist
-  const requiredCollections = [
-    "donationDraws",
-    "users",
-    "pendingTips",
-    "drawHistory",
-    "entryHistory",
-    "backups",
-    "achievements",
-    "referrals",
-    "challenges",
-    "templates",
-    "scheduledTasks",
-    "donationMultipliers",
-    "luckyNumbers",
-  ]
-
-  for (const collection of requiredCollections) {
-    if (!data[collection]) {
-      data[collection] = {}
-      migrated = true
-    }
-  }
-
-  // Ensure analytics exists
-  if (!data.analytics) {
-    data.analytics = {
-      dailyDonations: {},
-      weeklyDonations: {},
-      monthlyDonations: {},
-      totalDonations: 0,
-      donorCount: 0,
-      averageDonation: 0,
-      lastUpdated: Date.now(),
-    }
-    migrated = true
-  }
-
-  return migrated
+  return { ...report, backupFile: backup.file }
 }
 
-export function createBackup(serverId) {
+// writeBackup (backups.js), or null if it could not be written
+function takeBackup(serverId, data, kind) {
   try {
-    const data = getDatabase(serverId)
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
-    const backupFile = path.join(DATA_DIR, `${serverId}_backup_${timestamp}.json`)
-
-    fs.writeFileSync(backupFile, JSON.stringify(data, null, 2))
-    logger.info(`Created backup for server ${serverId}: ${backupFile}`)
-
-    return backupFile
+    return writeBackup(serverId, data, { kind })
   } catch (error) {
     logger.error(`Error creating backup for server ${serverId}:`, error)
     return null
   }
 }
+
+// Back up a server's current data. Returns the backup ({ id, kind, file, ...
+// }), or null if it could not be written.
+export function createBackup(serverId, kind = "manual") {
+  return takeBackup(serverId, getDatabase(serverId), kind)
+}
+
+// Replace a server's data with a backup (an ID from listBackups), after
+// backing up the current data as "pre-restore". Older backups are brought up
+// to the current schema. Returns { backup, safetyBackup }. Draw jobs are
+// not touched: the bot restores through restoreServerBackup (drawScheduler.js),
+// which reschedules them.
+export function restoreBackup(serverId, backupId) {
+  const backup = findBackup(serverId, backupId)
+  if (!backup) throw new Error(`Backup ${backupId} not found`)
+
+  const data = readBackup(backup)
+  const safetyBackup = createBackup(serverId, "pre-restore")
+  if (!safetyBackup) throw new Error("Could not back up the current data, nothing was restored")
+
+  migrateServerData(serverId, data)
+  saveDatabase(serverId, data)
+  logger.info(`Restored server ${serverId} from backup ${backup.id}`)
+
+  return { backup, safetyBackup }
+}
@@ -0,0 +1,104 @@
+import { logger } from "./logger.js"
+import { revertGoalContributions } from "./communityGoals.js"
+import { getConfirmedEntries, getLedger, ledgerKey, LEDGER_STATUS, reverseLedgerEntry } from "./ledger.js"
+
+// Donations processed from tip.cc are ledger entries keyed by their source
+// message, with an `effects` record of what they changed (entries per draw,
+// goal contributions and the streak before the donation), so an edited or
+// deleted tip.cc message can be reversed precisely.
+
+// Find the confirmed donation recorded for a tip.cc message
+export function findDonationByMessage(db, messageId) {
+  const donation = getLedger(db)[ledgerKey("tipcc", messageId)]
+  if (donation?.status !== LEDGER_STATUS.CONFIRMED) return null
+  return { userId: donation.userId, donation }
+}
+
+// Undo the donation recorded for a tip.cc message. Entries are only taken back
+// from draws that are still open in the round they were added in: finished
+// draws and rounds of a recurring draw keep their results. Returns { userId,
+// donation, entriesRemoved, goals } or null if nothing was recorded.
+export function reverseDonation(db, messageId, reason = null) {
+  const found = findDonationByMessage(db, messageId)
+  if (!found) return null
+
+  const { userId, donation } = found
+  const userData = db.users[userId]
+  const effects = donation.effects || {}
+  const isLatest = !getConfirmedEntries(db, { userId }).some(
+    (other) => other !== donation && other.timestamp > donation.timestamp,
+  )
+
+  reverseLedgerEntry(db, donation.id, reason)
+
+  let entriesRemoved = 0
+  for (const [drawId, added] of Object.entries(effects.entries || {})) {
+    const draw = db.donationDraws?.[drawId]
+    if (!draw?.active) continue
+
+    // Donations recorded before rounds were tracked only have the count
+    const { count, round } = typeof added === "number" ? { count: added } : added
+    if (round !== undefined && round !== (draw.round || 1)) continue
+
+    const removed = Math.min(count, draw.entries?.[userId] || 0)
+    if (removed <= 0) continue
+
+    draw.entries[userId] -= removed
+    if (draw.entries[userId] === 0) delete draw.entries[userId]
+    if (userData?.entries?.[drawId]) {
+      userData.entries[drawId] = Math.max(0, userData.entries[drawId] - removed)
+      if (userData.entries[drawId] === 0) delete userData.entries[drawId]
+    }
+    entriesRemoved += removed
+  }
+
+  // Later donations built on this streak, so it can only be rolled back when
+  // the reversed donation was the latest one
+  if (userData && isLatest && effects.streakBefore) {
+    userData.streaks = { ...effects.streakBefore }
+  }
+
+  const goals = revertGoalContributions(db, userId, effects.goals)
+
+  logger.info(`↩️ Reversed donation of $${donation.amount.toFixed(2)} by ${userId} (message ${messageId}, ${entriesRemoved} entries)`)
+  return { userId, donation, entriesRemoved, goals }
+}
+
+// Bring a member's donor role in line with their total. Unlike the upgrade on
+// donation this may also downgrade, which is needed after a reversal.
+export async function syncDonorRoles(member, db, total) {
+  const donorRoles = Object.values(db.config?.donorRoles || {})
+  if (donorRoles.length === 0) return null
+
+  const deserved = donorRoles
+    .filter((role) => total >= role.minAmount && (!role.maxAmount || total <= role.maxAmount))
+    .sort((a, b) => b.minAmount - a.minAmount)[0]
+
+  try {
+    for (const role of donorRoles) {
+      if (role.id !== deserved?.id && member.roles.cache.has(role.id)) {
+        await member.roles.remove(role.id)
+        logger.info(`🎭 Removed role: ${role.name} from ${member.user.username}`)
+      }
+    }
+    if (deserved && !member.roles.cache.has(deserved.id)) {
+      await member.roles.add(deserved.id)
+      logger.info(`🎭 Assigned role: ${deserved.name} to ${member.user.username} (Total: $${total.toFixed(2)})`)
+    }
+  } catch (error) {
+    logger.error("Error syncing donor roles:", error)
+  }
+
+  return deserved || null
+}
+
+// Resync the roles of a donor after a reversal, if they are still a member
+export async function resyncDonorRoles(guild, db, userId) {
+  try {
+    const member = await guild.members.fetch(userId)
+    return await syncDonorRoles(member, db, db.users[userId]?.totalDonated || 0)
+  } catch (error) {
+    logger.warn(`Could not update donor roles for ${userId}: ${error.message}`)
+    return null
+  }
+}
@@ -0,0 +1,314 @@
+import crypto from "crypto"
+import { EmbedBuilder } from "discord.js"
+import { getDatabase, restoreBackup, saveDatabase, withDatabase } from "./database.js"
+import { logger } from "./logger.js"
+import { scheduler } from "./scheduler.js"
+import {
+  countEntries,
+  createWinnersEmbed,
+  formatPrizeLines,
+  reopenRecurringDraw,
+  selectDrawWinners,
+  splitIntoFields,
+} from "./drawUtils.js"
+
+// Hours before drawTime at which reminders are posted, unless configured
+export const DEFAULT_REMINDER_HOURS = [24, 1]
+
+// Scheduler job name for a draw
+function jobName(serverId, drawId) {
+  return `draw_${serverId}_${drawId}`
+}
+
+// Scheduler job name prefix for a draw's reminders
+function reminderPrefix(serverId, drawId) {
+  return `reminder_${serverId}_${drawId}_`
+}
+
+// Reminder offsets configured for a server, largest first
+export function getReminderHours(db) {
+  const hours = db.config?.drawReminders || DEFAULT_REMINDER_HOURS
+  return [...hours].sort((a, b) => b - a)
+}
+
+// Schedule (or reschedule) automatic execution of a draw at its drawTime.
+// Jobs run under the server's database lock like any other handler.
+export function scheduleDraw(client, serverId, drawId, drawTime) {
+  if (!drawTime) return cancelDraw(serverId, drawId)
+
+  return scheduler.scheduleJob(jobName(serverId, drawId), new Date(drawTime), () =>
+    withDatabase(serverId, () => runAutomatedDraw(client, serverId, drawId, drawTime)),
+  )
+}
+
+// Schedule the reminders of a draw that are still ahead
+export function scheduleReminders(client, serverId, drawId, draw) {
+  cancelReminders(serverId, drawId)
+  if (!draw?.active || !draw.drawTime) return
+
+  const db = getDatabase(serverId)
+  for (const hours of getReminderHours(db)) {
+    const remindAt = draw.drawTime - hours * 60 * 60 * 1000
+    if (remindAt <= Date.now() || draw.remindersSent?.includes(hours)) continue
+
+    scheduler.scheduleJob(`${reminderPrefix(serverId, drawId)}${hours}`, new Date(remindAt), () =>
+      sendDrawReminder(client, serverId, drawId, hours, draw.drawTime),
+    )
+  }
+}
+
+// Cancel every pending reminder of a draw
+export function cancelReminders(serverId, drawId) {
+  const prefix = reminderPrefix(serverId, drawId)
+  for (const name of scheduler.listJobs().filter((job) => job.startsWith(prefix))) {
+    scheduler.cancelJob(name)
+  }
+}
+
+// Cancel a pending automatic draw and its reminders
+export function cancelDraw(serverId, drawId) {
+  cancelReminders(serverId, drawId)
+  return scheduler.cancelJob(jobName(serverId, drawId))
+}
+
+// Keep a draw's jobs in sync after it was created, edited or closed
+export function syncDrawSchedule(client, serverId, drawId, draw) {
+  if (draw?.active && draw.drawTime) {
+    scheduleReminders(client, serverId, drawId, draw)
+    return scheduleDraw(client, serverId, drawId, draw.drawTime)
+  }
+  return cancelDraw(serverId, drawId)
+}
+
+// Rebuild pending jobs from the database, running draws whose time passed
+// while the bot was offline
+export async function restoreDrawSchedules(client, serverIds) {
+  for (const serverId of serverIds) {
+    try {
+      const db = getDatabase(serverId)
+
+      for (const [drawId, draw] of Object.entries(db.donationDraws || {})) {
+        if (!draw.active || !draw.drawTime) continue
+
+        scheduleReminders(client, serverId, drawId, draw)
+        if (!db.config?.featureToggles?.automatedDraws) continue
+
+        if (draw.drawTime <= Date.now()) {
+          logger.info(`Draw ${drawId} in server ${serverId} was due while offline, running now`)
+          await withDatabase(serverId, () => runAutomatedDraw(client, serverId, drawId, draw.drawTime))
+        } else {
+          scheduleDraw(client, serverId, drawId, draw.drawTime)
+        }
+      }
+    } catch (error) {
+      logger.error(`Error restoring draw schedules for server ${serverId}:`, error)
+    }
+  }
+}
+
+// Restore a server's backup (restoreBackup, database.js) and replace the
+// server's draw jobs with ones for the restored draws. Returns what
+// restoreBackup does.
+export async function restoreServerBackup(client, serverId, backupId) {
+  const result = restoreBackup(serverId, backupId)
+
+  for (const name of scheduler.listJobs()) {
+    if (name.startsWith(`draw_${serverId}_`) || name.startsWith(`reminder_${serverId}_`)) scheduler.cancelJob(name)
+  }
+  await restoreDrawSchedules(client, [serverId])
+
+  return result
+}
+
+// Close a draw, pick its winners and announce them in the notification channel
+export async function runAutomatedDraw(client, serverId, drawId, expectedDrawTime) {
+  cancelDraw(serverId, drawId)
+
+  try {
+    const db = getDatabase(serverId)
+    const draw = db.donationDraws?.[drawId]
+
+    if (!db.config?.featureToggles?.automatedDraws) {
+      logger.info(`Automated draws disabled for server ${serverId}, skipping ${drawId}`)
+      return null
+    }
+
+    // The draw was closed or rescheduled since this job was created
+    if (!draw?.active || draw.drawTime !== expectedDrawTime) return null
+
+    const channel = await fetchNotificationChannel(client, db)
+
+    if (countEntries(draw) === 0) {
+      draw.active = false
+      draw.closedAt = Date.now()
+      const reopened = reopenRecurringDraw(db, drawId)
+      saveDatabase(serverId, db)
+      if (reopened) syncDrawSchedule(client, serverId, drawId, draw)
+
+      logger.info(`Automated draw ${drawId} in server ${serverId} closed with no entries`)
+      if (channel) {
+        await channel.send(
+          `⏰ **${draw.name}** has closed with no entries, so no winner was drawn.${nextRoundNotice(draw, reopened)}`,
+        )
+      }
+      return null
+    }
+
+    // The announcement message's snowflake is the public salt: it cannot be
+    // known before the draw runs. Without a channel there is no message, so a
+    // random salt is used instead; it is kept on the draw and in drawHistory
+    // for /draws verify
+    const announcement = channel ? await channel.send(`🎲 Drawing **${draw.name}**...`) : null
+    const publicSalt = announcement?.id || crypto.randomBytes(16).toString("hex")
+
+    const result = selectDrawWinners(db, drawId, { publicSalt, selectedBy: "automated" })
+    const embed = createWinnersEmbed(db, drawId, result)
+    const reopened = reopenRecurringDraw(db, drawId)
+    saveDatabase(serverId, db)
+    if (reopened) syncDrawSchedule(client, serverId, drawId, draw)
+
+    const mentions = result.winners.map((winner) => `<@${winner.winnerId}>`).join(" ")
+    if (announcement) {
+      await announcement.edit({ content: `🎉 ${mentions}${nextRoundNotice(draw, reopened)}`, embeds: [embed] })
+    } else {
+      logger.warn(`No notification channel configured for server ${serverId}, draw ${drawId} not announced`)
+    }
+
+    logger.info(`Automated draw ${drawId} in server ${serverId} completed: ${result.winners.map((w) => w.winnerId).join(", ")}`)
+    return result
+  } catch (error) {
+    logger.error(`Error running automated draw ${drawId} in server ${serverId}:`, error)
+    return null
+  }
+}
+
+// Post a reminder for an upcoming draw and DM users who opted in. The
+// reminder is posted and recorded under the server's database lock; the DMs
+// are sent after it is released, so a long list of them does not hold up
+// donations.
+export async function sendDrawReminder(client, serverId, drawId, hours, expectedDrawTime) {
+  let dms
+  try {
+    dms = await withDatabase(serverId, async (db) => {
+      const draw = db.donationDraws?.[drawId]
+
+      if (!db.config?.featureToggles?.drawNotifications) return null
+      if (!draw?.active || draw.drawTime !== expectedDrawTime) return null
+      if (draw.remindersSent?.includes(hours)) return null
+
+      const totalEntries = countEntries(draw)
+      const channel = await fetchNotificationChannel(client, db)
+
+      if (channel) {
+        await channel.send({ embeds: [createReminderEmbed(db, drawId, draw, totalEntries)] })
+      } else {
+        logger.warn(`No notification channel configured for server ${serverId}, reminder for ${drawId} not posted`)
+      }
+
+      if (!draw.remindersSent) draw.remindersSent = []
+      draw.remindersSent.push(hours)
+      draw.notificationSent = getReminderHours(db).every((offset) => draw.remindersSent.includes(offset))
+      saveDatabase(serverId, db)
+
+      return Object.entries(db.users || {})
+        .filter(([, userData]) => userData.notifications?.drawReminders)
+        .map(([userId]) => ({
+          userId,
+          embed: createReminderDmEmbed(db, drawId, draw, totalEntries, draw.entries?.[userId] || 0),
+        }))
+    })
+  } catch (error) {
+    logger.error(`Error sending reminder for draw ${drawId} in server ${serverId}:`, error)
+    return false
+  }
+  if (!dms) return false
+
+  let dmCount = 0
+  for (const { userId, embed } of dms) {
+    try {
+      const user = await client.users.fetch(userId)
+      await user.send({ embeds: [embed] })
+      dmCount++
+    } catch (error) {
+      logger.warn(`Could not DM draw reminder to user ${userId}: ${error.message}`)
+    }
+  }
+
+  logger.info(`Sent ${hours}h reminder for draw ${drawId} in server ${serverId} (${dmCount} DMs)`)
+  return true
+}
+
+function createReminderEmbed(db, drawId, draw, totalEntries) {
+  const winnerCount = draw.multiWinner ? draw.winnerCount || 1 : 1
+  const prizeFields =
+    winnerCount > 1
+      ? splitIntoFields("🏅 Prizes", formatPrizeLines(draw).slice(0, winnerCount))
+      : [{ name: "🏆 Reward", value: draw.reward, inline: true }]
+  const maxAmount = draw.maxAmount >= 1000000 ? "No limit" : `$${draw.maxAmount}`
+
+  return new EmbedBuilder()
+    .setTitle(`⏰ ${draw.name} draws <t:${Math.floor(draw.drawTime / 1000)}:R>!`)
+    .setDescription(`Last chance to enter before the draw on <t:${Math.floor(draw.drawTime / 1000)}:F>.`)
+    .setColor(db.config?.theme?.accent || "#FF9800")
+    .addFields(
+      ...prizeFields,
+      { name: "🎟️ Entries", value: `${totalEntries}${draw.maxEntries ? `/${draw.maxEntries}` : ""}`, inline: true },
+      { name: "👥 Participants", value: Object.keys(draw.entries || {}).length.toString(), inline: true },
+      {
+        name: "💡 How to Enter",
+        value: draw.manualEntriesOnly
+          ? "Entries for this draw are assigned by admins."
+          : `Donate $${draw.minAmount} - ${maxAmount} with tip.cc to an allowed recipient.\nUse \`/donate draw_id:${drawId}\` for details.`,
+        inline: false,
+      },
+    )
+    .setFooter({ text: "Use /user notifications to get reminders by DM • Powered By Aegisum Eco System" })
+    .setTimestamp()
+}
+
+function createReminderDmEmbed(db, drawId, draw, totalEntries, userEntries) {
+  const share = totalEntries > 0 ? ((userEntries / totalEntries) * 100).toFixed(2) : "0.00"
+  const winnerCount = draw.multiWinner ? draw.winnerCount || 1 : 1
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⏰ Reminder: ${draw.name}`)
+    .setDescription(`This draw takes place <t:${Math.floor(draw.drawTime / 1000)}:R>.`)
+    .setColor(db.config?.theme?.accent || "#FF9800")
+    .addFields(
+      { name: "🎟️ Your Entries", value: `${userEntries} of ${totalEntries}`, inline: true },
+      {
+        name: "🎯 Your Odds",
+        value: winnerCount > 1 ? `${share}% of tickets (${winnerCount} winners)` : `${share}%`,
+        inline: true,
+      },
+      { name: "🏆 Reward", value: draw.reward, inline: true },
+    )
+
+  if (userEntries === 0 && !draw.manualEntriesOnly) {
+    embed.addFields({
+      name: "💡 How to Enter",
+      value: `You have no entries yet. Use \`/donate draw_id:${drawId}\` to see how to join.`,
+      inline: false,
+    })
+  }
+
+  return embed
+    .setFooter({ text: "Turn these off with /user notifications enabled:false" })
+    .setTimestamp()
+}
+
+function nextRoundNotice(draw, reopened) {
+  if (!reopened) return ""
+  return `\n🔁 Round ${draw.round} is now open and will be drawn <t:${Math.floor(draw.drawTime / 1000)}:R>.`
+}
+
+async function fetchNotificationChannel(client, db) {
+  if (!db.config?.notificationChannelId) return null
+
+  try {
+    return await client.channels.fetch(db.config.notificationChannelId)
+  } catch (error) {
+    logger.error(`Could not fetch notification channel ${db.config.notificationChannelId}:`, error)
+    return null
+  }
+}
@@ -0,0 +1,80 @@
+import { buildDraw, generateDrawId, getNextDrawTime } from "./drawUtils.js"
+
+// Settings copied from a draw into a template
+const TEMPLATE_FIELDS = [
+  "name",
+  "reward",
+  "minAmount",
+  "maxAmount",
+  "maxEntries",
+  "category",
+  "causeId",
+  "vipOnly",
+  "manualEntriesOnly",
+  "winnerCount",
+  "prizes",
+  "recurrence",
+]
+
+// Template key for a template name ("Monthly Trio" -> "monthly_trio")
+export function templateKey(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+}
+
+// Snapshot the reusable settings of a draw. Recurring draws keep their last
+// draw time so new draws land on the same time of day; one-off draws keep the
+// delay between creation and draw time.
+export function snapshotDraw(draw) {
+  const settings = {}
+  for (const field of TEMPLATE_FIELDS) {
+    if (draw[field] !== undefined && draw[field] !== null) settings[field] = structuredClone(draw[field])
+  }
+
+  if (draw.drawTime && draw.recurrence) {
+    settings.referenceDrawTime = draw.drawTime
+  } else if (draw.drawTime && draw.createdAt && draw.drawTime > draw.createdAt) {
+    settings.drawTimeOffset = draw.drawTime - draw.createdAt
+  }
+
+  return settings
+}
+
+// Draw time for a draw spawned from template settings
+function resolveDrawTime(settings, drawTime) {
+  if (drawTime) return drawTime
+  if (settings.recurrence) return getNextDrawTime(settings.recurrence, settings.referenceDrawTime || null)
+  if (settings.drawTimeOffset) return Date.now() + settings.drawTimeOffset
+  return null
+}
+
+// Create one open draw per template entry. The caller saves the database and
+// schedules the new draws. Returns [[drawId, draw], ...].
+export function instantiateTemplate(db, template, { drawTime = null, nameSuffix = null, createdBy } = {}) {
+  if (!db.donationDraws) db.donationDraws = {}
+
+  const created = template.draws.map((settings) => {
+    const drawId = generateDrawId(db)
+    const draw = buildDraw(
+      drawId,
+      {
+        ...settings,
+        name: nameSuffix ? `${settings.name} ${nameSuffix}` : settings.name,
+        drawTime: resolveDrawTime(settings, drawTime),
+      },
+      createdBy,
+    )
+    draw.templateId = templateKey(template.name)
+
+    db.donationDraws[drawId] = draw
+    return [drawId, draw]
+  })
+
+  template.timesUsed = (template.timesUsed || 0) + 1
+  template.lastUsedAt = Date.now()
+
+  return created
+}
@@ -0,0 +1,361 @@
+import { EmbedBuilder } from "discord.js"
+import cronParser from "cron-parser"
+import { ensureCommitment, hashEntries, pickWinners } from "./provablyFair.js"
+
+const MAX_HISTORY = 50
+
+export const RECURRENCE_PRESETS = ["daily", "weekly", "monthly"]
+
+// Parse an admin-supplied draw time ("2025-06-01 20:00", ISO 8601 or a unix
+// timestamp). Times without an explicit zone are treated as UTC.
+export function parseDrawTime(input) {
+  if (!input) return null
+  const value = input.trim()
+
+  if (/^\d{10}$/.test(value)) return Number(value) * 1000
+  if (/^\d{13}$/.test(value)) return Number(value)
+
+  let normalized = value.replace(" ", "T")
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(normalized)) normalized += "Z"
+
+  const time = new Date(normalized).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+// Human-readable draw time, matching the stored drawTimeFormatted field
+export function formatDrawTime(time) {
+  return new Date(time).toLocaleString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "UTC",
+    timeZoneName: "short",
+  })
+}
+
+// Unique ID for a new draw, safe when several are created in the same tick
+export function generateDrawId(db) {
+  let drawId = `draw_${Date.now()}`
+  for (let suffix = 2; db.donationDraws?.[drawId]; suffix++) {
+    drawId = `draw_${Date.now()}_${suffix}`
+  }
+  return drawId
+}
+
+// Build a new, open draw from its settings and publish a fairness commitment
+export function buildDraw(drawId, settings, createdBy) {
+  const prizes = settings.prizes || []
+  const winnerCount = settings.winnerCount || Math.max(1, prizes.length)
+
+  const draw = {
+    id: drawId,
+    name: settings.name,
+    reward: settings.reward,
+    minAmount: settings.minAmount,
+    maxAmount: settings.maxAmount,
+    maxEntries: settings.maxEntries,
+    vipOnly: settings.vipOnly || false,
+    manualEntriesOnly: settings.manualEntriesOnly || false,
+    multiWinner: winnerCount > 1,
+    winnerCount,
+    prizes,
+    drawTime: settings.drawTime || null,
+    drawTimeFormatted: settings.drawTime ? formatDrawTime(settings.drawTime) : null,
+    notificationSent: false,
+    recurrence: settings.recurrence || null,
+    round: 1,
+    active: true,
+    entries: {},
+    createdBy,
+    createdAt: Date.now(),
+  }
+  if (settings.category) draw.category = settings.category
+  if (settings.causeId) draw.causeId = settings.causeId
+  ensureCommitment(draw)
+
+  return draw
+}
+
+// Total number of entries in a draw
+export function countEntries(draw) {
+  return Object.values(draw?.entries || {}).reduce((sum, count) => sum + count, 0)
+}
+
+// Format a 1-based position as 1st, 2nd, 3rd, ...
+export function ordinal(position) {
+  const tens = position % 100
+  if (tens >= 11 && tens <= 13) return `${position}th`
+  switch (position % 10) {
+    case 1:
+      return `${position}st`
+    case 2:
+      return `${position}nd`
+    case 3:
+      return `${position}rd`
+    default:
+      return `${position}th`
+  }
+}
+
+// Parse a comma-separated prize list ("100 USDT, 50 USDT, 25 USDT")
+export function parsePrizes(input) {
+  if (!input) return []
+  return input
+    .split(",")
+    .map((prize) => prize.trim())
+    .filter(Boolean)
+}
+
+// Reward string for a winner position, falling back to the draw's reward
+export function getPrizeForPosition(draw, position) {
+  return draw.prizes?.[position - 1] || draw.reward
+}
+
+// Number of winners a draw should produce
+export function getWinnerCount(draw, db) {
+  if (db.config?.featureToggles?.multiWinnerDraws === false) return 1
+  if (!draw.multiWinner) return 1
+  return Math.max(1, draw.winnerCount || 1)
+}
+
+// Select every winner of a draw, update users and history, and reveal the
+// fairness commitment. The caller is responsible for saving the database.
+export function selectDrawWinners(db, drawId, { publicSalt, selectedBy = null } = {}) {
+  const draw = db.donationDraws[drawId]
+  const entries = { ...(draw.entries || {}) }
+  const totalEntries = countEntries(draw)
+
+  ensureCommitment(draw)
+  const fairness = draw.fairness
+  const picks = pickWinners(entries, fairness.serverSeed, publicSalt, getWinnerCount(draw, db))
+  const drawTime = Date.now()
+
+  if (!db.users) db.users = {}
+  if (!db.drawHistory) db.drawHistory = []
+
+  const winners = picks.map((pick) => {
+    const { winnerId, position } = pick
+
+    if (!db.users[winnerId]) {
+      db.users[winnerId] = {
+        totalDonated: 0,
+        entries: {},
+        donations: [],
+        achievements: [],
+        privacyEnabled: false,
+        wins: 0,
+      }
+    }
+    const winnerUser = db.users[winnerId]
+    winnerUser.wins = (winnerUser.wins || 0) + 1
+
+    const realUsername = winnerUser.username || "Unknown"
+    const displayName =
+      db.config?.featureToggles?.anonymousMode && winnerUser.privacyEnabled ? "🕶️ Anonymous" : realUsername
+    const reward = getPrizeForPosition(draw, position)
+
+    db.drawHistory.push({
+      drawId,
+      drawName: draw.name,
+      round: draw.round || 1,
+      drawTime,
+      winnerId,
+      winnerUsername: displayName,
+      winnerRealUsername: realUsername,
+      reward,
+      totalEntries,
+      winnerEntries: entries[winnerId],
+      winnerPosition: position,
+      totalWinners: picks.length,
+      fairness: {
+        serverSeed: fairness.serverSeed,
+        serverSeedHash: fairness.serverSeedHash,
+        committedAt: fairness.committedAt,
+        publicSalt,
+        nonce: pick.nonce,
+        entriesHash: hashEntries(entries),
+        entries,
+      },
+    })
+
+    return { ...pick, reward, winnerEntries: entries[winnerId] }
+  })
+
+  if (db.drawHistory.length > MAX_HISTORY) {
+    db.drawHistory = db.drawHistory.slice(-MAX_HISTORY)
+  }
+
+  draw.active = false
+  draw.winner = winners[0]?.winnerId || null
+  draw.winners = winners.map((winner) => winner.winnerId)
+  draw.winnerSelectedAt = drawTime
+  draw.publicSalt = publicSalt
+  if (selectedBy) draw.selectedBy = selectedBy
+  delete draw.fairness
+
+  return { draw, winners, totalEntries, serverSeedHash: fairness.serverSeedHash, publicSalt }
+}
+
+// One "**1st:** prize" line per place of a draw
+export function formatPrizeLines(draw) {
+  const places = Math.max(draw.winnerCount || 1, draw.prizes?.length || 0)
+  return Array.from({ length: places }, (_, i) => `**${ordinal(i + 1)}:** ${draw.prizes?.[i] || draw.reward}`)
+}
+
+// What one list may take of an embed (at most 25 fields and 6000 characters
+// in all), so it fits next to the embed's other fields and a second list
+const LIST_MAX_FIELDS = 4
+const LIST_MAX_LENGTH = 2000
+// Room kept in each field for the "…and N more" line
+const FIELD_ROOM = 1000
+const MORE_ROOM = 24
+
+// Embed fields listing `lines`, split so no field goes over Discord's
+// 1024-character limit and named "<name> (cont.)" after the first. Lines past
+// maxFields fields or maxLength characters are left out with "…and N more".
+export function splitIntoFields(name, lines, { maxFields = LIST_MAX_FIELDS, maxLength = LIST_MAX_LENGTH } = {}) {
+  const fields = []
+  const addField = (value) => fields.push({ name: fields.length === 0 ? name : `${name} (cont.)`, value, inline: false })
+
+  let value = ""
+  let length = 0
+  for (const [index, text] of lines.entries()) {
+    const line = text.slice(0, FIELD_ROOM)
+    const newField = value && value.length + line.length + 1 > FIELD_ROOM
+    if (length + line.length + 1 > maxLength - MORE_ROOM || (newField && fields.length + 1 >= maxFields)) {
+      const more = `…and ${lines.length - index} more`
+      value = value ? `${value}\n${more}` : more
+      break
+    }
+
+    if (newField) {
+      addField(value)
+      value = ""
+    }
+    value = value ? `${value}\n${line}` : line
+    length += line.length + 1
+  }
+  addField(value || "None")
+  return fields
+}
+
+// Build the announcement embed for a completed draw
+export function createWinnersEmbed(db, drawId, result) {
+  const { draw, winners, totalEntries, serverSeedHash, publicSalt } = result
+  const medals = ["🥇", "🥈", "🥉"]
+
+  const winnerLines = winners.map((winner) => {
+    const medal = medals[winner.position - 1] || "🏅"
+    const chance = ((winner.winnerEntries / totalEntries) * 100).toFixed(2)
+    return `${medal} **${ordinal(winner.position)}:** <@${winner.winnerId}> - ${winner.reward} (${winner.winnerEntries} entries, ${chance}%)`
+  })
+
+  return new EmbedBuilder()
+    .setTitle(winners.length > 1 ? "🎉 Winners Selected!" : "🎉 Winner Selected!")
+    .setDescription(`**${draw.name}** has ${winners.length > 1 ? `${winners.length} winners` : "a winner"}!`)
+    .setColor(db.config?.theme?.success || "#4CAF50")
+    .addFields(
+      ...splitIntoFields(winners.length > 1 ? "🏆 Winners" : "🏆 Winner", winnerLines),
+      { name: "🎟️ Total Entries", value: totalEntries.toString(), inline: true },
+      { name: "🔐 Server Seed Hash", value: `\`${serverSeedHash}\``, inline: false },
+      { name: "🧂 Public Salt", value: `\`${publicSalt}\``, inline: false },
+      { name: "✅ Verify", value: `Use \`/draws verify draw_id:${drawId}\` to re-check this result`, inline: false },
+    )
+    .setFooter({ text: "Powered By Aegisum Eco System" })
+    .setTimestamp()
+}
+
+// Validate a recurrence rule: a preset or a 5/6-field cron expression
+export function parseRecurrence(input) {
+  if (!input) return null
+  const rule = input.trim().toLowerCase()
+  if (RECURRENCE_PRESETS.includes(rule)) return { rule }
+
+  try {
+    cronParser.parseExpression(input.trim(), { tz: "UTC" })
+    return { rule: "cron", cron: input.trim() }
+  } catch (error) {
+    return null
+  }
+}
+
+// Human-readable recurrence rule
+export function describeRecurrence(recurrence) {
+  if (!recurrence) return "One-off"
+  if (recurrence.rule === "cron") return `Cron \`${recurrence.cron}\` (UTC)`
+  return recurrence.rule.charAt(0).toUpperCase() + recurrence.rule.slice(1)
+}
+
+// Next draw time for a recurrence rule, strictly after `after`. Presets step
+// from the previous draw time so the draw keeps its time of day.
+export function getNextDrawTime(recurrence, previousDrawTime, after = Date.now()) {
+  if (!recurrence) return null
+
+  if (recurrence.rule === "cron") {
+    const interval = cronParser.parseExpression(recurrence.cron, { currentDate: new Date(after), tz: "UTC" })
+    return interval.next().getTime()
+  }
+
+  const next = new Date(previousDrawTime || after)
+  const dayOfMonth = next.getUTCDate()
+  do {
+    switch (recurrence.rule) {
+      case "daily":
+        next.setUTCDate(next.getUTCDate() + 1)
+        break
+      case "weekly":
+        next.setUTCDate(next.getUTCDate() + 7)
+        break
+      case "monthly": {
+        // Clamp to the last day for short months (31st -> 30th/28th)
+        next.setUTCDate(1)
+        next.setUTCMonth(next.getUTCMonth() + 1)
+        const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate()
+        next.setUTCDate(Math.min(dayOfMonth, daysInMonth))
+        break
+      }
+      default:
+        return null
+    }
+  } while (next.getTime() <= after)
+
+  return next.getTime()
+}
+
+// Reopen a finished recurring draw for its next round: entries are reset,
+// a fresh fairness commitment is published and the round number increments.
+// Returns false if the draw does not recur. The caller saves and reschedules.
+export function reopenRecurringDraw(db, drawId) {
+  const draw = db.donationDraws?.[drawId]
+  if (!draw?.recurrence) return false
+
+  draw.lastRound = {
+    round: draw.round || 1,
+    winners: draw.winners || (draw.winner ? [draw.winner] : []),
+    closedAt: draw.winnerSelectedAt || Date.now(),
+    publicSalt: draw.publicSalt,
+  }
+
+  for (const userData of Object.values(db.users || {})) {
+    if (userData.entries?.[drawId] !== undefined) delete userData.entries[drawId]
+  }
+
+  draw.entries = {}
+  draw.round = (draw.round || 1) + 1
+  draw.active = true
+  draw.notificationSent = false
+  draw.remindersSent = []
+  draw.drawTime = getNextDrawTime(draw.recurrence, draw.drawTime)
+  draw.drawTimeFormatted = draw.drawTime ? formatDrawTime(draw.drawTime) : null
+  delete draw.winner
+  delete draw.winners
+  delete draw.winnerSelectedAt
+  delete draw.publicSalt
+  delete draw.selectedBy
+  ensureCommitment(draw)
+
+  return true
+}
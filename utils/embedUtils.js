@@ -1,5 +1,5 @@
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
-import { getDatabase } from '../database.js';
+import { getDatabase } from './database.js';
 import { FEATURES, FEATURE_CATEGORIES } from './featureUtils.js';
 
 // Default theme colors
@@ -307,13 +307,13 @@ export function createUserProfileEmbed(serverId, userId, targetUser = null) {
       },
       {
         name: '🔥 Donation Streak',
-        value: `Current: ${userData.currentStreak || 0} days\nLongest: ${userData.longestStreak || 0} days`,
+        value: `Current: ${userData.streaks?.current || 0} days\nLongest: ${userData.streaks?.longest || 0} days`,
         inline: true
       },
       {
         name: '📅 Last Donation',
-        value: userData.lastDonationDate 
-          ? `<t:${Math.floor(new Date(userData.lastDonationDate).getTime() / 1000)}:R>`
+        value: userData.streaks?.lastDonation
+          ? `<t:${Math.floor(userData.streaks.lastDonation / 1000)}:R>`
           : 'Never',
         inline: true
       },
@@ -1,4 +1,4 @@
-import { getDatabase } from '../database.js';
+import { getDatabase } from './database.js';
 
 // Check if a feature is enabled for a server
 export function isFeatureEnabled(serverId, featureName) {
@@ -0,0 +1,309 @@
+import { saveDatabase } from "./database.js"
+import { getConfirmedEntries, syncUserFromLedger } from "./ledger.js"
+import { logger } from "./logger.js"
+import { createDefaultUser, getPendingMigrations, SCHEMA_VERSION } from "./migrations.js"
+import { normalizeRecipient, normalizeRecipients, recipientKey } from "./recipients.js"
+import { writeBackup } from "./backups.js"
+
+// Consistency checks for a server's data, run by /admin integrity and
+// `npm run integrity`. A check is { name, description, reportOnly,
+// repairOption, run(db, { repair }) } and returns a list of human-readable
+// findings; with repair it also fixes them in place, unless it is reportOnly:
+// those findings need a person to look at them and are never changed. A check
+// with a repairOption is reportOnly unless that option is passed, e.g.
+// pruneOrphans to delete orphaned users. Checks run in order, so a
+// later check sees the earlier repairs (e.g. users recreated from the ledger
+// are not reported as orphans); invalid IDs are only reported by the user_ids
+// check.
+//
+// Where two copies of the same fact disagree, the one the bot acts on wins:
+// the ledger for donation totals and the draw's own entries for draw entries.
+
+// Discord IDs (users, roles, servers) are 15-21 digit snowflakes
+const SNOWFLAKE_PATTERN = /^\d{15,21}$/
+
+export function isValidId(id) {
+  return typeof id === "string" && SNOWFLAKE_PATTERN.test(id)
+}
+
+function describeValue(value) {
+  return JSON.stringify(value).slice(0, 80)
+}
+
+// Whether a stored recipient is already in the normalized model
+function isSameRecipient(recipient, raw) {
+  if (!raw || typeof raw !== "object") return false
+  const keys = Object.keys(raw)
+  return keys.length === Object.keys(recipient).length && keys.every((key) => raw[key] === recipient[key])
+}
+
+function sumAmounts(items) {
+  return items.reduce((sum, item) => sum + (Number(item?.amount) || 0), 0)
+}
+
+function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`
+}
+
+function ensureUser(db, userId) {
+  if (!db.users[userId]) db.users[userId] = createDefaultUser()
+  return db.users[userId]
+}
+
+export const INTEGRITY_CHECKS = [
+  {
+    name: "recipients",
+    description: "Allowed recipients",
+    run(db, { repair }) {
+      const findings = []
+      const seen = new Set()
+
+      for (const raw of db.config?.allowedRecipients || []) {
+        const recipient = normalizeRecipient(raw)
+        if (!recipient) {
+          findings.push(`${describeValue(raw)} does not identify anyone`)
+        } else if (recipient.id && !isValidId(recipient.id)) {
+          findings.push(`${describeValue(raw)} has an invalid ID`)
+        } else if (seen.has(recipientKey(recipient))) {
+          findings.push(`${describeValue(raw)} is a duplicate`)
+        } else if (!isSameRecipient(recipient, raw)) {
+          findings.push(`${describeValue(raw)} is stored in an old format`)
+        }
+        if (recipient) seen.add(recipientKey(recipient))
+      }
+
+      if (repair && findings.length > 0) {
+        db.config.allowedRecipients = normalizeRecipients(db.config.allowedRecipients).filter(
+          (recipient) => !recipient.id || isValidId(recipient.id),
+        )
+      }
+      return findings
+    },
+  },
+  {
+    name: "user_ids",
+    description: "User IDs",
+    run(db, { repair }) {
+      const findings = []
+
+      for (const userId of Object.keys(db.users || {})) {
+        if (isValidId(userId)) continue
+        findings.push(`user \`${userId}\` is not a valid user ID`)
+        if (repair) delete db.users[userId]
+      }
+
+      for (const [drawId, draw] of Object.entries(db.donationDraws || {})) {
+        for (const userId of Object.keys(draw.entries || {})) {
+          if (isValidId(userId)) continue
+          findings.push(`draw ${drawId} has entries for \`${userId}\`, not a valid user ID`)
+          if (repair) delete draw.entries[userId]
+        }
+      }
+
+      // Donations are never dropped automatically
+      const ledgerIds = new Set(getConfirmedEntries(db).map((entry) => entry.userId))
+      for (const userId of ledgerIds) {
+        if (!isValidId(userId)) findings.push(`ledger has donations for \`${userId}\`, not a valid user ID (left as is)`)
+      }
+
+      return findings
+    },
+  },
+  {
+    name: "ledger_users",
+    description: "Donors missing from users",
+    run(db, { repair }) {
+      const findings = []
+      const userIds = new Set(getConfirmedEntries(db).map((entry) => entry.userId))
+
+      for (const userId of userIds) {
+        if (!isValidId(userId) || db.users?.[userId]) continue
+        findings.push(`<@${userId}> has confirmed donations but no user record`)
+        if (repair) {
+          ensureUser(db, userId)
+          syncUserFromLedger(db, userId)
+        }
+      }
+      return findings
+    },
+  },
+  {
+    name: "totals",
+    description: "Donation totals",
+    run(db, { repair }) {
+      const findings = []
+
+      // totalDonated must match the ledger, and the user's donation history
+      // plus the opening balance (the part of the total from before the
+      // ledger, which has no donation record) must too
+      for (const [userId, userData] of Object.entries(db.users || {})) {
+        if (!isValidId(userId)) continue
+
+        const entries = getConfirmedEntries(db, { userId })
+        const ledgerTotal = sumAmounts(entries)
+        const opening = sumAmounts(entries.filter((entry) => entry.kind === "opening_balance"))
+        const history = sumAmounts(Array.isArray(userData.donations) ? userData.donations : [])
+        const total = userData.totalDonated
+        if (
+          typeof total === "number" &&
+          Math.abs(total - ledgerTotal) < 0.005 &&
+          Math.abs(history + opening - ledgerTotal) < 0.005
+        ) {
+          continue
+        }
+
+        findings.push(
+          `<@${userId}> totalDonated is ${typeof total === "number" ? formatUsd(total) : "missing"}, donation history adds up to ${formatUsd(history)}${opening > 0 ? ` plus a ${formatUsd(opening)} opening balance` : ""} and the ledger to ${formatUsd(ledgerTotal)}`,
+        )
+        if (repair) syncUserFromLedger(db, userId)
+      }
+      return findings
+    },
+  },
+  {
+    name: "opening_balances",
+    description: "Totals without donation records",
+    reportOnly: true,
+    run(db) {
+      // Totals from before the ledger that the donations recorded back then
+      // do not add up to. Only the donor's or an admin's records can say what
+      // they were.
+      return getConfirmedEntries(db)
+        .filter((entry) => entry.kind === "opening_balance" && isValidId(entry.userId) && entry.amount >= 0.005)
+        .map((entry) => `<@${entry.userId}> has ${formatUsd(entry.amount)} of donations with no donation record (opening balance)`)
+    },
+  },
+  {
+    name: "draw_entries",
+    description: "Draw entries",
+    run(db, { repair }) {
+      const findings = []
+      const draws = db.donationDraws || {}
+
+      for (const [drawId, draw] of Object.entries(draws)) {
+        for (const [userId, count] of Object.entries(draw.entries || {})) {
+          if (!isValidId(userId)) continue
+          if (!Number.isInteger(count) || count <= 0) {
+            findings.push(`draw ${drawId}: <@${userId}> has an invalid entry count ${describeValue(count)}`)
+            if (repair) {
+              delete draw.entries[userId]
+              if (db.users?.[userId]?.entries) delete db.users[userId].entries[drawId]
+            }
+          } else if (!db.users?.[userId]) {
+            findings.push(`draw ${drawId}: <@${userId}> has ${count} entries but no user record`)
+            if (repair) ensureUser(db, userId).entries[drawId] = count
+          } else if (db.users[userId].entries?.[drawId] !== count) {
+            findings.push(
+              `draw ${drawId}: <@${userId}> has ${count} entries, their user record says ${db.users[userId].entries?.[drawId] ?? 0}`,
+            )
+            if (repair) {
+              if (!db.users[userId].entries) db.users[userId].entries = {}
+              db.users[userId].entries[drawId] = count
+            }
+          }
+        }
+      }
+
+      // Entries a user record claims but the draw does not have
+      for (const [userId, userData] of Object.entries(db.users || {})) {
+        if (!isValidId(userId)) continue
+        for (const [drawId, count] of Object.entries(userData.entries || {})) {
+          if (!draws[drawId]) {
+            findings.push(`<@${userId}> has ${describeValue(count)} entries in draw ${drawId}, which does not exist`)
+          } else if (draws[drawId].entries?.[userId] === undefined && count !== 0) {
+            findings.push(`<@${userId}> has ${describeValue(count)} entries in draw ${drawId}, the draw has none`)
+          } else {
+            continue
+          }
+          if (repair) delete userData.entries[drawId]
+        }
+      }
+
+      return findings
+    },
+  },
+  {
+    name: "orphaned_users",
+    description: "Orphaned users",
+    repairOption: "pruneOrphans",
+    run(db, { repair }) {
+      const findings = []
+      const defaults = createDefaultUser()
+      const referenced = new Set(getConfirmedEntries(db).map((entry) => entry.userId))
+      for (const draw of Object.values(db.donationDraws || {})) {
+        for (const userId of Object.keys(draw.entries || {})) referenced.add(userId)
+      }
+      for (const userData of Object.values(db.users || {})) {
+        if (userData.referrals?.referredBy) referenced.add(userData.referrals.referredBy)
+        for (const userId of userData.referrals?.referred || []) referenced.add(userId)
+      }
+
+      // A user with nothing but a name and the default fields, that nothing
+      // refers to. They may be members who signed up or were added by an
+      // admin and simply have not donated yet, so they are only deleted when
+      // asked to (pruneOrphans).
+      for (const [userId, userData] of Object.entries(db.users || {})) {
+        if (!isValidId(userId) || referenced.has(userId)) continue
+        const empty = Object.entries(userData).every(
+          ([key, value]) => key === "username" || JSON.stringify(value) === JSON.stringify(defaults[key] ?? 0),
+        )
+        if (!empty) continue
+
+        findings.push(`<@${userId}>${userData.username ? ` (${userData.username})` : ""} has no donations, entries or settings`)
+        if (repair) delete db.users[userId]
+      }
+      return findings
+    },
+  },
+]
+
+// Run every check. Returns { checks: [{ name, description, reportOnly,
+// findings }], total, repairable }, where repairable counts the findings of
+// checks that are not reportOnly; with repair those have been fixed in db.
+// `options` turns on the repairs of checks with a repairOption. The
+// data must be migrated first (as getDatabase returns it): totals are checked
+// against the donation ledger, which older data does not have yet.
+export function checkIntegrity(db, { repair = false, ...options } = {}) {
+  if (getPendingMigrations(db).length > 0) {
+    throw new Error(`Data is at schema v${db.schemaVersion || 0}, migrate it to v${SCHEMA_VERSION} first`)
+  }
+  if (!db.users) db.users = {}
+
+  const checks = INTEGRITY_CHECKS.map((check) => {
+    const reportOnly = !!check.reportOnly || (!!check.repairOption && !options[check.repairOption])
+    return {
+      name: check.name,
+      description: check.description,
+      reportOnly,
+      findings: check.run(db, { repair: repair && !reportOnly }),
+    }
+  })
+  const count = (list) => list.reduce((sum, check) => sum + check.findings.length, 0)
+  return { checks, total: count(checks), repairable: count(checks.filter((check) => !check.reportOnly)) }
+}
+
+// Check a server's data and fix what can be, after backing it up as it was.
+// `options` are checkIntegrity's, e.g. { pruneOrphans: true }. Returns the
+// report and the backup ({ id, file, ... }), which is null when there was
+// nothing to fix.
+export function repairIntegrity(serverId, db, options = {}) {
+  const report = checkIntegrity(structuredClone(db), options)
+  if (report.repairable === 0) return { ...report, backup: null }
+
+  const backup = writeBackup(serverId, db, { kind: "pre-repair" })
+  checkIntegrity(db, { ...options, repair: true })
+  saveDatabase(serverId, db)
+  logger.info(`Repaired ${report.repairable} integrity issue(s) in server ${serverId}:\n${describeIntegrityReport(report)}`)
+
+  return { ...report, backup }
+}
+
+export function describeIntegrityReport(report) {
+  return report.checks
+    .filter((check) => check.findings.length > 0)
+    .map(
+      (check) =>
+        `${check.description}${check.reportOnly ? " (not repaired)" : ""}:\n${check.findings.map((finding) => `  - ${finding}`).join("\n")}`,
+    )
+    .join("\n")
+}
@@ -0,0 +1,197 @@
+// Server-wide donation ledger, stored in db.donationLedger keyed by the source
+// of each donation ("tipcc:<messageId>"). A key can only be counted once, so a
+// re-delivered or duplicated tip.cc message is recognised and skipped.
+//
+// Entries move through pending -> confirmed -> reversed. A donation an
+// anti-fraud rule holds for review goes from pending to held instead, keeping
+// its claim and the flags: approving it claims the key again, rejecting it
+// reverses it. Only confirmed entries count: users' totalDonated and donations list are rebuilt from the ledger
+// whenever an entry changes (syncUserFromLedger), and leaderboards read it
+// directly. A reversed key can be claimed again, e.g. when an edited tip.cc
+// message is re-parsed; the earlier version is kept in the entry's history.
+//
+// Draw entries are not derived from the ledger. Entries also come from admins
+// (/admin assign_entries), challenges and community goals, none of which are
+// donations, so draw.entries and users[id].entries stay counters. What a
+// donation added is recorded on its ledger entry (effects.entries) so a
+// reversal takes back exactly those entries.
+
+export const LEDGER_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  REVERSED: "reversed",
+  HELD: "held",
+}
+
+// Ledger collection, created on first use
+export function getLedger(db) {
+  if (!db.donationLedger) db.donationLedger = {}
+  return db.donationLedger
+}
+
+export function ledgerKey(source, sourceId) {
+  return `${source}:${sourceId}`
+}
+
+// Claim a key before processing a donation. Returns { entry, duplicate }; a
+// duplicate means the key is already pending, confirmed or held and must be
+// skipped. reclaimHeld lets an admin's approval claim a held key.
+export function claimLedgerEntry(db, key, data = {}, { reclaimHeld = false } = {}) {
+  const ledger = getLedger(db)
+  const existing = ledger[key]
+  const reclaimable = existing?.status === LEDGER_STATUS.REVERSED || (reclaimHeld && existing?.status === LEDGER_STATUS.HELD)
+  if (existing && !reclaimable) return { entry: existing, duplicate: true }
+
+  let history = []
+  if (existing) {
+    const { history: previousHistory = [], ...previous } = existing
+    history = [...previousHistory, previous]
+  }
+  ledger[key] = {
+    id: key,
+    ...data,
+    status: LEDGER_STATUS.PENDING,
+    createdAt: Date.now(),
+    ...(history.length > 0 && { history }),
+  }
+  return { entry: ledger[key], duplicate: false }
+}
+
+// Drop a pending claim that did not turn into a donation. A reclaimed key goes
+// back to its previous (reversed or held) version.
+export function releaseLedgerEntry(db, key) {
+  const ledger = getLedger(db)
+  const entry = ledger[key]
+  if (entry?.status !== LEDGER_STATUS.PENDING) return
+
+  const previous = entry.history?.at(-1)
+  if (previous) {
+    ledger[key] = { ...previous, ...(entry.history.length > 1 && { history: entry.history.slice(0, -1) }) }
+  } else {
+    delete ledger[key]
+  }
+}
+
+// Confirm a pending entry with the donation details and count it
+export function confirmLedgerEntry(db, key, details) {
+  const entry = getLedger(db)[key]
+  Object.assign(entry, details, { status: LEDGER_STATUS.CONFIRMED, confirmedAt: Date.now() })
+  syncUserFromLedger(db, entry.userId)
+  return entry
+}
+
+// Keep a pending claim as held for review, with the details of why (e.g.
+// fraudFlags). Returns the entry, or null if it was not pending.
+export function holdLedgerEntry(db, key, details) {
+  const entry = getLedger(db)[key]
+  if (entry?.status !== LEDGER_STATUS.PENDING) return null
+
+  Object.assign(entry, details, { status: LEDGER_STATUS.HELD, heldAt: Date.now() })
+  return entry
+}
+
+// Stop counting a confirmed entry, or drop a held one. Returns the entry, or
+// null if it was neither.
+export function reverseLedgerEntry(db, key, reason = null) {
+  const entry = getLedger(db)[key]
+  if (entry?.status !== LEDGER_STATUS.CONFIRMED && entry?.status !== LEDGER_STATUS.HELD) return null
+
+  Object.assign(entry, { status: LEDGER_STATUS.REVERSED, reversedAt: Date.now(), reversedReason: reason })
+  syncUserFromLedger(db, entry.userId)
+  return entry
+}
+
+// Confirmed entries, optionally for one user, between two timestamps
+// (inclusive) and for one cause (null for general donations)
+export function getConfirmedEntries(db, { userId = null, since = null, until = null, causeId } = {}) {
+  return Object.values(getLedger(db)).filter(
+    (entry) =>
+      entry.status === LEDGER_STATUS.CONFIRMED &&
+      (!userId || entry.userId === userId) &&
+      (since === null || entry.timestamp >= since) &&
+      (until === null || entry.timestamp <= until) &&
+      (causeId === undefined || (entry.causeId || null) === causeId),
+  )
+}
+
+// Donation totals per user, highest first: [{ userId, amount, donations }]
+export function getDonationTotals(db, { since = null, until = null, causeId } = {}) {
+  const totals = {}
+  for (const entry of getConfirmedEntries(db, { since, until, causeId })) {
+    if (!totals[entry.userId]) totals[entry.userId] = { userId: entry.userId, amount: 0, donations: 0 }
+    totals[entry.userId].amount += entry.amount
+    if (entry.kind !== "opening_balance") totals[entry.userId].donations++
+  }
+  return Object.values(totals)
+    .filter((total) => total.amount > 0)
+    .sort((a, b) => b.amount - a.amount)
+}
+
+// Rebuild a user's totalDonated and donations list from the ledger
+export function syncUserFromLedger(db, userId) {
+  const userData = db.users?.[userId]
+  if (!userData) return
+
+  const entries = getConfirmedEntries(db, { userId }).sort((a, b) => a.timestamp - b.timestamp)
+  userData.totalDonated = entries.reduce((sum, entry) => sum + entry.amount, 0)
+  userData.donations = entries
+    .filter((entry) => entry.kind !== "opening_balance")
+    .map(({ id, amount, currency, originalAmount, timestamp, recipient, recipients, kind, messageId, causeId }) => ({
+      ledgerId: id,
+      amount,
+      currency,
+      originalAmount,
+      timestamp,
+      recipient,
+      ...(recipients && { recipients }),
+      ...(kind && { kind }),
+      ...(messageId && { messageId }),
+      ...(causeId && { causeId }),
+    }))
+}
+
+// Build the ledger for a database from before it existed: every recorded
+// donation becomes a confirmed entry, and any part of totalDonated without a
+// donation record becomes an undated opening balance. Returns true if the
+// ledger was created.
+export function backfillLedger(db) {
+  if (db.donationLedger) return false
+
+  const ledger = getLedger(db)
+  for (const [userId, userData] of Object.entries(db.users || {})) {
+    let recorded = 0
+    for (const [index, donation] of (userData.donations || []).entries()) {
+      const key = donation.messageId ? ledgerKey("tipcc", donation.messageId) : ledgerKey("legacy", `${userId}:${index}`)
+      ledger[key] = {
+        id: key,
+        ...donation,
+        userId,
+        status: LEDGER_STATUS.CONFIRMED,
+        createdAt: donation.timestamp,
+        confirmedAt: donation.timestamp,
+      }
+      recorded += donation.amount || 0
+    }
+
+    const unrecorded = (userData.totalDonated || 0) - recorded
+    if (unrecorded > 0.000001) {
+      const key = ledgerKey("opening", userId)
+      ledger[key] = {
+        id: key,
+        userId,
+        kind: "opening_balance",
+        amount: unrecorded,
+        currency: "USD",
+        originalAmount: unrecorded,
+        timestamp: 0,
+        status: LEDGER_STATUS.CONFIRMED,
+        createdAt: Date.now(),
+        confirmedAt: Date.now(),
+      }
+    }
+
+    syncUserFromLedger(db, userId)
+  }
+
+  return true
+}
@@ -0,0 +1,190 @@
+import { backfillLedger } from "./ledger.js"
+import { migrateRecipients } from "./recipients.js"
+
+// Numbered schema migrations. db.schemaVersion is the last migration applied
+// to a server's data (files from before this framework have none, i.e. 0).
+// getDatabase brings stored data up to SCHEMA_VERSION when it is read, after
+// backing it up; `npm run migrate:schema -- --dry-run` reports what would
+// change without touching anything.
+//
+// A migration is { version, description, up(db, { defaults }) } where
+// defaults is a new server's database. up changes db in place and returns a
+// list of human-readable changes (empty if there was nothing to do). Add new
+// migrations at the end with the next version number; never edit one that
+// has shipped.
+
+// One user, as every handler expects it
+export function createDefaultUser() {
+  return {
+    totalDonated: 0,
+    entries: {},
+    donations: [],
+    achievements: [],
+    privacyEnabled: false,
+    wins: 0,
+    referrals: { referred: [], referredBy: null },
+    luckyNumbers: [],
+    milestones: [],
+    streaks: { current: 0, longest: 0, lastDonation: null },
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function countChange(changes, count, text) {
+  if (count > 0) changes.push(`${count} ${text}`)
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Add missing config, collections and analytics",
+    up(db, { defaults }) {
+      const changes = []
+
+      if (!isPlainObject(db.config)) {
+        db.config = {}
+        changes.push("added config")
+      }
+      for (const key of ["featureToggles", "theme", "acceptedCryptocurrencies"]) {
+        if (db.config[key] === undefined) {
+          db.config[key] = structuredClone(defaults.config[key])
+          changes.push(`added config.${key}`)
+        }
+      }
+
+      if (migrateRecipients(db.config)) changes.push("normalized allowed recipients")
+
+      // The ledger is built from the users' donations by the next migration
+      for (const [key, value] of Object.entries(defaults)) {
+        if (key === "donationLedger" || key === "schemaVersion") continue
+        if (db[key] === undefined || db[key] === null) {
+          db[key] = structuredClone(value)
+          changes.push(`added ${key}`)
+        }
+      }
+
+      return changes
+    },
+  },
+  {
+    version: 2,
+    description: "Build the donation ledger from user totals and donations",
+    up(db) {
+      return backfillLedger(db) ? [`created ${Object.keys(db.donationLedger).length} ledger entries`] : []
+    },
+  },
+  {
+    version: 3,
+    description: "Give every user the same shape for streaks, lucky numbers and referrals",
+    up(db) {
+      const changes = []
+      let streaks = 0
+      let luckyNumbers = 0
+      let referrals = 0
+      let filled = 0
+
+      for (const userData of Object.values(db.users || {})) {
+        // currentStreak, longestStreak and lastDonationDate at the top level
+        if ("currentStreak" in userData || "longestStreak" in userData || "lastDonationDate" in userData) {
+          const lastDonation = userData.lastDonationDate ? new Date(userData.lastDonationDate).getTime() : null
+          userData.streaks = {
+            current: userData.streaks?.current ?? userData.currentStreak ?? 0,
+            longest: Math.max(userData.streaks?.longest ?? 0, userData.longestStreak ?? 0),
+            lastDonation: userData.streaks?.lastDonation ?? (Number.isFinite(lastDonation) ? lastDonation : null),
+          }
+          delete userData.currentStreak
+          delete userData.longestStreak
+          delete userData.lastDonationDate
+          streaks++
+        }
+
+        // Lucky numbers kept as an object ({} or numbers per draw) instead of a list
+        if (userData.luckyNumbers !== undefined && !Array.isArray(userData.luckyNumbers)) {
+          const numbers = Object.values(isPlainObject(userData.luckyNumbers) ? userData.luckyNumbers : {})
+            .flat()
+            .filter(Number.isInteger)
+          userData.luckyNumbers = [...new Set(numbers)].sort((a, b) => a - b)
+          luckyNumbers++
+        }
+
+        // referredBy and referred at the top level instead of under referrals
+        if ("referredBy" in userData || "referred" in userData) {
+          const current = isPlainObject(userData.referrals) ? userData.referrals : {}
+          userData.referrals = {
+            ...current,
+            referred: [...new Set([...(current.referred || []), ...(userData.referred || [])])],
+            referredBy: current.referredBy || userData.referredBy || null,
+          }
+          delete userData.referredBy
+          delete userData.referred
+          referrals++
+        }
+
+        let missing = false
+        for (const [key, value] of Object.entries(createDefaultUser())) {
+          if (userData[key] === undefined || userData[key] === null) {
+            userData[key] = value
+            missing = true
+          }
+        }
+        if (!Array.isArray(userData.referrals.referred)) userData.referrals.referred = []
+        if (userData.referrals.referredBy === undefined) userData.referrals.referredBy = null
+        if (missing) filled++
+      }
+
+      countChange(changes, streaks, "user(s): streaks moved under streaks")
+      countChange(changes, luckyNumbers, "user(s): lucky numbers turned into a list")
+      countChange(changes, referrals, "user(s): referrals moved under referrals")
+      countChange(changes, filled, "user(s): missing fields added")
+      return changes
+    },
+  },
+  {
+    version: 4,
+    description: "Store list collections (draw and entry history, ...) as lists",
+    up(db, { defaults }) {
+      const changes = []
+      for (const [key, value] of Object.entries(defaults)) {
+        if (Array.isArray(value) && isPlainObject(db[key])) {
+          db[key] = Object.values(db[key])
+          changes.push(`${key} turned into a list of ${db[key].length}`)
+        }
+      }
+      return changes
+    },
+  },
+]
+
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version
+
+export function getPendingMigrations(db) {
+  const current = db.schemaVersion || 0
+  return MIGRATIONS.filter((migration) => migration.version > current)
+}
+
+// Apply the pending migrations in order. Returns { from, to, applied } where
+// applied is [{ version, description, changes }].
+export function runMigrations(db, { defaults }) {
+  const from = db.schemaVersion || 0
+  const applied = []
+
+  for (const migration of getPendingMigrations(db)) {
+    const changes = migration.up(db, { defaults }) || []
+    db.schemaVersion = migration.version
+    applied.push({ version: migration.version, description: migration.description, changes })
+  }
+
+  return { from, to: db.schemaVersion || from, applied }
+}
+
+export function describeMigrationReport(report) {
+  return report.applied
+    .map(
+      ({ version, description, changes }) =>
+        `v${version} ${description}: ${changes.length > 0 ? changes.join(", ") : "nothing to change"}`,
+    )
+    .join("\n")
+}
@@ -0,0 +1,54 @@
+// Time-boxed entry multipliers ("2x entries this weekend", "1.5x on AEGS",
+// "3x for the VIP draw"). Stored in db.donationMultipliers as:
+//   { id, name, multiplier, startsAt, endsAt, currency, drawId, createdBy, createdAt }
+// currency and drawId are optional filters; null matches every donation.
+
+// Multipliers list, tolerating databases where the collection was created as {}
+export function getMultipliers(db) {
+  if (!Array.isArray(db.donationMultipliers)) db.donationMultipliers = []
+  return db.donationMultipliers
+}
+
+// Whether a multiplier is running at `now`
+export function isMultiplierActive(multiplier, now = Date.now()) {
+  return (!multiplier.startsAt || multiplier.startsAt <= now) && (!multiplier.endsAt || multiplier.endsAt > now)
+}
+
+// Multipliers that apply to a donation in a given currency to a given draw
+export function getApplicableMultipliers(db, { currency, drawId, now = Date.now() }) {
+  if (db.config?.featureToggles?.donationMultipliers === false) return []
+
+  return getMultipliers(db).filter(
+    (multiplier) =>
+      isMultiplierActive(multiplier, now) &&
+      (!multiplier.currency || multiplier.currency === currency?.toUpperCase()) &&
+      (!multiplier.drawId || multiplier.drawId === drawId),
+  )
+}
+
+// Combined multiplier for a donation. Matching multipliers stack, so a 2x
+// weekend event and a 1.5x AEGS bonus give 3x.
+export function getEntryMultiplier(db, options) {
+  const applied = getApplicableMultipliers(db, options)
+  const multiplier = applied.reduce((total, current) => total * current.multiplier, 1)
+  return { multiplier, applied }
+}
+
+// Drop multipliers that ended more than `graceMs` ago, returns how many were removed
+export function pruneExpiredMultipliers(db, graceMs = 7 * 24 * 60 * 60 * 1000) {
+  const multipliers = getMultipliers(db)
+  const now = Date.now()
+  db.donationMultipliers = multipliers.filter((multiplier) => !multiplier.endsAt || multiplier.endsAt + graceMs > now)
+  return multipliers.length - db.donationMultipliers.length
+}
+
+// Short label for a multiplier, e.g. "2x Weekend Boost (AEGS)"
+export function describeMultiplier(multiplier) {
+  const scope = [multiplier.currency, multiplier.drawId].filter(Boolean).join(", ")
+  return `${formatMultiplier(multiplier.multiplier)} ${multiplier.name}${scope ? ` (${scope})` : ""}`
+}
+
+// "2x", "1.5x"
+export function formatMultiplier(value) {
+  return `${Number(value.toFixed(2))}x`
+}
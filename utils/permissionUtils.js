@@ -1,4 +1,4 @@
-import { getDatabase } from '../database.js';
+import { getDatabase } from './database.js';
 
 // Check if user has admin permissions
 export async function isAdmin(serverId, userId) {
@@ -0,0 +1,259 @@
+import fs from "fs"
+import fetch from "node-fetch"
+import { logger } from "./logger.js"
+
+// USD prices for donation currencies. Providers are asked in order until one
+// returns a price, results are cached for PRICE_CACHE_TTL_MS. The order comes
+// from PRICE_PROVIDERS (e.g. "static" to run offline), defaulting to
+// aegisum, coingecko, coinpaprika, coinmarketcap. Servers can pin a price or
+// peg a coin to another in db.config.priceOverrides (/admin prices), which
+// win over tip.cc's estimate and the providers.
+//
+// A provider is { name, getPrice(symbol, ids) } where ids is the symbol's
+// registry entry; it returns the USD price of one unit, or null if it does
+// not know the coin. Every donation keeps the rate it was valued at (see
+// quoteDonation), so its USD amount can be audited later.
+
+const REQUEST_TIMEOUT_MS = 5000
+export const PRICE_CACHE_TTL_MS = Number(process.env.PRICE_CACHE_TTL_MS) || 5 * 60 * 1000
+
+// Symbol registry: the ID of each coin at the providers that need one.
+// Aliases point at the symbol they are priced as.
+export const SYMBOLS = {
+  AEGS: { aegisum: "aegs", coingecko: "aegs-aegisum" },
+  BTC: { coingecko: "bitcoin", coinpaprika: "btc-bitcoin" },
+  ETH: { coingecko: "ethereum", coinpaprika: "eth-ethereum" },
+  LTC: { coingecko: "litecoin", coinpaprika: "ltc-litecoin" },
+  SOL: { coingecko: "solana", coinpaprika: "sol-solana" },
+  USDT: { coingecko: "tether", coinpaprika: "usdt-tether" },
+  USDC: { coingecko: "usd-coin", coinpaprika: "usdc-usd-coin" },
+  XRP: { coingecko: "ripple", coinpaprika: "xrp-xrp" },
+  DOGE: { coingecko: "dogecoin", coinpaprika: "doge-dogecoin" },
+  SHIB: { coingecko: "shiba-inu", coinpaprika: "shib-shiba-inu" },
+  BNB: { coingecko: "binancecoin", coinpaprika: "bnb-binance-coin" },
+  ADA: { coingecko: "cardano", coinpaprika: "ada-cardano" },
+  AVAX: { coingecko: "avalanche-2", coinpaprika: "avax-avalanche" },
+  TON: { coingecko: "the-open-network", coinpaprika: "ton-the-open-network" },
+  TRX: { coingecko: "tron", coinpaprika: "trx-tron" },
+  PEPE: { coingecko: "pepecoin-network" },
+  BONC: { coingecko: "bonc1-bonkcoin" },
+  SHIC: { coingecko: "shic-shibacoin" },
+}
+
+const ALIASES = {
+  TRON: "TRX",
+  PEP: "PEPE",
+}
+
+export function normalizeSymbol(symbol) {
+  const upper = String(symbol || "").trim().toUpperCase()
+  return ALIASES[upper] || upper
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  return response.json()
+}
+
+// Official AEGS price
+const aegisumProvider = {
+  name: "aegisum",
+  async getPrice(symbol, ids) {
+    if (!ids.aegisum) return null
+    const data = await fetchJson(`https://aegisum.com/api/coins/${ids.aegisum}/`)
+    return data.price || null
+  },
+}
+
+const coinGeckoProvider = {
+  name: "coingecko",
+  async getPrice(symbol, ids) {
+    const coinId = ids.coingecko || symbol.toLowerCase()
+    const data = await fetchJson(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`)
+    return data[coinId]?.usd || null
+  },
+}
+
+const coinPaprikaProvider = {
+  name: "coinpaprika",
+  async getPrice(symbol, ids) {
+    if (!ids.coinpaprika) return null
+    const data = await fetchJson(`https://api.coinpaprika.com/v1/tickers/${ids.coinpaprika}`)
+    return data.quotes?.USD?.price || null
+  },
+}
+
+// Requires COINMARKETCAP_API_KEY
+const coinMarketCapProvider = {
+  name: "coinmarketcap",
+  async getPrice(symbol) {
+    const apiKey = process.env.COINMARKETCAP_API_KEY
+    if (!apiKey) return null
+    const data = await fetchJson(`https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?symbol=${symbol}`, {
+      headers: { "X-CMC_PRO_API_KEY": apiKey },
+    })
+    return data.data?.[symbol]?.quote?.USD?.price || null
+  },
+}
+
+// Fixed prices for offline testing, from PRICE_ORACLE_STATIC ("AEGS=0.01,BTC=65000")
+// or a JSON file of { "SYMBOL": price } at PRICE_ORACLE_STATIC_FILE
+export function loadStaticPrices() {
+  const prices = {}
+
+  const file = process.env.PRICE_ORACLE_STATIC_FILE
+  if (file) {
+    try {
+      for (const [symbol, price] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+        prices[normalizeSymbol(symbol)] = Number(price)
+      }
+    } catch (error) {
+      logger.error(`Could not read static prices from ${file}:`, error.message)
+    }
+  }
+
+  for (const pair of (process.env.PRICE_ORACLE_STATIC || "").split(",")) {
+    const [symbol, price] = pair.split("=")
+    if (symbol?.trim() && price) prices[normalizeSymbol(symbol)] = Number(price)
+  }
+
+  return prices
+}
+
+const staticProvider = {
+  name: "static",
+  async getPrice(symbol) {
+    const price = loadStaticPrices()[symbol]
+    return price > 0 ? price : null
+  },
+}
+
+const providers = new Map(
+  [aegisumProvider, coinGeckoProvider, coinPaprikaProvider, coinMarketCapProvider, staticProvider].map((provider) => [
+    provider.name,
+    provider,
+  ]),
+)
+
+const DEFAULT_PROVIDER_ORDER = ["aegisum", "coingecko", "coinpaprika", "coinmarketcap"]
+
+// Add or replace a provider. It is only asked if PRICE_PROVIDERS lists it,
+// or when it is passed in getPrice's `providers` option.
+export function registerPriceProvider(provider) {
+  providers.set(provider.name, provider)
+}
+
+export function getProviderOrder() {
+  const configured = (process.env.PRICE_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+  return configured.length > 0 ? configured : DEFAULT_PROVIDER_ORDER
+}
+
+// Cached quotes keyed by symbol
+const priceCache = new Map()
+
+// USD price of one unit: { symbol, price, source, fetchedAt, cached }, or null
+// when no provider has it
+export async function getPrice(symbol, { providers: order = getProviderOrder(), useCache = true } = {}) {
+  const normalized = normalizeSymbol(symbol)
+  if (!normalized) return null
+
+  const cached = priceCache.get(normalized)
+  if (useCache && cached && Date.now() - cached.fetchedAt < PRICE_CACHE_TTL_MS) {
+    return { ...cached, cached: true }
+  }
+
+  const ids = SYMBOLS[normalized] || {}
+  for (const name of order) {
+    const provider = providers.get(name)
+    if (!provider) {
+      logger.warn(`Unknown price provider: ${name}`)
+      continue
+    }
+
+    try {
+      const price = await provider.getPrice(normalized, ids)
+      if (price > 0) {
+        const quote = { symbol: normalized, price, source: provider.name, fetchedAt: Date.now() }
+        priceCache.set(normalized, quote)
+        logger.info(`💱 ${provider.name} price for ${normalized}: $${price}`)
+        return { ...quote, cached: false }
+      }
+    } catch (error) {
+      logger.debug(`${provider.name} failed for ${normalized}: ${error.message}`)
+    }
+  }
+
+  logger.warn(`❌ Could not fetch price for ${normalized} from any provider`)
+  return null
+}
+
+// Server price overrides keyed by symbol, created on first use:
+//   { price, setBy, setAt }   a fixed USD price
+//   { peg, setBy, setAt }     priced as another symbol, e.g. a wrapped coin
+export function getPriceOverrides(db) {
+  if (!db.config) db.config = {}
+  if (!db.config.priceOverrides) db.config.priceOverrides = {}
+  return db.config.priceOverrides
+}
+
+export function describePriceOverride(symbol, override) {
+  return override.peg ? `${symbol} = 1 ${override.peg}` : `${symbol} = $${override.price}`
+}
+
+// Price from a server override, following one peg: { price, source, peggedTo? }
+// or null when the symbol has no override or its peg has no price
+async function getOverridePrice(symbol, overrides) {
+  const override = overrides?.[symbol]
+  if (!override) return null
+  if (!override.peg) return { price: override.price, source: "override" }
+
+  const peg = normalizeSymbol(override.peg)
+  const pegOverride = overrides[peg]
+  const pegPrice = pegOverride && !pegOverride.peg ? pegOverride.price : (await getPrice(peg))?.price
+  return pegPrice ? { price: pegPrice, source: "peg", peggedTo: peg } : null
+}
+
+// Value a donation of `amount` coins. In order: a price chosen by an admin
+// approving the tip (`price`), the server's override for the coin, tip.cc's
+// own USD estimate, then the providers. Returns { usdValue, rate } where rate
+// is the snapshot stored with the donation: { symbol, price, source,
+// fetchedAt }. Null if no price is available.
+export async function quoteDonation(symbol, amount, { quotedUsd = null, price = null, overrides = null } = {}) {
+  const normalized = normalizeSymbol(symbol)
+  const rate = (values) => ({ symbol: normalized, ...values, fetchedAt: Date.now() })
+
+  if (price > 0) return { usdValue: price * amount, rate: rate({ price, source: "review" }) }
+
+  const override = await getOverridePrice(normalized, overrides)
+  if (override) return { usdValue: override.price * amount, rate: rate(override) }
+
+  if (quotedUsd > 0 && amount > 0) {
+    return { usdValue: quotedUsd, rate: rate({ price: quotedUsd / amount, source: "tipcc" }) }
+  }
+
+  const quote = await getPrice(normalized)
+  if (!quote) return null
+
+  const { cached, ...snapshot } = quote
+  return { usdValue: quote.price * amount, rate: snapshot }
+}
+
+export function clearPriceCache(symbol = null) {
+  if (symbol) {
+    priceCache.delete(normalizeSymbol(symbol))
+  } else {
+    priceCache.clear()
+  }
+}
+
+export function getPriceCacheStats() {
+  const now = Date.now()
+  return [...priceCache.values()].map((quote) => ({
+    ...quote,
+    expired: now - quote.fetchedAt >= PRICE_CACHE_TTL_MS,
+  }))
+}
@@ -0,0 +1,115 @@
+import crypto from "crypto"
+
+// Provably-fair winner selection (commit-reveal)
+//
+// 1. When a draw opens, a random server seed is generated and only its SHA-256
+//    hash is published.
+// 2. When the draw closes, a public salt that could not be known in advance
+//    (e.g. the Discord snowflake of the closing interaction) is mixed in.
+// 3. The winning ticket is HMAC-SHA256(serverSeed, `${publicSalt}:${nonce}`)
+//    modulo the total number of tickets, with tickets laid out over the
+//    entries sorted by user ID. Multi-winner draws use nonce 0, 1, 2, ...
+//    and remove each winner's tickets before drawing the next place.
+//
+// After the draw the server seed is revealed in drawHistory so anyone can
+// recompute the hash and the winner.
+
+// Hash a server seed for publication
+export function hashSeed(serverSeed) {
+  return crypto.createHash("sha256").update(serverSeed).digest("hex")
+}
+
+// Create a new commitment for a draw
+export function createCommitment() {
+  const serverSeed = crypto.randomBytes(32).toString("hex")
+  return {
+    serverSeed,
+    serverSeedHash: hashSeed(serverSeed),
+    committedAt: Date.now(),
+  }
+}
+
+// Ensure a draw has an unrevealed commitment, returns true if one was created
+export function ensureCommitment(draw) {
+  if (draw.fairness?.serverSeed && draw.fairness?.serverSeedHash) return false
+  draw.fairness = createCommitment()
+  return true
+}
+
+// Canonical ticket layout: [[userId, count], ...] sorted by user ID
+export function canonicalEntries(entries) {
+  return Object.entries(entries || {})
+    .filter(([, count]) => Number.isInteger(count) && count > 0)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+}
+
+// Hash of the entries snapshot used for a selection
+export function hashEntries(entries) {
+  return crypto.createHash("sha256").update(JSON.stringify(canonicalEntries(entries))).digest("hex")
+}
+
+// Derive a ticket index in [0, totalTickets)
+export function deriveTicket(serverSeed, publicSalt, nonce, totalTickets) {
+  const digest = crypto.createHmac("sha256", serverSeed).update(`${publicSalt}:${nonce}`).digest("hex")
+  return Number(BigInt(`0x${digest}`) % BigInt(totalTickets))
+}
+
+// Pick a winner deterministically from an entries map
+export function pickWinner(entries, serverSeed, publicSalt, nonce = 0) {
+  const tickets = canonicalEntries(entries)
+  const totalTickets = tickets.reduce((sum, [, count]) => sum + count, 0)
+  if (totalTickets === 0) return null
+
+  const ticket = deriveTicket(serverSeed, publicSalt, nonce, totalTickets)
+
+  let cursor = 0
+  for (const [userId, count] of tickets) {
+    cursor += count
+    if (ticket < cursor) {
+      return { winnerId: userId, ticket, totalTickets }
+    }
+  }
+
+  return null
+}
+
+// Pick up to `count` unique winners, removing each winner's tickets before
+// the next position is drawn with the next nonce
+export function pickWinners(entries, serverSeed, publicSalt, count = 1) {
+  const remaining = Object.fromEntries(canonicalEntries(entries))
+  const winners = []
+
+  for (let nonce = 0; nonce < count; nonce++) {
+    const result = pickWinner(remaining, serverSeed, publicSalt, nonce)
+    if (!result) break
+
+    winners.push({ ...result, position: nonce + 1, nonce })
+    delete remaining[result.winnerId]
+  }
+
+  return winners
+}
+
+// Re-verify a drawHistory record, returns { valid, reason }
+export function verifyRecord(record) {
+  const fairness = record?.fairness
+  if (!fairness?.serverSeed || !fairness?.serverSeedHash || fairness.publicSalt === undefined) {
+    return { valid: false, reason: "This result was not recorded with provably-fair seeds." }
+  }
+
+  if (hashSeed(fairness.serverSeed) !== fairness.serverSeedHash) {
+    return { valid: false, reason: "The revealed server seed does not match the published hash." }
+  }
+
+  if (!fairness.entries || hashEntries(fairness.entries) !== fairness.entriesHash) {
+    return { valid: false, reason: "The entries snapshot does not match its recorded hash." }
+  }
+
+  const position = record.winnerPosition || 1
+  const result = pickWinners(fairness.entries, fairness.serverSeed, fairness.publicSalt, position)[position - 1]
+  if (!result || result.winnerId !== record.winnerId) {
+    return { valid: false, reason: "Recomputing the draw does not produce the recorded winner." }
+  }
+
+  return { valid: true, ticket: result.ticket, totalTickets: result.totalTickets }
+}
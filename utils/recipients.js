@@ -0,0 +1,158 @@
+import { logger } from "./logger.js"
+
+// Allowed donation recipients, stored in db.config.allowedRecipients as
+//   { type: "user", id, name }  a Discord user
+//   { type: "role", id, name }  every member of a role, checked at tip time
+//   { type: "name", name }      a username without a known ID, for tip.cc
+//                               messages that show @names instead of mentions;
+//                               also matches members of a role with that name
+// Any entry may carry a causeId routing its donations to a cause (causes.js).
+// Older databases mix plain strings, "<@id>" mentions and these objects;
+// normalizeRecipients() converts them and is run as a database migration.
+
+export const RECIPIENT_TYPES = ["user", "role", "name"]
+
+// Convert one stored or typed recipient to the normalized model, or null if
+// it cannot identify anyone (e.g. { type: "role" } without an ID)
+export function normalizeRecipient(raw) {
+  if (typeof raw === "string") {
+    const value = raw.trim()
+    const role = value.match(/^<@&(\d+)>$/)
+    if (role) return { type: "role", id: role[1], name: null }
+
+    const user = value.match(/^<@!?(\d+)>$/) || value.match(/^(\d{15,21})$/)
+    if (user) return { type: "user", id: user[1], name: null }
+
+    const name = value.replace(/^@/, "")
+    return name ? { type: "name", name } : null
+  }
+
+  if (!raw || typeof raw !== "object") return null
+
+  const type = RECIPIENT_TYPES.includes(raw.type) ? raw.type : raw.id ? "user" : "name"
+  const cause = raw.causeId ? { causeId: raw.causeId } : {}
+  if (type === "name" || !raw.id) return raw.name ? { type: "name", name: raw.name, ...cause } : null
+  return { type, id: String(raw.id), name: raw.name || null, ...cause }
+}
+
+export function recipientKey(recipient) {
+  return recipient.type === "name" ? `name:${recipient.name.toLowerCase()}` : `${recipient.type}:${recipient.id}`
+}
+
+// Normalize a whole list, dropping invalid entries and duplicates. A user
+// entry keeps the name of a duplicate that had one.
+export function normalizeRecipients(list = []) {
+  const normalized = new Map()
+  for (const raw of list) {
+    const recipient = normalizeRecipient(raw)
+    if (!recipient) continue
+
+    const key = recipientKey(recipient)
+    const existing = normalized.get(key)
+    if (!existing) {
+      normalized.set(key, recipient)
+    } else if (!existing.name && recipient.name) {
+      existing.name = recipient.name
+    }
+  }
+  return [...normalized.values()]
+}
+
+// Normalize db.config.allowedRecipients in place. Returns true if it changed.
+export function migrateRecipients(config) {
+  if (!Array.isArray(config.allowedRecipients)) return false
+
+  const normalized = normalizeRecipients(config.allowedRecipients)
+  if (JSON.stringify(normalized) === JSON.stringify(config.allowedRecipients)) return false
+
+  config.allowedRecipients = normalized
+  return true
+}
+
+export function getRecipients(db) {
+  return normalizeRecipients(db.config?.allowedRecipients || [])
+}
+
+// Display form: a mention for users and roles, @name otherwise
+export function describeRecipient(recipient) {
+  if (recipient.type === "user") return `<@${recipient.id}>${recipient.name ? ` (${recipient.name})` : ""}`
+  if (recipient.type === "role") return `<@&${recipient.id}>${recipient.name ? ` (${recipient.name})` : ""}`
+  return `@${recipient.name}`
+}
+
+// Guild member behind a tip.cc recipient ({ id } or { name }), or null
+async function findMember(guild, tipRecipient) {
+  if (!guild) return null
+  if (tipRecipient.id) return guild.members.fetch(tipRecipient.id).catch(() => null)
+
+  const name = tipRecipient.name.toLowerCase()
+  return (
+    guild.members.cache.find(
+      (member) => member.user.username.toLowerCase() === name || member.displayName.toLowerCase() === name,
+    ) || null
+  )
+}
+
+// Match the recipients of a tip against the allowed list. Role entries are
+// resolved against the recipient's current roles. Returns the allowed tip
+// recipients as [{ recipient, rule }] where recipient is the ID or name from
+// the tip and rule the allowed entry it matched.
+export async function matchAllowedRecipients(guild, allowed, tipRecipients) {
+  const rules = normalizeRecipients(allowed)
+  // Role entries and name entries need the member behind the tip recipient
+  const needsMember = rules.some((entry) => entry.type !== "user")
+  const matches = []
+
+  for (const tipRecipient of tipRecipients) {
+    const tipName = tipRecipient.name?.toLowerCase()
+    let rule = rules.find(
+      (entry) =>
+        (tipRecipient.id && entry.type === "user" && entry.id === tipRecipient.id) ||
+        (tipName && entry.type !== "role" && entry.name?.toLowerCase() === tipName),
+    )
+
+    if (!rule && needsMember) {
+      const member = await findMember(guild, tipRecipient)
+      if (member) {
+        const username = member.user.username.toLowerCase()
+        rule = rules.find(
+          (entry) =>
+            (entry.type === "role" && member.roles.cache.has(entry.id)) ||
+            (entry.type === "user" && entry.id === member.id) ||
+            (entry.type === "name" &&
+              (entry.name.toLowerCase() === username ||
+                member.roles.cache.some((role) => role.name.toLowerCase() === entry.name.toLowerCase()))),
+        )
+      }
+    }
+
+    if (rule) {
+      matches.push({ recipient: tipRecipient.id || tipRecipient.name, rule })
+      logger.debug(`🔍 Recipient ${tipRecipient.id || tipRecipient.name} allowed by ${recipientKey(rule)}`)
+    }
+  }
+
+  return matches
+}
+
+// How an allowed entry resolves in the guild right now, for /admin recipients list
+export async function resolveRecipient(guild, recipient) {
+  if (recipient.type === "role") {
+    const role = await guild.roles.fetch(recipient.id).catch(() => null)
+    if (!role) return { ok: false, text: "❌ Role not found in this server" }
+    return { ok: true, text: `✅ Role **${role.name}** • ${role.members.size} cached member(s) receive donations` }
+  }
+
+  if (recipient.type === "user") {
+    const member = await guild.members.fetch(recipient.id).catch(() => null)
+    if (!member) return { ok: false, text: "⚠️ User is not a member of this server" }
+    return { ok: true, text: `✅ Member **${member.user.username}**` }
+  }
+
+  const member = await findMember(guild, { name: recipient.name })
+  if (member) return { ok: true, text: `✅ Member <@${member.id}>` }
+
+  const role = guild.roles.cache.find((r) => r.name.toLowerCase() === recipient.name.toLowerCase())
+  if (role) return { ok: true, text: `✅ Members of role <@&${role.id}> • re-add it as a role mention to match by ID` }
+  return { ok: false, text: "⚠️ No member or role with this name, only matches @name tips" }
+}
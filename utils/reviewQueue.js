@@ -0,0 +1,151 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from "discord.js"
+import { getLedger, LEDGER_STATUS, reverseLedgerEntry } from "./ledger.js"
+
+// Tips held for an admin instead of being dropped: a coin without a price, a
+// sender who is not in the server, a currency that is not accepted, a
+// draw-tagged tip to someone who is not an allowed recipient, or a donation
+// an anti-fraud rule holds (antiFraud.js). Stored in
+// db.reviewQueue under the same key as the ledger ("tipcc:<messageId>").
+// Approving re-processes the tip.cc message with the admin's corrections
+// (`edits`), so a held tip counts exactly like one that passed on arrival.
+
+export const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+}
+
+export const REVIEW_REASONS = {
+  unpriced: "No USD price",
+  unknown_sender: "Sender not found",
+  currency_not_accepted: "Currency not accepted",
+  recipient_mismatch: "Recipient not allowed",
+  suspicious: "Suspicious donation",
+}
+
+// Cards shown by /admin review
+const REVIEW_PAGE_SIZE = 5
+
+// Review queue, created on first use
+export function getReviewQueue(db) {
+  if (!db.reviewQueue) db.reviewQueue = {}
+  return db.reviewQueue
+}
+
+// Hold a tip for review. Holding it again (e.g. an approval that still fails)
+// updates the pending entry and keeps its original time and edits.
+export function holdForReview(db, key, data) {
+  const queue = getReviewQueue(db)
+  const existing = queue[key]?.status === REVIEW_STATUS.PENDING ? queue[key] : null
+
+  queue[key] = {
+    id: key,
+    ...data,
+    status: REVIEW_STATUS.PENDING,
+    heldAt: existing?.heldAt || Date.now(),
+    ...(existing?.edits && { edits: existing.edits }),
+    ...(existing && { updatedAt: Date.now() }),
+  }
+  return queue[key]
+}
+
+// Pending entries, oldest first, optionally for one reason
+export function getPendingReviews(db, { reason = null } = {}) {
+  return Object.values(getReviewQueue(db))
+    .filter((entry) => entry.status === REVIEW_STATUS.PENDING && (!reason || entry.reason === reason))
+    .sort((a, b) => a.heldAt - b.heldAt)
+}
+
+export function findPendingReview(db, messageId) {
+  const entry = getReviewQueue(db)[`tipcc:${messageId}`]
+  return entry?.status === REVIEW_STATUS.PENDING ? entry : null
+}
+
+// Close a pending entry. Returns it, or null if it was not pending. Rejecting
+// a donation an anti-fraud rule held also reverses its ledger claim.
+export function resolveReview(db, key, status, details = {}) {
+  const entry = getReviewQueue(db)[key]
+  if (entry?.status !== REVIEW_STATUS.PENDING) return null
+
+  Object.assign(entry, details, { status, resolvedAt: Date.now() })
+  if (status === REVIEW_STATUS.REJECTED && getLedger(db)[key]?.status === LEDGER_STATUS.HELD) {
+    reverseLedgerEntry(db, key, details.reviewReason || "rejected")
+  }
+  return entry
+}
+
+export function describeReview(entry) {
+  const sender = entry.edits?.senderId || entry.sender
+  return `${entry.amount} ${entry.currency} from ${/^\d+$/.test(sender) ? `<@${sender}>` : `**${sender}**`}`
+}
+
+function describeEdits(edits) {
+  return [
+    edits.senderId && `👤 Donor: <@${edits.senderId}>`,
+    edits.usdValue && `💵 Value: $${edits.usdValue.toFixed(2)}`,
+  ]
+    .filter(Boolean)
+    .join("\n")
+}
+
+// One card per pending entry with Approve / Reject / Edit buttons, handled in
+// handlers/buttonHandler.js. The button IDs carry the reason filter so the
+// list keeps it when refreshed. Returns the reply for /admin review.
+export function buildReviewMessage(db, guildId, { reason = null } = {}) {
+  const pending = getPendingReviews(db, { reason })
+  if (pending.length === 0) {
+    return { content: "✅ No donations are waiting for review.", embeds: [], components: [] }
+  }
+
+  const shown = pending.slice(0, REVIEW_PAGE_SIZE)
+  const embeds = shown.map((entry) => {
+    const embed = new EmbedBuilder()
+      .setTitle(`⏸️ ${REVIEW_REASONS[entry.reason] || entry.reason}`)
+      .setDescription(`${describeReview(entry)}${entry.detail ? `\n${entry.detail}` : ""}`)
+      .setColor(db.config?.theme?.warning || "#FFC107")
+      .addFields(
+        {
+          name: "📨 Recipients",
+          value: (entry.recipients || []).map((r) => (/^\d+$/.test(r) ? `<@${r}>` : `@${r}`)).join(", ") || "Unknown",
+          inline: true,
+        },
+        { name: "⏰ Held", value: `<t:${Math.floor(entry.heldAt / 1000)}:R>`, inline: true },
+        {
+          name: "🔗 Message",
+          value: `[Jump to tip](https://discord.com/channels/${guildId}/${entry.channelId}/${entry.messageId})`,
+          inline: true,
+        },
+      )
+
+    if (entry.targetDrawId) embed.addFields({ name: "🎯 Tagged Draw", value: `\`#${entry.targetDrawId}\``, inline: true })
+    if (entry.edits) embed.addFields({ name: "✏️ Corrections", value: describeEdits(entry.edits) || "None", inline: false })
+    return embed
+  })
+
+  const components = shown.map((entry) =>
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`review_approve_${entry.messageId}${reason ? `_${reason}` : ""}`)
+        .setLabel(`Approve ${entry.amount} ${entry.currency}`.slice(0, 80))
+        .setStyle(ButtonStyle.Success)
+        .setEmoji("✅"),
+      new ButtonBuilder()
+        .setCustomId(`review_reject_${entry.messageId}${reason ? `_${reason}` : ""}`)
+        .setLabel("Reject")
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("🗑️"),
+      new ButtonBuilder()
+        .setCustomId(`review_edit_${entry.messageId}${reason ? `_${reason}` : ""}`)
+        .setLabel("Edit")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("✏️"),
+    ),
+  )
+
+  const more = pending.length > shown.length ? `, showing the oldest ${shown.length}` : ""
+  return {
+    content: `⏸️ **${pending.length}** donation${pending.length === 1 ? "" : "s"} waiting for review${more}.`,
+    embeds,
+    components,
+  }
+}
@@ -0,0 +1,73 @@
+import { getDonationTotals } from "./ledger.js"
+
+// Seasonal leaderboards. The running season lives in
+// db.config.seasonalLeaderboard ({ name, startDate, endDate, active }); ended
+// seasons are frozen into db.seasonArchive so their standings survive later
+// donations and user resets.
+
+const MAX_ARCHIVED_STANDINGS = 100
+
+// Donation totals per user for confirmed ledger entries between startDate and
+// endDate
+export function computeSeasonStandings(db, startDate, endDate = Date.now()) {
+  return getDonationTotals(db, { since: startDate, until: endDate })
+}
+
+// The running season, or null if none is active
+export function getCurrentSeason(db) {
+  const season = db.config?.seasonalLeaderboard
+  return season?.active ? season : null
+}
+
+// Find a season by name (case-insensitive), the running one first
+export function findSeason(db, name) {
+  const wanted = name.trim().toLowerCase()
+  const current = getCurrentSeason(db)
+  if (current?.name.toLowerCase() === wanted) return { ...current, archived: false }
+
+  const archived = (db.seasonArchive || []).find((season) => season.name.toLowerCase() === wanted)
+  return archived ? { ...archived, archived: true } : null
+}
+
+// Start a new season. Returns the season, or null if one is already running.
+export function startSeason(db, name, endDate = null, startedBy = null) {
+  if (getCurrentSeason(db)) return null
+
+  if (!db.config) db.config = {}
+  db.config.seasonalLeaderboard = { name, startDate: Date.now(), endDate, active: true, startedBy }
+  return db.config.seasonalLeaderboard
+}
+
+// End the running season and archive its final standings. A season with a
+// past endDate is closed at that date so late donations are not counted.
+export function endSeason(db, endedBy = null) {
+  const season = getCurrentSeason(db)
+  if (!season) return null
+
+  const endDate = season.endDate && season.endDate < Date.now() ? season.endDate : Date.now()
+  const standings = computeSeasonStandings(db, season.startDate, endDate)
+
+  const archived = {
+    name: season.name,
+    startDate: season.startDate,
+    endDate,
+    endedBy,
+    totalRaised: standings.reduce((sum, standing) => sum + standing.amount, 0),
+    donorCount: standings.length,
+    standings: standings.slice(0, MAX_ARCHIVED_STANDINGS),
+  }
+
+  if (!Array.isArray(db.seasonArchive)) db.seasonArchive = []
+  db.seasonArchive.push(archived)
+  db.config.seasonalLeaderboard = { ...season, endDate, active: false }
+
+  return archived
+}
+
+// Archive the running season if its end date has passed. Returns the archived
+// season, the caller saves the database.
+export function expireSeason(db) {
+  const season = getCurrentSeason(db)
+  if (!season?.endDate || season.endDate > Date.now()) return null
+  return endSeason(db, "automatic")
+}
@@ -0,0 +1,257 @@
+import { createRequire } from "module"
+
+// SQLite storage backend (STORAGE_BACKEND=sqlite), using the optional
+// better-sqlite3 package. The parts of a server's data that grow with every
+// donation get their own tables:
+//
+//   users      one row per user, with totalDonated as a column
+//   donations  the donation ledger (db.donationLedger), one row per entry
+//   draws      db.donationDraws without their entries
+//   entries    each user's entry count per draw
+//   history    db.drawHistory, db.entryHistory and db.seasonArchive, in order
+//   servers    everything else (config, goals, analytics, ...) as JSON
+//
+// Rows keep the full object as JSON in `data`, the other columns are for
+// querying. A write compares the data with the server's stored rows in one
+// transaction and only inserts or updates the rows that changed and deletes
+// the ones that are gone, so a tip rewrites a user and a ledger row rather
+// than the whole server. Reading it back gives the same data object the JSON
+// backend would.
+
+const require = createRequire(import.meta.url)
+
+const HISTORY_COLLECTIONS = ["drawHistory", "entryHistory", "seasonArchive"]
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS servers (
+    server_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    server_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    total_donated REAL NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (server_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS donations (
+    server_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    user_id TEXT,
+    status TEXT,
+    amount REAL,
+    currency TEXT,
+    timestamp INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (server_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS donations_by_user ON donations (server_id, user_id, timestamp);
+  CREATE TABLE IF NOT EXISTS draws (
+    server_id TEXT NOT NULL,
+    draw_id TEXT NOT NULL,
+    name TEXT,
+    active INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (server_id, draw_id)
+  );
+  CREATE TABLE IF NOT EXISTS entries (
+    server_id TEXT NOT NULL,
+    draw_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    count INTEGER NOT NULL,
+    PRIMARY KEY (server_id, draw_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    server_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (server_id, type, position)
+  );
+`
+
+const TABLES = ["servers", "users", "donations", "draws", "entries", "history"]
+
+// Key and value columns of the per-row tables, besides server_id
+const ROW_TABLES = {
+  users: { keys: ["user_id"], values: ["total_donated", "data"] },
+  donations: { keys: ["id"], values: ["user_id", "status", "amount", "currency", "timestamp", "data"] },
+  draws: { keys: ["draw_id"], values: ["name", "active", "data"] },
+  entries: { keys: ["draw_id", "user_id"], values: ["count"] },
+  history: { keys: ["type", "position"], values: ["data"] },
+}
+
+// Statements to read, upsert and delete the rows of a table
+function prepareRowStatements(sqlite, table, { keys, values }) {
+  const columns = ["server_id", ...keys, ...values]
+  return {
+    select: sqlite.prepare(`SELECT ${[...keys, ...values].join(", ")} FROM ${table} WHERE server_id = ?`).raw(),
+    upsert: sqlite.prepare(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")}) ` +
+        `ON CONFLICT (server_id, ${keys.join(", ")}) DO UPDATE SET ${values.map((column) => `${column} = excluded.${column}`).join(", ")}`,
+    ),
+    delete: sqlite.prepare(`DELETE FROM ${table} WHERE server_id = ? AND ${keys.map((column) => `${column} = ?`).join(" AND ")}`),
+  }
+}
+
+function openDatabase(file) {
+  let Database
+  try {
+    Database = require("better-sqlite3")
+  } catch (error) {
+    throw new Error("The SQLite storage backend needs the better-sqlite3 package: npm install better-sqlite3")
+  }
+
+  const sqlite = new Database(file)
+  sqlite.pragma("journal_mode = WAL")
+  sqlite.exec(SCHEMA)
+  return sqlite
+}
+
+export function createSqliteStorage(file) {
+  const sqlite = openDatabase(file)
+
+  const rowStatements = Object.fromEntries(
+    Object.entries(ROW_TABLES).map(([table, columns]) => [table, prepareRowStatements(sqlite, table, columns)]),
+  )
+
+  const statements = {
+    deleteRows: TABLES.map((table) => sqlite.prepare(`DELETE FROM ${table} WHERE server_id = ?`)),
+    upsertServer: sqlite.prepare(
+      "INSERT INTO servers (server_id, data, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT (server_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at",
+    ),
+    selectServer: sqlite.prepare("SELECT data FROM servers WHERE server_id = ?"),
+    selectUsers: sqlite.prepare("SELECT user_id, data FROM users WHERE server_id = ?"),
+    selectDonations: sqlite.prepare("SELECT id, data FROM donations WHERE server_id = ?"),
+    selectDraws: sqlite.prepare("SELECT draw_id, data FROM draws WHERE server_id = ?"),
+    selectEntries: sqlite.prepare("SELECT draw_id, user_id, count FROM entries WHERE server_id = ?"),
+    selectHistory: sqlite.prepare("SELECT type, data FROM history WHERE server_id = ? ORDER BY type, position"),
+    listServers: sqlite.prepare("SELECT server_id FROM servers ORDER BY server_id"),
+  }
+
+  const removeServer = sqlite.transaction((serverId) => {
+    for (const statement of statements.deleteRows) statement.run(serverId)
+  })
+
+  // Bring a table's rows for a server in line with `rows` ([...keys,
+  // ...values] each), writing only what differs from the stored rows
+  function syncRows(table, serverId, rows) {
+    const { keys } = ROW_TABLES[table]
+    const { select, upsert, delete: deleteRow } = rowStatements[table]
+
+    const stored = new Map()
+    for (const row of select.all(serverId)) {
+      stored.set(JSON.stringify(row.slice(0, keys.length)), JSON.stringify(row.slice(keys.length)))
+    }
+
+    for (const row of rows) {
+      const key = JSON.stringify(row.slice(0, keys.length))
+      if (stored.get(key) !== JSON.stringify(row.slice(keys.length))) upsert.run(serverId, ...row)
+      stored.delete(key)
+    }
+    for (const key of stored.keys()) deleteRow.run(serverId, ...JSON.parse(key))
+  }
+
+  const writeServer = sqlite.transaction((serverId, data) => {
+    const { users = {}, donationLedger, donationDraws, ...rest } = data
+
+    syncRows(
+      "users",
+      serverId,
+      Object.entries(users).map(([userId, user]) => [userId, Number(user?.totalDonated) || 0, JSON.stringify(user)]),
+    )
+
+    syncRows(
+      "donations",
+      serverId,
+      Object.entries(donationLedger || {}).map(([id, entry]) => [
+        id,
+        entry.userId ?? null,
+        entry.status ?? null,
+        entry.amount ?? null,
+        entry.currency ?? null,
+        entry.timestamp ?? null,
+        JSON.stringify(entry),
+      ]),
+    )
+
+    const drawRows = []
+    const entryRows = []
+    for (const [drawId, draw] of Object.entries(donationDraws || {})) {
+      const { entries = {}, ...drawData } = draw
+      drawRows.push([drawId, draw.name ?? null, draw.active ? 1 : 0, JSON.stringify(drawData)])
+      for (const [userId, count] of Object.entries(entries)) entryRows.push([drawId, userId, count])
+    }
+    syncRows("draws", serverId, drawRows)
+    syncRows("entries", serverId, entryRows)
+
+    // Only array collections are split into rows, anything else stays in the server row
+    const historyRows = []
+    for (const type of HISTORY_COLLECTIONS) {
+      if (!Array.isArray(rest[type])) continue
+      rest[type].forEach((item, position) => historyRows.push([type, position, JSON.stringify(item)]))
+      rest[type] = []
+    }
+    syncRows("history", serverId, historyRows)
+
+    // Remember which collections were present so read() gives back the same shape
+    const collections = {
+      ledger: donationLedger !== undefined,
+      draws: donationDraws !== undefined,
+    }
+    const serverData = JSON.stringify({ ...rest, _collections: collections })
+    if (statements.selectServer.get(serverId)?.data !== serverData) {
+      statements.upsertServer.run(serverId, serverData, Date.now())
+    }
+  })
+
+  return {
+    name: "sqlite",
+    read(serverId) {
+      const server = statements.selectServer.get(serverId)
+      if (!server) return null
+
+      const { _collections: collections, ...data } = JSON.parse(server.data)
+
+      data.users = {}
+      for (const row of statements.selectUsers.all(serverId)) data.users[row.user_id] = JSON.parse(row.data)
+
+      if (collections?.ledger !== false) {
+        data.donationLedger = {}
+        for (const row of statements.selectDonations.all(serverId)) data.donationLedger[row.id] = JSON.parse(row.data)
+      }
+
+      if (collections?.draws !== false) {
+        data.donationDraws = {}
+        for (const row of statements.selectDraws.all(serverId)) {
+          data.donationDraws[row.draw_id] = { ...JSON.parse(row.data), entries: {} }
+        }
+        for (const row of statements.selectEntries.all(serverId)) {
+          const draw = data.donationDraws[row.draw_id]
+          if (draw) draw.entries[row.user_id] = row.count
+        }
+      }
+
+      for (const row of statements.selectHistory.all(serverId)) data[row.type].push(JSON.parse(row.data))
+
+      return data
+    },
+    write(serverId, data) {
+      writeServer(serverId, data)
+    },
+    has(serverId) {
+      return !!statements.selectServer.get(serverId)
+    },
+    remove(serverId) {
+      removeServer(serverId)
+    },
+    list() {
+      return statements.listServers.all().map((row) => row.server_id)
+    },
+    close() {
+      sqlite.close()
+    },
+  }
+}
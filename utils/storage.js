@@ -0,0 +1,89 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { createSqliteStorage } from "./sqliteStorage.js"
+
+// Where server databases are kept, behind getDatabase/saveDatabase. The
+// backend comes from STORAGE_BACKEND: "json" (default, one <serverId>.json
+// file per server in data/) or "sqlite" (one SQLite file for every server at
+// SQLITE_FILE, see sqliteStorage.js). Move existing JSON files into SQLite
+// with `npm run migrate:sqlite`.
+//
+// An adapter is { name, read(serverId), write(serverId, data), has(serverId),
+// remove(serverId), list() }. read returns the server's data object, or null
+// if it has none; list returns the IDs of every stored server. All calls are
+// synchronous, like the getDatabase/saveDatabase API they sit behind.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+export const DATA_DIR = path.join(__dirname, "..", "data")
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+}
+
+// <serverId>.json, not the <serverId>_backup_<time>.json copies next to them
+const SERVER_FILE_PATTERN = /^([^_.]+)\.json$/
+
+export function createJsonStorage(dir = DATA_DIR) {
+  const fileFor = (serverId) => path.join(dir, `${serverId}.json`)
+
+  return {
+    name: "json",
+    read(serverId) {
+      const file = fileFor(serverId)
+      if (!fs.existsSync(file)) return null
+      return JSON.parse(fs.readFileSync(file, "utf8"))
+    },
+    // Written to a temporary file and renamed over the old one, so a crash
+    // mid-write never leaves a truncated server file
+    write(serverId, data) {
+      const file = fileFor(serverId)
+      const tempFile = `${file}.${process.pid}.tmp`
+      try {
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2))
+        fs.renameSync(tempFile, file)
+      } catch (error) {
+        fs.rmSync(tempFile, { force: true })
+        throw error
+      }
+    },
+    has(serverId) {
+      return fs.existsSync(fileFor(serverId))
+    },
+    remove(serverId) {
+      fs.rmSync(fileFor(serverId), { force: true })
+    },
+    list() {
+      return fs
+        .readdirSync(dir)
+        .map((file) => file.match(SERVER_FILE_PATTERN)?.[1])
+        .filter(Boolean)
+    },
+  }
+}
+
+const adapterFactories = new Map([
+  ["json", () => createJsonStorage()],
+  ["sqlite", () => createSqliteStorage(process.env.SQLITE_FILE || path.join(DATA_DIR, "donor-rewards.sqlite"))],
+])
+
+// Add or replace a backend, used when STORAGE_BACKEND names it
+export function registerStorageAdapter(name, factory) {
+  adapterFactories.set(name, factory)
+  adapters.delete(name)
+}
+
+// Adapters are created on first use, so the SQLite file is only opened when
+// it is the configured backend
+const adapters = new Map()
+
+export function getStorage(name = process.env.STORAGE_BACKEND || "json") {
+  const backend = name.trim().toLowerCase()
+  if (!adapters.has(backend)) {
+    const factory = adapterFactories.get(backend)
+    if (!factory) throw new Error(`Unknown storage backend: ${name}`)
+    adapters.set(backend, factory())
+  }
+  return adapters.get(backend)
+}
@@ -0,0 +1,105 @@
+import { logger } from "./logger.js"
+import { countEntries } from "./drawUtils.js"
+import { inCause } from "./causes.js"
+
+// Draw targeting with "$tip @recipient 10 USDT #draw_123". The user's command
+// is remembered for a short time and claimed by the tip.cc confirmation that
+// follows it in the same channel, from the same sender to the same recipient.
+// tip.cc usually replies to the command, in which case the reply link decides.
+
+export const TIP_TARGET_WINDOW_MS = 2 * 60 * 1000
+
+// Pending tip commands with a draw tag, keyed by command message ID
+const pendingTargets = new Map()
+
+// Parse a user's tip command. Returns { recipients, drawId } for commands with
+// a #drawId tag, otherwise null.
+export function parseTipCommand(content) {
+  const match = content?.trim().match(/^\$tip\s+(.+?)\s+#([\w-]+)\s*$/i)
+  if (!match) return null
+
+  const recipients = [...match[1].matchAll(/<@!?(\d+)>|@([\w.]{2,32})/g)].map(([, id, name]) =>
+    id ? { id } : { name: name.toLowerCase() },
+  )
+  return recipients.length > 0 ? { recipients, drawId: match[2] } : null
+}
+
+function prunePendingTargets(now = Date.now()) {
+  for (const [messageId, pending] of pendingTargets) {
+    if (now - pending.timestamp > TIP_TARGET_WINDOW_MS) pendingTargets.delete(messageId)
+  }
+}
+
+// Remember a user's "$tip ... #drawId" message. Returns true if it had a tag.
+export function recordTipCommand(message) {
+  const command = parseTipCommand(message.content)
+  if (!command || !message.guildId) return false
+
+  prunePendingTargets()
+  pendingTargets.set(message.id, {
+    ...command,
+    guildId: message.guildId,
+    channelId: message.channelId,
+    senderId: message.author.id,
+    timestamp: message.createdTimestamp || Date.now(),
+  })
+  logger.info(`🎯 Tip command from ${message.author.id} targets draw #${command.drawId}`)
+  return true
+}
+
+function sameRecipient(a, b) {
+  if (a.id && b.id) return a.id === b.id
+  return !!a.name && !!b.name && a.name.toLowerCase() === b.name.toLowerCase()
+}
+
+// Claim the pending command behind a tip.cc confirmation. Returns
+// { drawId, commandMessageId } or null when the tip was not tagged.
+export function takeTipTarget(message, senderId, tipRecipients) {
+  prunePendingTargets()
+
+  // A reply to the command is an exact match
+  const repliedTo = message.reference?.messageId
+  let commandMessageId = repliedTo && pendingTargets.get(repliedTo)?.senderId === senderId ? repliedTo : null
+
+  // Otherwise the latest matching command in the window
+  if (!commandMessageId) {
+    const candidates = [...pendingTargets.entries()].filter(
+      ([, pending]) =>
+        pending.guildId === message.guildId &&
+        pending.channelId === message.channelId &&
+        pending.senderId === senderId &&
+        pending.recipients.some((recipient) => tipRecipients.some((tipRecipient) => sameRecipient(recipient, tipRecipient))),
+    )
+    commandMessageId = candidates.sort(([, a], [, b]) => b.timestamp - a.timestamp)[0]?.[0] || null
+  }
+
+  if (!commandMessageId) return null
+
+  const { drawId } = pendingTargets.get(commandMessageId)
+  pendingTargets.delete(commandMessageId)
+  return { drawId, commandMessageId }
+}
+
+// Check a tagged draw for a donation. Returns { drawId, draw } when entries
+// can go to it, otherwise { reason } explaining why not.
+export function checkTargetDraw(db, drawId, { usdValue, causeId, member }) {
+  const [key, draw] =
+    Object.entries(db.donationDraws || {}).find(([id]) => id.toLowerCase() === drawId.toLowerCase()) || []
+
+  if (!draw) return { reason: `there is no draw with ID \`${drawId}\`` }
+  if (!draw.active) return { reason: `**${draw.name}** is not open` }
+  if (draw.manualEntriesOnly) return { reason: `**${draw.name}** only accepts entries assigned by admins` }
+  if (usdValue < draw.minAmount) {
+    return { reason: `**${draw.name}** needs at least $${draw.minAmount} per donation` }
+  }
+  if (draw.maxAmount && usdValue > draw.maxAmount) {
+    return { reason: `**${draw.name}** accepts at most $${draw.maxAmount} per donation` }
+  }
+  if (draw.maxEntries && countEntries(draw) >= draw.maxEntries) return { reason: `**${draw.name}** is full` }
+  if (!inCause(draw, causeId)) return { reason: `**${draw.name}** belongs to a different cause than this recipient` }
+  if (draw.vipOnly && db.config?.vipRoleId && !member.roles.cache.has(db.config.vipRoleId)) {
+    return { reason: `**${draw.name}** is for VIP members only` }
+  }
+
+  return { drawId: key, draw }
+}
@@ -0,0 +1,177 @@
+// Parser for tip.cc bot messages.
+//
+// tip.cc confirms transfers either in the message content or in an embed
+// description, always in the form
+//   [emoji] <@sender> sent <@recipient>[, <@recipient> and <@recipient>] **[emoji] 1,234.5 COIN** [each] (≈ $12.34 [each]).
+// Older messages have the amount without the bold markers, and may name users
+// as @username instead of mentioning them.
+// Rains and airdrops use their own verbs ("rained ... on", "'s airdrop of ...
+// was collected by"). Anything else from tip.cc (balances, errors, prompts)
+// is rejected with a reason instead of being guessed at.
+//
+// parseTipccMessage() returns either
+//   { ok: true, tip: { kind, sender, recipients, currency, amount, totalAmount, usdValue, usdTotal, source } }
+// where amount/usdValue are per recipient, or
+//   { ok: false, reason, detail }.
+// Sample messages covering every supported format live in fixtures/tipcc/:
+// messages.json is written by hand ("baseline" ones are the formats the first
+// version of the bot parsed), captured.json holds real messages saved with
+// `npm run capture:tipcc`. `npm run test:tipcc` runs both through this parser.
+
+export const TIPCC_BOT_ID = "617037497574359050"
+
+export const REJECTION_REASONS = {
+  EMPTY: "empty",
+  ERROR_MESSAGE: "error_message",
+  PENDING_AIRDROP: "pending_airdrop",
+  NO_RECIPIENTS: "no_recipients",
+  INVALID_AMOUNT: "invalid_amount",
+  NOT_A_TIP: "not_a_tip",
+}
+
+// <:AEGS:123>, <a:USDT:123> or a unicode emoji such as 💰
+const EMOJI = String.raw`(?:<a?:\w+:\d+>|[^\s\w<@*]{1,8})`
+// <@123>, <@!123> or a plain @username
+const USER = String.raw`(?:<@!?\d+>|@[\w.]{2,32})`
+const USER_LIST = String.raw`${USER}(?:\s*(?:,\s*and|,|and)\s*${USER})*`
+// **1,234.56 COIN** with an optional emoji inside the bold markers, or the
+// same without them
+const AMOUNT = String.raw`(?:\*\*)?\s*(?:${EMOJI}\s*)?([\d,]*\.?\d+)\s+([A-Za-z][A-Za-z0-9]{1,11})\s*(?:\*\*)?`
+const USD = String.raw`(?:\s*\(\s*≈?\s*\$\s*([\d,]*\.?\d+)(\s+each)?\s*\))?`
+const EACH = String.raw`(\s+each)?`
+
+const PATTERNS = [
+  {
+    kind: "tip",
+    regex: new RegExp(String.raw`^(?:${EMOJI}\s*)?(${USER})\s+sent\s+(${USER_LIST})\s+${AMOUNT}${EACH}${USD}`, "i"),
+    groups: { sender: 1, recipients: 2, amount: 3, currency: 4, each: 5, usd: 6, usdEach: 7 },
+  },
+  {
+    kind: "rain",
+    regex: new RegExp(String.raw`^(?:${EMOJI}\s*)?(${USER})\s+rained\s+${AMOUNT}${EACH}${USD}\s+on\s+(${USER_LIST})`, "i"),
+    groups: { sender: 1, amount: 2, currency: 3, each: 4, usd: 5, usdEach: 6, recipients: 7 },
+  },
+  {
+    kind: "airdrop",
+    regex: new RegExp(
+      String.raw`^(?:${EMOJI}\s*)?(${USER})'s\s+airdrop\s+of\s+${AMOUNT}${USD}\s+was\s+(?:collected|claimed)\s+by\s+(${USER_LIST})`,
+      "i",
+    ),
+    groups: { sender: 1, amount: 2, currency: 3, usd: 4, usdEach: 5, recipients: 6 },
+  },
+]
+
+const PENDING_AIRDROP = new RegExp(String.raw`(${USER})\s+(?:left|dropped|created)\s+an\s+airdrop\s+of\s+${AMOUNT}`, "i")
+const ERROR_MARKERS = /tip error|insufficient|not enough|you don't have|cannot tip|can't tip|failed/i
+
+// Split a mention list into users: <@123> -> { id }, @name -> { name }
+function parseUsers(list) {
+  return [...list.matchAll(/<@!?(\d+)>|@([\w.]{2,32})/g)].map(([, id, name]) => (id ? { id } : { name }))
+}
+
+function parseNumber(value) {
+  if (value === undefined) return null
+  const number = Number.parseFloat(value.replace(/,/g, ""))
+  return Number.isFinite(number) ? number : null
+}
+
+// Candidate texts of a message: the content first, then each embed
+function getTexts(message) {
+  const texts = []
+  if (message.content?.trim()) texts.push({ source: "content", text: message.content.trim() })
+
+  for (const [index, embed] of (message.embeds || []).entries()) {
+    const data = embed.data || embed
+    if (data.description?.trim()) texts.push({ source: `embed:${index}`, text: data.description.trim() })
+    if (data.title?.trim()) texts.push({ source: `embed:${index}:title`, text: data.title.trim(), title: true })
+  }
+
+  return texts
+}
+
+// Parse one line of tip.cc text
+export function parseTipccText(text, source = "content") {
+  const normalized = text.replace(/\s+/g, " ").trim()
+
+  for (const { kind, regex, groups } of PATTERNS) {
+    const match = normalized.match(regex)
+    if (!match) continue
+
+    const recipients = parseUsers(match[groups.recipients])
+    if (recipients.length === 0) {
+      return { ok: false, reason: REJECTION_REASONS.NO_RECIPIENTS, detail: `No recipients in ${kind} message` }
+    }
+
+    const parsedAmount = parseNumber(match[groups.amount])
+    if (!parsedAmount || parsedAmount <= 0) {
+      return { ok: false, reason: REJECTION_REASONS.INVALID_AMOUNT, detail: `Invalid amount "${match[groups.amount]}"` }
+    }
+
+    // Without "each" the bold amount is the total, split between recipients
+    const each = groups.each !== undefined && !!match[groups.each]
+    const amount = each ? parsedAmount : parsedAmount / recipients.length
+    // The USD estimate follows the amount unless it says "each" itself
+    const usd = parseNumber(match[groups.usd])
+    const usdEach = each || !!match[groups.usdEach]
+    const usdValue = usd === null ? null : usdEach ? usd : usd / recipients.length
+
+    return {
+      ok: true,
+      tip: {
+        kind,
+        sender: parseUsers(match[groups.sender])[0],
+        recipients,
+        currency: match[groups.currency].toUpperCase(),
+        amount,
+        totalAmount: amount * recipients.length,
+        usdValue,
+        usdTotal: usdValue === null ? null : usdValue * recipients.length,
+        source,
+      },
+    }
+  }
+
+  if (PENDING_AIRDROP.test(normalized)) {
+    return {
+      ok: false,
+      reason: REJECTION_REASONS.PENDING_AIRDROP,
+      detail: "Airdrop has not been collected yet, recipients are unknown",
+    }
+  }
+
+  if (ERROR_MARKERS.test(normalized)) {
+    return { ok: false, reason: REJECTION_REASONS.ERROR_MESSAGE, detail: "tip.cc reported an error" }
+  }
+
+  return { ok: false, reason: REJECTION_REASONS.NOT_A_TIP, detail: `No tip format matched ${source}` }
+}
+
+// Parse a tip.cc Discord message (or any { content, embeds } object)
+export function parseTipccMessage(message) {
+  const texts = getTexts(message)
+  if (texts.length === 0) return { ok: false, reason: REJECTION_REASONS.EMPTY, detail: "Message has no text" }
+
+  let rejection = null
+  for (const { source, text, title } of texts) {
+    // Titles such as "Tip error" only tell us the message is an error
+    if (title) {
+      if (ERROR_MARKERS.test(text)) return { ok: false, reason: REJECTION_REASONS.ERROR_MESSAGE, detail: text }
+      continue
+    }
+
+    const result = parseTipccText(text, source)
+    if (result.ok) return result
+
+    // Keep the most specific rejection
+    if (!rejection || rejection.reason === REJECTION_REASONS.NOT_A_TIP) rejection = result
+  }
+
+  return rejection || { ok: false, reason: REJECTION_REASONS.NOT_A_TIP, detail: "No tip format matched" }
+}
+
+// Stable description of a parsed tip, used to tell whether an edited tip.cc
+// message changed anything that affects the donation
+export function tipSignature(tip) {
+  const recipients = tip.recipients.map((r) => r.id || r.name.toLowerCase()).sort()
+  return [tip.kind, tip.sender.id || tip.sender.name.toLowerCase(), recipients.join(","), tip.currency, tip.totalAmount].join("|")
+}